@@ -3,63 +3,149 @@ const path = require('path');
 require('dotenv').config();
 const { LocalIndex } = require('vectra');
 const EmbeddingService = require('./lib/embedding');
+const EmbeddingCache = require('./lib/embedding-cache');
 const Generator = require('./lib/generate');
 const Validator = require('./lib/validate');
 const Metrics = require('./lib/metrics');
 const RerankerService = require('./lib/reranker');
-const { validateRerankerConfig, calculateRerankerCost, createRerankerMetrics, separateRerankedResults, formatRerankerConfig, isRerankerAvailable, getRerankerConfigHelp, checkRerankerRequirements } = require('./lib/rerank-utils');
+const Comparison = require('./lib/compare');
+const Calibrator = require('./lib/calibrate');
+const MatryoshkaAnalysis = require('./lib/matryoshka');
+const QuantizedIndex = require('./lib/quantization');
+const SearchServer = require('./lib/server');
+const ReportGenerator = require('./lib/report');
+const Baseline = require('./lib/baseline');
+const { HttpTransport, RecordingTransport, ReplayTransport } = require('./lib/transport');
+const { RateLimiter, mapConcurrent } = require('./lib/rate-limiter');
+const BM25Index = require('./lib/bm25');
+const HybridRetrieval = require('./lib/hybrid');
+const MetadataFilter = require('./lib/filter');
+const DocumentTemplate = require('./lib/document-template');
+const Chunker = require('./lib/chunking');
+const { validateRerankerConfig, calculateRerankerCost, createRerankerMetrics, separateRerankedResults, formatRerankerConfig, isRerankerAvailable, getRerankerConfigHelp, checkRerankerRequirements, getInlineRerankerConfig } = require('./lib/rerank-utils');
+const ConfigSchema = require('./lib/config-schema');
+const { resolveEmbeddingSettings } = require('./lib/embedding-providers');
 
 class EmbeddingsEvaluator {
-  constructor(dataset = 'default', modelName = 'default') {
+  constructor(dataset = 'default', modelName = 'default', options = {}) {
     this.dataset = dataset;
     this.modelName = modelName;
+    this.options = options;
+    this.kValues = options.kValues || Metrics.DEFAULT_K_VALUES;
     this.datasetPath = path.join(__dirname, dataset);
+    // Folder holding the {model}-model.json and {name}-reranker.json files
+    this.configPath = options.configPath ? path.resolve(options.configPath) : __dirname;
     this.indexPath = path.join(this.datasetPath, 'embeddings'); // Use embeddings as directory
     this.index = null;
+    this.floatIndex = null;
+    this.indexSizes = null;
     this.modelConfig = null;
     this.rerankerConfig = null;
     this.metrics = new Metrics();
     this.apiKey = null;
     this.embeddingService = null;
+    this.embeddingCache = null;
+    this.cacheCleared = false;
+    this.retrieval = null;
+    this.documentTemplate = null;
+    this.chunking = null;
+    this.lexicalIndex = null;
+    this.itemsByKey = null;
+    
+    // All vendor HTTP calls go through one transport so they can be recorded to or replayed from fixtures
+    if (options.record) {
+      this.transport = new RecordingTransport(path.resolve(options.record));
+    } else if (options.replay) {
+      this.transport = new ReplayTransport(path.resolve(options.replay));
+    } else {
+      this.transport = new HttpTransport();
+    }
   }
 
   async loadModelConfig() {
     try {
-      const modelConfigPath = path.join(__dirname, `${this.modelName}-model.json`);
+      const modelConfigPath = path.join(this.configPath, `${this.modelName}-model.json`);
       const modelConfigData = await fs.readFile(modelConfigPath, 'utf8');
       this.modelConfig = JSON.parse(modelConfigData);
+      const modelErrors = ConfigSchema.validateModelConfig(this.modelConfig);
+      if (modelErrors.length > 0) {
+        throw new Error(`Invalid ${this.modelName}-model.json:\n  - ${modelErrors.join('\n  - ')}`);
+      }
       
-      // Check for reranker configuration
-      const hasReranker = this.modelConfig['reranker'];
-      let rerankerInfo = '';
+      // Check for reranker configuration: referenced by file name, or inline reranker-* keys
+      this.rerankerConfig = getInlineRerankerConfig(this.modelConfig);
+      const hasReranker = !!(this.modelConfig['reranker'] || this.rerankerConfig);
       
-      if (hasReranker) {
+      if (this.modelConfig['reranker']) {
         // Load reranker configuration from separate file
         try {
-          const rerankerConfigPath = path.join(__dirname, `${this.modelConfig['reranker']}-reranker.json`);
+          const rerankerConfigPath = path.join(this.configPath, `${this.modelConfig['reranker']}-reranker.json`);
           const rerankerConfigData = await fs.readFile(rerankerConfigPath, 'utf8');
           this.rerankerConfig = JSON.parse(rerankerConfigData);
-          rerankerInfo = `, reranker: ${this.rerankerConfig.vendor}/${this.rerankerConfig.model}`;
+          const rerankerErrors = ConfigSchema.validateRerankerConfig(this.rerankerConfig);
+          if (rerankerErrors.length > 0) {
+            throw new Error(`\n  - ${rerankerErrors.join('\n  - ')}`);
+          }
         } catch (error) {
           throw new Error(`Failed to load reranker configuration from ${this.modelConfig['reranker']}-reranker.json: ${error.message}`);
         }
       }
+      const rerankerInfo = this.rerankerConfig ? `, reranker: ${this.rerankerConfig.vendor}/${this.rerankerConfig.model}` : '';
       
       console.log(`📄 Loaded model '${this.modelName}': ${this.modelConfig.vendor}/${this.modelConfig.model} (cost: $${this.modelConfig.cost}/1M tokens, minSimilarity: ${this.modelConfig.minSimilarity || 0.0}${rerankerInfo})`);
       
-      // Check if API key is provided for the vendor
-      const apiKeyName = `${this.modelConfig.vendor.toUpperCase()}_API_KEY`;
-      if (!process.env[apiKeyName]) {
+      // Retrieval mode and fusion settings, validated before any request is made
+      this.retrieval = HybridRetrieval.getConfig(this.modelConfig);
+      if (this.retrieval.mode !== 'vector') {
+        console.log(`🔀 Retrieval: ${this.retrieval.mode}${this.retrieval.mode === 'hybrid' ? ` (${this.retrieval.fusion} fusion, weights vector ${this.retrieval.vectorWeight} / lexical ${this.retrieval.lexicalWeight})` : ''}`);
+      }
+      
+      // Document text template of this dataset, shared by generate and the reranker
+      this.documentTemplate = DocumentTemplate.fromConfig(this.modelConfig, this.dataset);
+      if (this.documentTemplate) {
+        console.log(`📝 Document template: ${this.documentTemplate}`);
+      }
+      this.chunking = Chunker.getConfig(this.modelConfig);
+      if (this.chunking) {
+        console.log(`✂️  Chunking: ${this.chunking.size} ${this.chunking.unit} per chunk, ${this.chunking.overlap} overlap, ${this.chunking.aggregation} aggregation${this.chunking.aggregation === 'mean' ? ` of top ${this.chunking.topN}` : ''}`);
+      }
+      
+      // Check if API key is provided for the vendor; vendors without a key (local, keyless servers) and replayed runs need none
+      const embeddingSettings = resolveEmbeddingSettings(this.modelConfig);
+      const isLocal = !!embeddingSettings.provider.inProcess;
+      const isReplay = !!this.options.replay;
+      const apiKeyName = embeddingSettings.apiKeyName;
+      if (apiKeyName && !isReplay && !process.env[apiKeyName]) {
         throw new Error(`${apiKeyName} environment variable is required. Please set it in a .env file.`);
       }
       
-      this.apiKey = process.env[apiKeyName];
-      this.embeddingService = new EmbeddingService(this.apiKey, this.modelConfig);
+      this.apiKey = apiKeyName ? (process.env[apiKeyName] || 'replay') : null;
+      if (apiKeyName && this.transport.addSecret) {
+        this.transport.addSecret(process.env[apiKeyName]);
+      }
+      
+      // Share one on-disk embedding cache between generate, evaluate and query unless bypassed.
+      // Local vectors are cheaper to recompute than to read back, so they are never cached.
+      // Recording and replaying skip the cache so fixtures always contain every request of a run.
+      this.embeddingCache = null;
+      if (!this.options.noCache && !isLocal && !this.options.record && !isReplay) {
+        this.embeddingCache = new EmbeddingCache(path.join(__dirname, '.embedding-cache'), this.modelConfig);
+        if (this.options.clearCache && !this.cacheCleared) {
+          await this.embeddingCache.clear();
+          this.cacheCleared = true;
+          console.log(`🧹 Cleared embedding cache for ${this.modelConfig.vendor}/${this.modelConfig.model}`);
+        }
+      }
+      
+      this.embeddingService = new EmbeddingService(this.apiKey, this.modelConfig, {
+        cache: this.embeddingCache,
+        transport: this.transport
+      });
       
       // Initialize reranker service if configured
       if (hasReranker) {
         // Use enhanced requirement checking for better error messages
-        const rerankerCheck = checkRerankerRequirements(this.modelConfig);
+        const rerankerCheck = checkRerankerRequirements(this.modelConfig, this.rerankerConfig, { requireApiKey: !isReplay });
         
         if (!rerankerCheck.isValid) {
           const errorMessage = [
@@ -69,9 +155,14 @@ class EmbeddingsEvaluator {
           throw new Error(errorMessage);
         }
         
-        const rerankerApiKey = process.env[`${this.rerankerConfig.vendor.toUpperCase()}_API_KEY`];
+        // Offline rerankers have no API key
+        const rerankerApiKeyName = rerankerCheck.apiKeyName;
+        const rerankerApiKey = rerankerApiKeyName ? (process.env[rerankerApiKeyName] || (isReplay ? 'replay' : undefined)) : null;
+        if (rerankerApiKeyName && this.transport.addSecret) {
+          this.transport.addSecret(process.env[rerankerApiKeyName]);
+        }
         
-        this.rerankerService = new RerankerService(rerankerApiKey, this.rerankerConfig);
+        this.rerankerService = new RerankerService(rerankerApiKey, this.rerankerConfig, { transport: this.transport });
         console.log(`🔄 Reranker service initialized: ${formatRerankerConfig(this.rerankerConfig)}`);
       }
     } catch (error) {
@@ -80,7 +171,30 @@ class EmbeddingsEvaluator {
     }
   }
 
-  async initialize() {
+  /**
+   * Describe the model setup of a run, saved with its results
+   * @returns {Object} - Model name, vendor/model, minSimilarity, document template, chunking, dimensions, quantization and reranker
+   */
+  getRunConfig() {
+    return {
+      model: this.modelName,
+      vendor: this.modelConfig.vendor,
+      embeddingModel: this.modelConfig.model,
+      minSimilarity: this.modelConfig.minSimilarity || 0.0,
+      documentTemplate: (this.documentTemplate || new DocumentTemplate()).source,
+      chunking: this.chunking,
+      dimensions: this.modelConfig.dimensions || null,
+      quantization: this.floatIndex ? this.options.quantization : null,
+      reranker: this.rerankerConfig ? formatRerankerConfig(this.rerankerConfig) : null
+    };
+  }
+
+  /**
+   * Load the model configuration and the index, checking that the index matches the configuration
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.quantized - Search the quantized index selected with --quantization instead of the float index
+   */
+  async initialize(options = { quantized: true }) {
     // Load model configuration first
     await this.loadModelConfig();
     
@@ -93,6 +207,157 @@ class EmbeddingsEvaluator {
     if (!indexExists) {
       throw new Error(`No embeddings index found for dataset '${this.dataset}' with model '${this.modelName}'. Please run generate first.`);
     }
+    
+    // Scores are only meaningful if the index holds the text the configuration describes
+    const indexSettings = await Generator.getIndexSettings(this.index);
+    const configuredTemplate = (this.documentTemplate || new DocumentTemplate()).source;
+    if (indexSettings.documentTemplate !== configuredTemplate) {
+      throw new Error(`The index of model '${this.modelName}' was built with document template "${indexSettings.documentTemplate}", but the configuration uses "${configuredTemplate}". Please run generate again.`);
+    }
+    const configuredChunking = Chunker.getIndexSettings(this.chunking);
+    if (JSON.stringify(indexSettings.chunking) !== JSON.stringify(configuredChunking)) {
+      throw new Error(`The index of model '${this.modelName}' was built with chunking ${JSON.stringify(indexSettings.chunking)}, but the configuration uses ${JSON.stringify(configuredChunking)}. Please run generate again.`);
+    }
+    const configuredDimensions = this.modelConfig.dimensions || null;
+    if (indexSettings.dimensions !== configuredDimensions) {
+      throw new Error(`The index of model '${this.modelName}' was built with ${indexSettings.dimensions || 'default'} dimensions, but the configuration uses ${configuredDimensions || 'default'}. Please run generate again.`);
+    }
+    
+    this.floatIndex = null;
+    if (this.options.quantization && options.quantized) {
+      await this.loadQuantizedIndex();
+    }
+    
+    if (this.retrieval.mode !== 'vector') {
+      await this.loadLexicalIndex();
+    }
+  }
+
+  /**
+   * Replace the float index with its quantized variant for searches, keeping the float index for comparison
+   * and, for binary indexes, for rescoring the candidates
+   */
+  async loadQuantizedIndex() {
+    const type = QuantizedIndex.checkType(this.options.quantization);
+    const quantizedPath = QuantizedIndex.getPath(this.indexPath, this.modelName, type);
+    const quantizedIndex = new QuantizedIndex(quantizedPath, { candidates: this.options.candidates, rescoreIndex: this.index });
+    if (!await quantizedIndex.isIndexCreated()) {
+      throw new Error(`No ${type} index found for dataset '${this.dataset}' with model '${this.modelName}'. Please run quantize first.`);
+    }
+    
+    // A quantized index of older content would silently score stale vectors
+    const source = await quantizedIndex.getSource();
+    if (source.fingerprint !== QuantizedIndex.fingerprint(await this.index.listItems())) {
+      throw new Error(`The ${type} index of model '${this.modelName}' was built from an older float index. Please run quantize again.`);
+    }
+    
+    const floatSize = (await fs.stat(path.join(this.indexPath, `${this.modelName}.json`))).size;
+    const quantizedSize = await quantizedIndex.getFileSize();
+    // Binary searches read the float vectors for rescoring, so the float index stays part of their footprint
+    const rescoreSize = type === 'binary' ? floatSize : 0;
+    console.log(`🗜️  Using ${type} index: ${(quantizedSize / 1024).toFixed(1)} KB on disk (${((quantizedSize / floatSize) * 100).toFixed(0)}% of the float index)${rescoreSize ? `, rescored with the float index (${(rescoreSize / 1024).toFixed(1)} KB)` : ''}`);
+    
+    this.floatIndex = this.index;
+    this.index = quantizedIndex;
+    this.indexSizes = { float: floatSize, [type]: quantizedSize, rescore: rescoreSize };
+  }
+
+  /**
+   * Name evaluation results are saved under; quantized runs get their own file so they can be compared with the float run
+   * @returns {string} - Model name, with the quantization type appended for quantized runs
+   */
+  getResultsName() {
+    return this.floatIndex ? `${this.modelName}-${this.options.quantization}` : this.modelName;
+  }
+
+  /**
+   * Load the BM25 index built by generate and map its keys (content or chunk ids) to their index items
+   */
+  async loadLexicalIndex() {
+    this.lexicalIndex = await BM25Index.load(Generator.getLexicalIndexPath(this.indexPath, this.modelName));
+    const items = await this.index.listItems();
+    this.itemsByKey = new Map(items.map(item => [Chunker.getKey(item.metadata), item]));
+  }
+
+  /**
+   * Retrieve and score candidates with a retrieval mode
+   * @param {string} query - Search query
+   * @param {number[]|null} queryEmbedding - Query vector, null for lexical retrieval
+   * @param {string} mode - 'vector', 'lexical' or 'hybrid'
+   * @param {number} searchLimit - Vector candidates to request
+   * @param {Object} options - Retrieval options
+   * @param {MetadataFilter|null} options.filter - Metadata filter applied to the candidates of every mode before scoring
+   * @param {LocalIndex|QuantizedIndex} options.index - Vector index to search, the configured one by default
+   * @param {number} options.minSimilarity - Vector threshold overriding the model configuration
+   * @returns {Promise<{results: Object[], isMatch: Function, threshold: string, thresholds: Object}>} - Scored index
+   *   items sorted by score, a predicate telling whether a result passes the mode's threshold, a description of that
+   *   threshold and the threshold values it applies by setting name.
+   *   For chunked indexes each document appears once, represented by its best matching chunk.
+   */
+  async retrieve(query, queryEmbedding, mode, searchLimit, options = {}) {
+    const { filter = null, index = this.index } = options;
+    const minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : (this.modelConfig?.minSimilarity || 0.0);
+    let vectorResults = mode === 'lexical' ? [] : await index.queryItems(queryEmbedding, searchLimit);
+    if (filter) {
+      vectorResults = vectorResults.filter(result => filter.matches(result.item.metadata));
+    }
+    if (this.chunking) {
+      vectorResults = Chunker.aggregate(vectorResults, this.chunking);
+    }
+    if (mode === 'vector') {
+      return {
+        results: vectorResults,
+        isMatch: result => result.score >= minSimilarity,
+        threshold: `minSimilarity threshold (${minSimilarity})`,
+        thresholds: { minSimilarity }
+      };
+    }
+    
+    // BM25 matches chunks of chunked indexes; they are aggregated to documents like the vector results
+    let lexicalMatches = this.lexicalIndex.search(query).map(match => ({ item: this.itemsByKey.get(match.id), score: match.score }));
+    if (filter) {
+      lexicalMatches = lexicalMatches.filter(match => filter.matches(match.item.metadata));
+    }
+    if (this.chunking) {
+      lexicalMatches = Chunker.aggregate(lexicalMatches, this.chunking);
+    }
+    
+    // Lexical scores are normalized within the filtered candidates, so the best match in scope scores 1
+    const lexicalResults = HybridRetrieval.normalizeLexical(lexicalMatches.map(match => ({ id: match.item.metadata.id, score: match.score })));
+    
+    // Documents are represented by their best vector chunk, or their best lexical chunk without a vector match
+    const bestItems = new Map(lexicalMatches.map(match => [match.item.metadata.id, match.item]));
+    vectorResults.forEach(result => bestItems.set(result.item.metadata.id, result.item));
+    const toIndexItem = candidate => ({ item: bestItems.get(candidate.id), score: candidate.score });
+    if (mode === 'lexical') {
+      return {
+        results: lexicalResults.map(toIndexItem),
+        isMatch: result => result.score >= this.retrieval.minLexicalScore,
+        threshold: `minLexicalScore threshold (${this.retrieval.minLexicalScore})`,
+        thresholds: { minLexicalScore: this.retrieval.minLexicalScore }
+      };
+    }
+    
+    // Hybrid matches are the union of the vector and lexical matches, ranked by the fused score
+    const matchIds = new Set([
+      ...vectorResults.filter(result => result.score >= minSimilarity).map(result => result.item.metadata.id),
+      ...lexicalResults.filter(result => result.score >= this.retrieval.minLexicalScore).map(result => result.id)
+    ]);
+    const fused = HybridRetrieval.fuse(
+      vectorResults.map(result => ({ id: result.item.metadata.id, score: result.score })),
+      lexicalResults,
+      this.retrieval
+    );
+    return {
+      results: fused.map(toIndexItem),
+      isMatch: result => matchIds.has(result.item.metadata.id) && result.score >= this.retrieval.minScore,
+      threshold: `vector/lexical thresholds (minSimilarity ${minSimilarity}, minLexicalScore ${this.retrieval.minLexicalScore}${this.retrieval.minScore > 0 ? `, minScore ${this.retrieval.minScore}` : ''})`,
+      thresholds: {
+        minSimilarity,
+        minLexicalScore: this.retrieval.minLexicalScore,
+        ...(this.retrieval.minScore > 0 && { minScore: this.retrieval.minScore })
+      }
+    };
   }
 
   async loadEvalData() {
@@ -106,37 +371,109 @@ class EmbeddingsEvaluator {
     }
   }
 
-  async search(query, topK = 3) {
+  /**
+   * Search the index with the configured retrieval mode and optional reranking
+   * @param {string} query - Search query
+   * @param {number} topK - Results to return when no threshold is configured
+   * @param {Object} options - Search options
+   * @param {string} options.retrieval - Retrieval mode overriding the model configuration
+   * @param {boolean} options.compareRetrieval - Also return the matching ids of every retrieval mode (without reranking)
+   * @param {boolean} options.compareQuantization - Also return the matching ids and retrieval latency of the float and
+   *   the quantized index (without reranking)
+   * @param {string|MetadataFilter} options.filter - Metadata filter expression, e.g. 'audience contains "new hires"'
+   * @param {number} options.minSimilarity - Threshold overriding the model configuration
+   * @param {boolean} options.rerank - False skips the configured reranker
+   * @param {boolean} options.quiet - Skip the progress output, for callers printing several searches side by side
+   * @param {number} options.rankDepth - Also return the ids of the top rankDepth candidates as `rankedIds`, in final
+   *   (reranked) order and regardless of the threshold, for the rank-aware metrics
+   * @returns {Promise<Object>} - Results, below-threshold results, the applied thresholds (retrieval thresholds, or
+   *   minSimilarity as `relevance` when the results were reranked), reranker metrics and search metrics
+   */
+  async search(query, topK = 3, options = {}) {
     try {
-      console.log(`Searching for: "${query}"`);
+      const filter = options.filter instanceof MetadataFilter ? options.filter : MetadataFilter.parse(options.filter);
+      if (!options.quiet) {
+        console.log(`Searching for: "${query}"${filter ? ` (filter: ${filter})` : ''}`);
+      }
+      const mode = options.retrieval || this.retrieval.mode;
+      const minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : (this.modelConfig?.minSimilarity || 0.0);
+      const rerankerService = options.rerank === false ? null : this.rerankerService;
       
       // Track metrics for the entire search operation (embedding + reranking + processing)
       const startTime = Date.now();
       
-      // Generate embedding for the search query
-      const result = await this.embeddingService.generateEmbedding(query, 'query');
+      // Generate embedding for the search query; time spent waiting for the rate limiter or retry backoff isn't counted.
+      // Lexical-only retrieval needs no embedding.
+      let result = { embedding: null, tokens: 0, cached: false };
+      let waited = 0;
+      if (mode !== 'lexical' || options.compareRetrieval) {
+        const measured = await RateLimiter.measure(() => this.embeddingService.generateEmbedding(query, 'query'));
+        result = measured.result;
+        waited = measured.queued + measured.retryWait;
+      }
       const queryEmbedding = result.embedding;
-      const tokens = result.tokens; // Use API-provided token count
+      const tokens = result.tokens; // Use API-provided token count, zero on a cache hit
       
       // Search the index - get more results initially to account for filtering and reranking
-      const searchLimit = this.rerankerService ? Math.max(topK * 10, 20) : topK * 3; // Get more results for reranking
-      const results = await this.index.queryItems(queryEmbedding, searchLimit);
+      const searchLimit = Math.max(rerankerService ? Math.max(topK * 10, 20) : topK * 3, options.rankDepth || 0); // Get more results for reranking
+      const retrievalStart = process.hrtime.bigint();
+      const { results, isMatch, threshold, thresholds } = await this.retrieve(query, queryEmbedding, mode, searchLimit, { filter, minSimilarity });
+      const retrievalLatency = Number(process.hrtime.bigint() - retrievalStart) / 1e6;
       
-      // Filter results based on minSimilarity threshold
-      const minSimilarity = this.modelConfig?.minSimilarity || 0.0;
-      const filteredResults = results.filter(result => result.score >= minSimilarity);
-      const belowThresholdResults = results.filter(result => result.score < minSimilarity);
+      // Filter results based on the retrieval mode's threshold
+      const filteredResults = results.filter(isMatch);
+      const belowThresholdResults = results.filter(result => !isMatch(result));
+      
+      if (!options.quiet && filteredResults.length < results.length && (minSimilarity > 0 || mode !== 'vector')) {
+        console.log(`🔍 Filtered ${results.length - filteredResults.length} results below ${threshold}`);
+      }
+      
+      // Candidate ids in rank order for the rank-aware metrics; reranking reorders the candidates it scored
+      const rankDepth = options.rankDepth || 0;
+      const toRankedIds = retrieved => retrieved.slice(0, rankDepth).map(item => item.item.metadata.id);
+      let rankedIds = results.map(item => item.item.metadata.id);
+      
+      // Matching ids of every retrieval mode for the same query embedding
+      let retrievalComparison = null;
+      let retrievalRankings = null;
+      if (options.compareRetrieval) {
+        retrievalComparison = {};
+        retrievalRankings = {};
+        for (const comparedMode of HybridRetrieval.MODES) {
+          const compared = await this.retrieve(query, queryEmbedding, comparedMode, searchLimit, { filter, minSimilarity });
+          retrievalComparison[comparedMode] = compared.results.filter(compared.isMatch).map(item => item.item.metadata.id);
+          retrievalRankings[comparedMode] = toRankedIds(compared.results);
+        }
+      }
       
-      if (minSimilarity > 0 && filteredResults.length < results.length) {
-        console.log(`🔍 Filtered ${results.length - filteredResults.length} results below minSimilarity threshold (${minSimilarity})`);
+      // Matching ids and latency of the float index next to the quantized one, for the same query embedding
+      let quantizationComparison = null;
+      if (options.compareQuantization && this.floatIndex) {
+        const floatStart = process.hrtime.bigint();
+        const floatRetrieval = await this.retrieve(query, queryEmbedding, mode, searchLimit, { filter, minSimilarity, index: this.floatIndex });
+        const floatLatency = Number(process.hrtime.bigint() - floatStart) / 1e6;
+        quantizationComparison = {
+          float: {
+            ids: floatRetrieval.results.filter(floatRetrieval.isMatch).map(item => item.item.metadata.id),
+            ...(rankDepth && { rankedIds: toRankedIds(floatRetrieval.results) }),
+            latency: floatLatency
+          },
+          [this.options.quantization]: {
+            ids: filteredResults.map(item => item.item.metadata.id),
+            ...(rankDepth && { rankedIds: toRankedIds(results) }),
+            latency: retrievalLatency
+          }
+        };
       }
       
-      // Convert all results to searchResults format for potential reranking
+      // Convert all results to searchResults format for potential reranking. With a document template
+      // the reranker gets the same text that was embedded.
       const allResultsFormatted = results.map(result => ({
         id: result.item.metadata.id,
         score: result.score,
         title: result.item.metadata.title,
-        description: result.item.metadata.description
+        description: result.item.metadata.description,
+        ...(this.documentTemplate && { text: result.item.metadata.text })
       }));
       
       // Convert above-threshold results for non-reranked scenarios
@@ -157,14 +494,16 @@ class EmbeddingsEvaluator {
       // Apply reranking if configured
       let rerankerCost = 0;
       let rerankerTokens = 0;
-      if (this.rerankerService && allResultsFormatted.length > 0) {
+      let rerankerMetrics = null;
+      if (rerankerService && allResultsFormatted.length > 0) {
         try {
           // Send all results to reranker to get consistent reranked scores
           const rerankerInput = allResultsFormatted.slice(0, 10); // Take top 10 for reranking
           
           const rerankerStartTime = Date.now();
-          const rerankerResponse = await this.rerankerService.rerank(query, rerankerInput, 10);
-          const rerankerRuntime = Date.now() - rerankerStartTime;
+          const { result: rerankerResponse, queued: rerankerQueued, retryWait: rerankerRetryWait } = await RateLimiter.measure(() => rerankerService.rerank(query, rerankerInput, 10));
+          const rerankerRuntime = Date.now() - rerankerStartTime - rerankerQueued - rerankerRetryWait;
+          waited += rerankerQueued + rerankerRetryWait;
           
           // Handle different response formats from reranker
           let rerankedResults, apiTokens;
@@ -182,24 +521,13 @@ class EmbeddingsEvaluator {
             apiTokens = 0;
           }
           
-          // Use actual tokens from API if available
-          if (apiTokens > 0) {
-            // Use real tokens from API response
-            rerankerTokens = apiTokens;
-          } else {
-            // If API doesn't provide tokens, set to 0
-            // VoyageAI reranker should provide tokens in the response
-            rerankerTokens = 0;
-          }
+          // Use actual tokens from API if available, 0 for vendors that don't report any
+          rerankerTokens = apiTokens > 0 ? apiTokens : 0;
           
-          // Calculate reranker cost
-          rerankerCost = calculateRerankerCost(
-            this.rerankerConfig.vendor, 
-            1, 
-            rerankerInput.length
-          );
+          // Calculate reranker cost with the vendor's cost model
+          rerankerCost = rerankerService.calculateCost(1, rerankerInput.length, rerankerTokens);
           
-          const rerankerMetrics = createRerankerMetrics({
+          rerankerMetrics = createRerankerMetrics({
             vendor: this.rerankerConfig.vendor,
             model: this.rerankerConfig.model,
             query,
@@ -207,9 +535,7 @@ class EmbeddingsEvaluator {
             runtime: rerankerRuntime,
             cost: rerankerCost
           });
-          
-          // Track reranker metrics
-          this.metrics.addRerankerMetrics(rerankerMetrics);
+
           
           // Separate reranked results into above and below threshold based on reranked scores
           const { aboveThreshold: rerankedAboveThreshold, belowThreshold: rerankedBelowThreshold } = 
@@ -218,17 +544,22 @@ class EmbeddingsEvaluator {
           // Use reranked results as the main results
           candidateResults = rerankedAboveThreshold;
           belowThresholdTop3 = rerankedBelowThreshold;
+          const rerankedIds = rerankedResults.map(reranked => reranked.id);
+          rankedIds = [...rerankedIds, ...rankedIds.filter(id => !rerankedIds.includes(id))];
           
         } catch (error) {
-          console.error('⚠️  Reranking failed, falling back to similarity-based results:', error.message);
-          // Continue with original results if reranking fails
-          rerankerCost = 0; // Reset cost on failure
+          // Failures reach this point after the retries ran out. Similarity-ranked results would be scored and
+          // saved as if reranking had worked, so the search fails instead.
+          if (error.code !== 'FIXTURE_MISSING') {
+            error.message = `Reranking failed: ${error.message}`;
+          }
+          throw error;
         }
       }
       
-      // When filtering by minSimilarity, show all reranked results above threshold
+      // When filtering by a threshold (minSimilarity, or the lexical/hybrid ones), show all reranked results above it
       // Otherwise, limit to topK results
-      const finalResults = minSimilarity > 0 ? candidateResults : candidateResults.slice(0, topK);
+      const finalResults = (minSimilarity > 0 || mode !== 'vector') ? candidateResults : candidateResults.slice(0, topK);
       
       const searchResults = finalResults;
       
@@ -239,14 +570,22 @@ class EmbeddingsEvaluator {
       
       // Calculate total runtime for the entire operation (embedding + reranking + processing)
       const endTime = Date.now();
-      const runtime = endTime - startTime;
+      const runtime = endTime - startTime - waited;
       
-      // Return results with timing and cost information
+      // Return results with timing and cost information; callers record the reranker metrics
+      // so concurrent searches keep them in query order
       return {
         results: searchResults,
         belowThresholdResults: belowThresholdTop3,
+        thresholds: rerankerMetrics ? { relevance: minSimilarity } : thresholds,
+        ...(rankDepth && { rankedIds: rankedIds.slice(0, rankDepth) }),
+        ...(retrievalRankings && rankDepth && { retrievalRankings }),
+        rerankerMetrics: rerankerMetrics,
+        retrievalComparison: retrievalComparison,
+        quantizationComparison: quantizationComparison,
         metrics: {
           tokens: tokens,
+          cached: !!result.cached,
           rerankerTokens: rerankerTokens,
           runtime: runtime,
           embeddingCost: embeddingCost,
@@ -266,18 +605,42 @@ class EmbeddingsEvaluator {
     
     const results = [];
     
-    for (const evalItem of evalData) {
-      const searchResponse = await this.search(evalItem.search, 3);
+    // Queries run concurrently within the vendor's rate limits; results are processed in eval.json order.
+    // Lexical and hybrid runs also compare every retrieval mode on the same query embedding, quantized runs the float index.
+    const compareRetrieval = this.retrieval.mode !== 'vector';
+    const compareQuantization = !!this.floatIndex;
+    // Rank-aware metrics look at the top candidates regardless of the threshold, at least as deep as the largest k
+    const rankDepth = Math.max(...this.kValues);
+    const searchResponses = await mapConcurrent(evalData, this.embeddingService.getConcurrency(),
+      evalItem => this.search(evalItem.search, 3, { compareRetrieval, compareQuantization, filter: evalItem.filter, rankDepth }));
+    const retrievalMetrics = compareRetrieval ? Object.fromEntries(HybridRetrieval.MODES.map(mode => [mode, new Metrics()])) : null;
+    const quantizationMetrics = compareQuantization ? { float: new Metrics(), [this.options.quantization]: new Metrics() } : null;
+    const quantizationLatencies = { float: [], [this.options.quantization]: [] };
+    
+    for (let q = 0; q < evalData.length; q++) {
+      const evalItem = evalData[q];
+      const searchResponse = searchResponses[q];
+      if (searchResponse.rerankerMetrics) {
+        this.metrics.addRerankerMetrics(searchResponse.rerankerMetrics);
+      }
       const searchResults = searchResponse.results;
       const belowThresholdResults = searchResponse.belowThresholdResults;
       const searchMetrics = searchResponse.metrics;
       
       const foundIds = searchResults.map(result => result.id);
-      const expectedIds = evalItem.expected || [];
+      const judgments = Validator.parseJudgments(evalItem);
+      const expectedIds = judgments.expectedIds;
       
-      // Calculate recall and precision
+      // Calculate recall and precision (flat expected lists are binary judgments with grade 1)
       const recall = Metrics.calculateRecall(foundIds, expectedIds);
       const precision = Metrics.calculatePrecision(foundIds, expectedIds);
+      const gradedRecall = Metrics.calculateGradedRecall(foundIds, expectedIds, judgments.grades);
+      const gradedPrecision = Metrics.calculateGradedPrecision(foundIds, expectedIds, judgments.grades);
+      const ranking = Metrics.calculateRankMetrics(EmbeddingsEvaluator.getRankedIds(searchResponse.rankedIds, foundIds, expectedIds),
+        expectedIds, this.kValues, judgments.grades);
+      const mustBeFirst = judgments.mustBeFirst !== null
+        ? { id: judgments.mustBeFirst, passed: foundIds[0] === judgments.mustBeFirst }
+        : null;
       
       // Track evaluation metrics
       const foundSet = new Set(foundIds);
@@ -296,27 +659,48 @@ class EmbeddingsEvaluator {
         cost: totalCost, // Use total cost for metrics tracking
         embeddingCost: embeddingCost,
         rerankerCost: rerankerCost,
+        cached: searchMetrics.cached,
         recall: recall,
         precision: precision,
+        ranking: ranking,
+        gradedRecall: gradedRecall,
+        gradedPrecision: gradedPrecision,
+        mustBeFirst: mustBeFirst,
         expectedCount: expectedIds.length,
         foundCount: expectedFound,
         returnedCount: foundIds.length
       });
       
       // Validate results
-      const validation = Validator.validateResults(foundIds, expectedIds);
+      const validation = Validator.validateResults(foundIds, expectedIds, judgments.mustBeFirst);
       
       // Display results using the shared method
-      this.displaySearchResults(evalItem.search, searchResults, belowThresholdResults, searchMetrics, expectedIds);
+      this.displaySearchResults(evalItem.search, searchResults, belowThresholdResults, searchMetrics, judgments, evalItem.filter, ranking);
       
       console.log('\n' + '-'.repeat(80) + '\n');
       
+      if (retrievalMetrics) {
+        Object.entries(searchResponse.retrievalComparison).forEach(([mode, modeFoundIds]) => {
+          this.addComparedMetrics(retrievalMetrics[mode], evalItem.search, modeFoundIds, judgments, searchResponse.retrievalRankings[mode]);
+        });
+      }
+      if (quantizationMetrics) {
+        Object.entries(searchResponse.quantizationComparison).forEach(([indexType, compared]) => {
+          this.addComparedMetrics(quantizationMetrics[indexType], evalItem.search, compared.ids, judgments, compared.rankedIds);
+          quantizationLatencies[indexType].push(compared.latency);
+        });
+      }
+      
       results.push({
         search: evalItem.search,
+        ...(evalItem.filter && { filter: evalItem.filter }),
         expected: expectedIds,
+        ...(judgments.graded && { grades: Object.fromEntries(judgments.grades) }),
+        ...(mustBeFirst && { mustBeFirst: mustBeFirst.id }),
         found: foundIds,
         validation: validation,
         results: searchResults,
+        belowThreshold: belowThresholdResults,
         metrics: {
           tokens: searchMetrics.tokens,
           rerankerTokens: searchMetrics.rerankerTokens || 0,
@@ -324,13 +708,17 @@ class EmbeddingsEvaluator {
           cost: totalCost, // Use total cost
           embeddingCost: embeddingCost,
           rerankerCost: rerankerCost,
+          cached: searchMetrics.cached,
           recall: recall,
-          precision: precision
-        }
+          precision: precision,
+          gradedRecall: gradedRecall,
+          gradedPrecision: gradedPrecision,
+          ranking: ranking
+        },
+        ...(searchResponse.retrievalComparison && { retrieval: searchResponse.retrievalComparison }),
+        ...(searchResponse.quantizationComparison && { quantization: searchResponse.quantizationComparison })
       });
-      
-      // Small delay between searches
-      await new Promise(resolve => setTimeout(resolve, 200));
+
     }
     
     // Display evaluation metrics totals
@@ -347,6 +735,23 @@ class EmbeddingsEvaluator {
     
     console.log(`  Total Runtime: ${totals.totalRuntime}ms`);
     
+    if (this.embeddingCache) {
+      const cacheStats = this.embeddingCache.getStats();
+      this.metrics.setCacheStats('evaluate', cacheStats);
+      console.log(`  Embedding Cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate)`);
+    }
+    
+    const retrySections = [['evaluate', 'Embedding', this.embeddingService], ['reranker', 'Reranker', this.rerankerService]];
+    retrySections.forEach(([section, label, service]) => {
+      const retryStats = service ? service.getRetryStats() : null;
+      if (retryStats && retryStats.requests > 0) {
+        this.metrics.setRetryStats(section, retryStats);
+        if (retryStats.retries > 0 || retryStats.failures > 0) {
+          console.log(`  ${label} API Retries: ${retryStats.retries} over ${retryStats.requests} requests (${retryStats.timeouts} timeouts, ${retryStats.failures} failed)`);
+        }
+      }
+    });
+    
     // Display cost breakdown
     if (totals.totalRerankerCost > 0) {
       console.log(`  Total Cost: $${totals.totalCost.toFixed(8)} (Embedding: $${totals.totalEmbeddingCost.toFixed(8)}, Reranker: $${totals.totalRerankerCost.toFixed(8)})`);
@@ -358,6 +763,18 @@ class EmbeddingsEvaluator {
     console.log(`  Micro-averaging: Recall ${totals.microAveraging.recall.toFixed(1)}%, Precision ${totals.microAveraging.precision.toFixed(1)}%`);
     console.log(`  Macro-averaging: Recall ${totals.macroAveraging.recall.toFixed(1)}%, Precision ${totals.macroAveraging.precision.toFixed(1)}%`);
     console.log(`  Weighted-averaging: Recall ${totals.weightedAveraging.recall.toFixed(1)}%, Precision ${totals.weightedAveraging.precision.toFixed(1)}%`);
+    console.log(`  Graded-averaging: Recall ${totals.gradedAveraging.recall.toFixed(1)}%, Precision ${totals.gradedAveraging.precision.toFixed(1)}%`);
+    if (totals.mustBeFirst.queryCount > 0) {
+      console.log(`  Must-be-first: ${totals.mustBeFirst.passed}/${totals.mustBeFirst.queryCount} queries ranked the required ID first`);
+    }
+    
+    if (totals.ranking) {
+      console.log('\n📐 Rank-aware Metrics (macro-averaged):');
+      console.log(`  MRR: ${totals.ranking.mrr.toFixed(3)}, MAP: ${totals.ranking.map.toFixed(3)}`);
+      totals.ranking.kValues.forEach(k => {
+        console.log(`  @${k}: nDCG ${totals.ranking.ndcg[k].toFixed(3)}, Hit ${totals.ranking.hit[k].toFixed(1)}%, Recall ${totals.ranking.recall[k].toFixed(1)}%, Precision ${totals.ranking.precision[k].toFixed(1)}%`);
+      });
+    }
     
     // Display reranker metrics if available
     if (this.rerankerService && this.metrics.rerankerMetrics.length > 0) {
@@ -371,9 +788,141 @@ class EmbeddingsEvaluator {
       console.log(`  Average Runtime per Query: ${rerankerTotals.averageRuntimePerQuery}ms`);
       console.log(`  Average Cost per Query: $${rerankerTotals.averageCostPerQuery.toFixed(8)}`);
     }
+    
+    // Compare vector-only, lexical-only and hybrid retrieval on the same queries (before reranking)
+    if (retrievalMetrics) {
+      const comparison = {};
+      Object.entries(retrievalMetrics).forEach(([mode, modeMetrics]) => {
+        const modeTotals = modeMetrics.getEvaluateTotals();
+        comparison[mode] = {
+          macroRecall: modeTotals.macroAveraging.recall,
+          macroPrecision: modeTotals.macroAveraging.precision,
+          microRecall: modeTotals.microAveraging.recall,
+          microPrecision: modeTotals.microAveraging.precision,
+          mrr: modeTotals.ranking ? modeTotals.ranking.mrr : null,
+          map: modeTotals.ranking ? modeTotals.ranking.map : null
+        };
+      });
+      this.metrics.setRetrievalComparison(comparison);
+      
+      const percent = value => `${value.toFixed(1)}%`;
+      console.log(`\n🔀 Retrieval Comparison (configured: ${this.retrieval.mode}${this.retrieval.mode === 'hybrid' ? `, ${this.retrieval.fusion} fusion` : ''}, without reranking):\n`);
+      console.log(Comparison.formatTable(
+        ['Retrieval', 'Macro R', 'Macro P', 'Micro R', 'Micro P', 'MRR', 'MAP'],
+        Object.entries(comparison).map(([mode, totals]) => [
+          mode,
+          percent(totals.macroRecall),
+          percent(totals.macroPrecision),
+          percent(totals.microRecall),
+          percent(totals.microPrecision),
+          totals.mrr === null ? '-' : totals.mrr.toFixed(3),
+          totals.map === null ? '-' : totals.map.toFixed(3)
+        ])
+      ).split('\n').map(line => `  ${line}`).join('\n'));
+    }
+    
+    // Compare the quantized index with the float index on the same queries (before reranking)
+    if (quantizationMetrics) {
+      this.reportQuantizationComparison(quantizationMetrics, quantizationLatencies);
+    }
     return results;
   }
 
+  /**
+   * Get the ranking the rank-aware metrics of an eval query are calculated on
+   * Queries that expect results are ranked over the top candidates regardless of the threshold, so every k can be
+   * reached. Queries that expect nothing keep the thresholded results: returning nothing is their perfect ranking.
+   * @param {string[]|undefined} rankedIds - Top candidate ids from search() with rankDepth
+   * @param {string[]} foundIds - Ids above the threshold
+   * @param {number[]} expectedIds - Expected ids
+   * @returns {string[]} - Ids in rank order
+   */
+  static getRankedIds(rankedIds, foundIds, expectedIds) {
+    return expectedIds.length > 0 && rankedIds ? rankedIds : foundIds;
+  }
+
+  /**
+   * Record the matching ids of a compared retrieval variant as evaluation metrics
+   * @param {Metrics} metrics - Metrics of the variant
+   * @param {string} search - Search query
+   * @param {string[]} foundIds - Ids the variant matched
+   * @param {Object} judgments - Parsed judgments of the eval query
+   * @param {string[]} rankedIds - Top candidate ids of the variant regardless of the threshold
+   */
+  addComparedMetrics(metrics, search, foundIds, judgments, rankedIds) {
+    const { expectedIds } = judgments;
+    const foundSet = new Set(foundIds);
+    metrics.addEvaluateMetrics({
+      search,
+      tokens: 0,
+      runtime: 0,
+      cost: 0,
+      recall: Metrics.calculateRecall(foundIds, expectedIds),
+      precision: Metrics.calculatePrecision(foundIds, expectedIds),
+      ranking: Metrics.calculateRankMetrics(EmbeddingsEvaluator.getRankedIds(rankedIds, foundIds, expectedIds),
+        expectedIds, this.kValues, judgments.grades),
+      expectedCount: expectedIds.length,
+      foundCount: expectedIds.filter(id => foundSet.has(id)).length,
+      returnedCount: foundIds.length
+    });
+  }
+
+  /**
+   * Print and record on-disk size, retrieval latency and recall/precision of the float and the quantized index
+   * @param {Object} quantizationMetrics - Metrics per index ('float' and the quantization type)
+   * @param {Object} latencies - Retrieval latencies in ms per index
+   */
+  reportQuantizationComparison(quantizationMetrics, latencies) {
+    const type = this.options.quantization;
+    const comparison = {};
+    Object.entries(quantizationMetrics).forEach(([indexType, indexMetrics]) => {
+      const indexTotals = indexMetrics.getEvaluateTotals();
+      comparison[indexType] = {
+        sizeBytes: this.indexSizes[indexType],
+        ...(indexType !== 'float' && this.indexSizes.rescore > 0 && { rescoreBytes: this.indexSizes.rescore }),
+        averageLatency: latencies[indexType].reduce((sum, latency) => sum + latency, 0) / Math.max(latencies[indexType].length, 1),
+        macroRecall: indexTotals.macroAveraging.recall,
+        macroPrecision: indexTotals.macroAveraging.precision,
+        microRecall: indexTotals.microAveraging.recall,
+        microPrecision: indexTotals.microAveraging.precision,
+        mrr: indexTotals.ranking ? indexTotals.ranking.mrr : null
+      };
+    });
+    const float = comparison.float;
+    const quantized = comparison[type];
+    comparison.delta = {
+      macroRecall: quantized.macroRecall - float.macroRecall,
+      macroPrecision: quantized.macroPrecision - float.macroPrecision,
+      microRecall: quantized.microRecall - float.microRecall,
+      microPrecision: quantized.microPrecision - float.microPrecision,
+      sizeRatio: quantized.sizeBytes / float.sizeBytes,
+      // Including the float index binary candidates are rescored with
+      totalSizeRatio: (quantized.sizeBytes + (quantized.rescoreBytes || 0)) / float.sizeBytes,
+      latencyRatio: float.averageLatency > 0 ? quantized.averageLatency / float.averageLatency : null
+    };
+    this.metrics.setQuantizationComparison(comparison);
+    
+    const percent = value => `${value.toFixed(1)}%`;
+    const points = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)} pts`;
+    console.log(`\n🗜️  Quantization Comparison (${type} vs float index, without reranking):\n`);
+    console.log(Comparison.formatTable(
+      ['Index', 'Size on disk', 'Avg latency', 'Macro R', 'Macro P', 'Micro R', 'Micro P', 'MRR'],
+      ['float', type].map(indexType => [
+        indexType,
+        `${(comparison[indexType].sizeBytes / 1024).toFixed(1)} KB${comparison[indexType].rescoreBytes ? ` + ${(comparison[indexType].rescoreBytes / 1024).toFixed(1)} KB float` : ''}`,
+        `${comparison[indexType].averageLatency.toFixed(2)}ms`,
+        percent(comparison[indexType].macroRecall),
+        percent(comparison[indexType].macroPrecision),
+        percent(comparison[indexType].microRecall),
+        percent(comparison[indexType].microPrecision),
+        comparison[indexType].mrr === null ? '-' : comparison[indexType].mrr.toFixed(3)
+      ])
+    ).split('\n').map(line => `  ${line}`).join('\n'));
+    const { delta } = comparison;
+    const rescoreInfo = quantized.rescoreBytes ? ` (${(delta.totalSizeRatio * 100).toFixed(0)}% with the float index it rescores with)` : '';
+    console.log(`\n  Delta: Macro Recall ${points(delta.macroRecall)}, Macro Precision ${points(delta.macroPrecision)}, ${(delta.sizeRatio * 100).toFixed(0)}% of the float size${rescoreInfo}${delta.latencyRatio === null ? '' : `, ${delta.latencyRatio.toFixed(2)}x the float latency`}`);
+  }
+
   async generateEmbeddingsOnly() {
     try {
       console.log(`🔄 Generating embeddings for dataset '${this.dataset}' using model '${this.modelName}' and storing vectors...\n`);
@@ -381,7 +930,13 @@ class EmbeddingsEvaluator {
       // Load model configuration first
       await this.loadModelConfig();
       
-      const generator = new Generator(this.datasetPath, this.embeddingService, this.indexPath, this.modelName);
+      const generator = new Generator(this.datasetPath, this.embeddingService, this.indexPath, this.modelName, {
+        incremental: this.options.incremental,
+        metadataFields: this.modelConfig.metadataFields,
+        documentTemplate: this.documentTemplate,
+        chunking: this.chunking,
+        dimensions: this.modelConfig.dimensions
+      });
       const generatorMetrics = await generator.generate();
       
       // Merge generator metrics into our metrics if needed
@@ -390,6 +945,9 @@ class EmbeddingsEvaluator {
           this.metrics.addGenerateMetrics(metric);
         });
       }
+      if (generatorMetrics && generatorMetrics.generateChanges) {
+        this.metrics.setGenerateChanges(generatorMetrics.generateChanges);
+      }
       
     } catch (error) {
       console.error('❌ Error generating embeddings:', error.message);
@@ -418,12 +976,13 @@ class EmbeddingsEvaluator {
       
       // Prepare complete results with metrics
       const completeResults = {
+        config: this.getRunConfig(),
         results: results,
         metrics: this.metrics.getAllMetrics()
       };
       
       // Save results to file in dataset folder with model name
-      const resultsFileName = `evaluation-results-${this.modelName}.json`;
+      const resultsFileName = `evaluation-results-${this.getResultsName()}.json`;
       const resultsPath = path.join(this.datasetPath, resultsFileName);
       // Custom JSON replacer to prevent scientific notation for cost values
       const jsonReplacer = (key, value) => {
@@ -435,6 +994,11 @@ class EmbeddingsEvaluator {
       await fs.writeFile(resultsPath, JSON.stringify(completeResults, jsonReplacer, 2));
       console.log(`✅ Evaluation results saved to ${resultsPath}`);
       
+      // Diff against a saved baseline and fail the run on regressions
+      if (!await this.applyBaseline(completeResults, jsonReplacer)) {
+        process.exit(1);
+      }
+      
       return results;
     } catch (error) {
       console.error('❌ Error running evaluation:', error.message);
@@ -442,35 +1006,122 @@ class EmbeddingsEvaluator {
     }
   }
 
+  /**
+   * Save the run as a named baseline and/or diff it against one, depending on the options
+   * @param {Object} completeResults - Results and metrics of the run
+   * @param {Function} jsonReplacer - JSON replacer used for evaluation results
+   * @returns {Promise<boolean>} - False when the regression gate failed
+   */
+  async applyBaseline(completeResults, jsonReplacer) {
+    const baselineStore = new Baseline(this.datasetPath, this.getResultsName());
+    let passed = true;
+    
+    if (this.options.baseline) {
+      const baseline = await baselineStore.load(this.options.baseline);
+      const diff = Baseline.diff(baseline, completeResults);
+      const tolerances = Baseline.parseTolerances(this.options.tolerances);
+      const gate = Baseline.check(diff, tolerances);
+      passed = gate.passed;
+      
+      console.log(`\n📏 Baseline comparison against '${this.options.baseline}' (saved ${baseline.baseline ? baseline.baseline.savedAt : 'unknown'}):`);
+      console.log(`  Newly failing (${diff.newlyFailing.length}): ${diff.newlyFailing.map(search => `"${search}"`).join(', ') || '-'}`);
+      console.log(`  Newly passing (${diff.newlyPassing.length}): ${diff.newlyPassing.map(search => `"${search}"`).join(', ') || '-'}`);
+      if (diff.addedQueries.length > 0 || diff.removedQueries.length > 0) {
+        console.log(`  Queries added: ${diff.addedQueries.length}, removed: ${diff.removedQueries.length} (not compared)`);
+      }
+      
+      if (diff.rankChanges.length > 0) {
+        console.log(`  Rank changes of expected IDs:`);
+        const formatRank = rank => rank === null ? 'missing' : `#${rank}`;
+        diff.rankChanges.forEach(({ search, changes }) => {
+          console.log(`    "${search}": ${changes.map(change => `${change.id} ${formatRank(change.from)} → ${formatRank(change.to)}`).join(', ')}`);
+        });
+      }
+      
+      console.log('  Aggregates (points):');
+      Object.entries(diff.aggregates).forEach(([key, aggregate]) => {
+        const sign = aggregate.delta >= 0 ? '+' : '';
+        const tolerance = tolerances[key] === Infinity ? 'not gated' : `tolerance ${tolerances[key]}`;
+        console.log(`    ${key}: ${aggregate.baseline.toFixed(1)} → ${aggregate.current.toFixed(1)} (${sign}${aggregate.delta.toFixed(1)}, ${tolerance})`);
+      });
+      
+      if (gate.passed) {
+        console.log('✅ Regression gate passed');
+      } else {
+        console.log('❌ Regression gate failed:');
+        gate.violations.forEach(violation => console.log(`  - ${violation}`));
+      }
+    }
+    
+    if (this.options.saveBaseline) {
+      const baselinePath = await baselineStore.save(this.options.saveBaseline, completeResults, jsonReplacer);
+      console.log(`📌 Baseline '${this.options.saveBaseline}' saved to ${baselinePath}`);
+    }
+    
+    return passed;
+  }
+
+  /**
+   * Shorten a result description for display, unless --full-description is set
+   * @param {string} description - Result description
+   * @returns {string} - First 100 characters followed by "...", or the full description
+   */
+  formatDescription(description) {
+    return this.options.fullDescription ? description : `${description.substring(0, 100)}...`;
+  }
+
   // Helper method to display search results consistently
-  displaySearchResults(searchTerm, searchResults, belowThresholdResults, searchMetrics, expectedIds = []) {
+  displaySearchResults(searchTerm, searchResults, belowThresholdResults, searchMetrics, judgments = null, filter = null, ranking = null) {
     const foundIds = searchResults.map(r => r.id);
+    const expectedIds = judgments ? judgments.expectedIds : [];
     const embeddingCost = searchMetrics.embeddingCost;
     const rerankerCost = searchMetrics.rerankerCost;
     const totalCost = searchMetrics.totalCost;
+    const cacheInfo = searchMetrics.cached ? ' (cached)' : '';
     
     console.log(`Search: "${searchTerm}"`);
+    if (filter) {
+      console.log(`Filter: ${filter}`);
+    }
     
     // Only show evaluation-related information when we have expected results
     if (expectedIds.length > 0) {
-      console.log(`Expected: [${expectedIds.join(', ')}]`);
+      if (judgments.graded) {
+        console.log(`Expected: [${expectedIds.map(id => `${id} (grade ${judgments.grades.get(id)})`).join(', ')}]`);
+      } else {
+        console.log(`Expected: [${expectedIds.join(', ')}]`);
+      }
+      if (judgments.mustBeFirst !== null) {
+        console.log(`Must be first: ${judgments.mustBeFirst}`);
+      }
       console.log(`Found: [${foundIds.join(', ')}]`);
       
-      const validation = Validator.validateResults(foundIds, expectedIds);
+      const validation = Validator.validateResults(foundIds, expectedIds, judgments.mustBeFirst);
       console.log(`Validation: ${validation.isValid ? '✅' : '❌'} ${validation.message}`);
       
       // Calculate recall and precision
       const recall = Metrics.calculateRecall(foundIds, expectedIds);
       const precision = Metrics.calculatePrecision(foundIds, expectedIds);
-      console.log(`Recall: ${recall.toFixed(1)}%, Precision: ${precision.toFixed(1)}%`);
+      if (judgments.graded) {
+        const gradedRecall = Metrics.calculateGradedRecall(foundIds, expectedIds, judgments.grades);
+        const gradedPrecision = Metrics.calculateGradedPrecision(foundIds, expectedIds, judgments.grades);
+        console.log(`Recall: ${recall.toFixed(1)}%, Precision: ${precision.toFixed(1)}% (Graded: Recall ${gradedRecall.toFixed(1)}%, Precision ${gradedPrecision.toFixed(1)}%)`);
+      } else {
+        console.log(`Recall: ${recall.toFixed(1)}%, Precision: ${precision.toFixed(1)}%`);
+      }
+      
+      // Evaluation passes the metrics of the deeper candidate ranking, otherwise the shown results are ranked
+      ranking = ranking || Metrics.calculateRankMetrics(foundIds, expectedIds, this.kValues, judgments.grades);
+      const ndcgInfo = this.kValues.map(k => `nDCG@${k} ${ranking.ndcg[k].toFixed(3)}`).join(', ');
+      console.log(`Ranking: RR ${ranking.reciprocalRank.toFixed(3)}, AP ${ranking.averagePrecision.toFixed(3)}, ${ndcgInfo}`);
     }
     
     // Display metrics
     if (rerankerCost > 0) {
       const rerankerTokens = searchMetrics.rerankerTokens || 0;
-      console.log(`Metrics: Tokens: ${searchMetrics.tokens}, Reranker Tokens: ${rerankerTokens}, Runtime: ${searchMetrics.runtime}ms, Cost: $${totalCost.toFixed(8)} (Embedding: $${embeddingCost.toFixed(8)}, Reranker: $${rerankerCost.toFixed(8)})`);
+      console.log(`Metrics: Tokens: ${searchMetrics.tokens}${cacheInfo}, Reranker Tokens: ${rerankerTokens}, Runtime: ${searchMetrics.runtime}ms, Cost: $${totalCost.toFixed(8)} (Embedding: $${embeddingCost.toFixed(8)}, Reranker: $${rerankerCost.toFixed(8)})`);
     } else {
-      console.log(`Metrics: Tokens: ${searchMetrics.tokens}, Runtime: ${searchMetrics.runtime}ms, Cost: $${totalCost.toFixed(8)}`);
+      console.log(`Metrics: Tokens: ${searchMetrics.tokens}${cacheInfo}, Runtime: ${searchMetrics.runtime}ms, Cost: $${totalCost.toFixed(8)}`);
     }
     
     console.log(`Results above threshold (${searchResults.length}):`);
@@ -479,7 +1130,7 @@ class EmbeddingsEvaluator {
       const scoreLabel = result.reranked ? 'Relevance' : 'Score';
       const originalScoreInfo = result.reranked && result.originalScore ? ` (orig: ${result.originalScore.toFixed(4)})` : '';
       console.log(`  ${index + 1}. [ID: ${result.id}, ${scoreLabel}: ${result.score.toFixed(4)}${originalScoreInfo}] ${result.title}`);
-      console.log(`     ${result.description.substring(0, 100)}...`);
+      console.log(`     ${this.formatDescription(result.description)}`);
     });
     
     // Display below threshold results if they exist
@@ -489,26 +1140,377 @@ class EmbeddingsEvaluator {
         const scoreLabel = result.reranked ? 'Relevance' : 'Score';
         const originalScoreInfo = result.reranked && result.originalScore ? ` (orig: ${result.originalScore.toFixed(4)})` : '';
         console.log(`  ${searchResults.length + index + 1}. [ID: ${result.id}, ${scoreLabel}: ${result.score.toFixed(4)}${originalScoreInfo}] ${result.title}`);
-        console.log(`     ${result.description.substring(0, 100)}...`);
+        console.log(`     ${this.formatDescription(result.description)}`);
+      });
+    }
+  }
+
+  /**
+   * Number of inputs kept in the query mode history file
+   */
+  static get QUERY_HISTORY_SIZE() {
+    return 500;
+  }
+
+  /**
+   * Commands of the interactive query mode and their help text
+   */
+  static get QUERY_COMMANDS() {
+    return {
+      ':filter <expression>': 'restrict searches by metadata, e.g. :filter audience contains "new hires" (no expression clears it)',
+      ':k <n>': 'show at most n results (no value restores the default)',
+      ':threshold <score>': 'override minSimilarity for this session (no value restores the model\'s)',
+      ':rerank on|off': 'use or skip the model\'s reranker',
+      ':model <name>[,<name>]': 'switch to another model and its index, or compare several side by side',
+      ':show <id>': 'print the full content item',
+      ':similar <id>': 'find the items closest to an item\'s vector',
+      ':history': 'list the previous searches',
+      ':help': 'list these commands'
+    };
+  }
+
+  /**
+   * Width of a model column in side-by-side query results
+   */
+  static get QUERY_COLUMN_WIDTH() {
+    return 40;
+  }
+
+  /**
+   * Describe threshold values for a side-by-side column
+   * @param {Object} thresholds - Threshold values by setting name, as returned by retrieve() and search()
+   * @returns {string} - e.g. "minSimilarity 0.4, minLexicalScore 0.3"
+   */
+  static formatThresholds(thresholds) {
+    return Object.entries(thresholds).map(([name, value]) => `${name} ${value}`).join(', ');
+  }
+
+  /**
+   * Get the vector threshold a query session applies to a model
+   * @param {Object} session - Query session
+   * @param {EmbeddingsEvaluator} evaluator - Evaluator of the model
+   * @returns {number} - Session override or the model's minSimilarity
+   */
+  static getSessionThreshold(session, evaluator) {
+    return session.minSimilarity !== undefined ? session.minSimilarity : (evaluator.modelConfig.minSimilarity || 0.0);
+  }
+
+  /**
+   * Describe the settings of an interactive query session
+   * @param {Object} session - Query session
+   * @returns {string} - Models, k, thresholds, reranker and filter
+   */
+  static formatQuerySession(session) {
+    const { evaluators } = session;
+    const models = evaluators.map(evaluator => evaluator.modelName).join(', ');
+    const threshold = session.minSimilarity !== undefined
+      ? `${session.minSimilarity} (session)`
+      : evaluators.map(evaluator => `${evaluators.length > 1 ? `${evaluator.modelName} ` : ''}${EmbeddingsEvaluator.getSessionThreshold(session, evaluator)}`).join(', ');
+    const reranker = evaluators.some(evaluator => evaluator.rerankerService) ? (session.rerank ? 'on' : 'off') : 'none';
+    return `model${evaluators.length > 1 ? 's' : ''} ${models}, k ${session.topK || 'default'}, threshold ${threshold}, reranker ${reranker}, filter ${session.filter || 'none'}`;
+  }
+
+  /**
+   * Load the models of an interactive query session
+   * @param {string[]} modelNames - Model names
+   * @returns {Promise<EmbeddingsEvaluator[]>} - Initialized evaluator per model, for this evaluator's dataset
+   */
+  async loadQueryModels(modelNames) {
+    for (const modelName of modelNames) {
+      try {
+        await fs.access(path.join(this.configPath, `${modelName}-model.json`));
+      } catch (accessError) {
+        throw new Error(`Unknown model '${modelName}': ${modelName}-model.json does not exist.`);
+      }
+    }
+    const evaluators = [];
+    for (const modelName of modelNames) {
+      const evaluator = new EmbeddingsEvaluator(this.dataset, modelName, this.options);
+      await evaluator.initialize();
+      const stats = await evaluator.index.getIndexStats();
+      console.log(`📊 Using existing index of '${modelName}' with ${stats.items} items.\n`);
+      evaluators.push(evaluator);
+    }
+    return evaluators;
+  }
+
+  /**
+   * Print the results of several models for the same query in aligned columns
+   * Documents that only some models return above their threshold are marked with ◆ and listed below the table.
+   * @param {string} searchTerm - Search query
+   * @param {Object[]} columns - Per model: model, the thresholds its results are cut at, results, metrics, or error when
+   *   the search failed
+   * @param {MetadataFilter|null} filter - Metadata filter of the session
+   */
+  displaySideBySideResults(searchTerm, columns, filter = null) {
+    const width = EmbeddingsEvaluator.QUERY_COLUMN_WIDTH;
+    const truncate = text => (text.length > width ? `${text.substring(0, width - 1)}…` : text);
+    const answered = columns.filter(column => !column.error);
+    
+    // Which models return each document above their threshold
+    const returnedBy = new Map();
+    answered.forEach(column => column.results.forEach(result => {
+      if (!returnedBy.has(result.id)) {
+        returnedBy.set(result.id, { title: result.title, models: [] });
+      }
+      returnedBy.get(result.id).models.push(column.model);
+    }));
+    const isPartial = id => returnedBy.get(id).models.length < answered.length;
+    
+    const metricRow = (label, format) => [label, ...columns.map(column => (column.error ? '-' : format(column)))];
+    const rows = [
+      metricRow('Threshold', column => EmbeddingsEvaluator.formatThresholds(column.thresholds)),
+      metricRow('Latency', column => `${column.metrics.runtime}ms`),
+      metricRow('Cost', column => `$${column.metrics.totalCost.toFixed(8)}`),
+      metricRow('Tokens', column => `${column.metrics.tokens}${column.metrics.cached ? ' (cached)' : ''}`),
+      metricRow('Results', column => `${column.results.length} above threshold`)
+    ];
+    const rankCount = Math.max(1, ...answered.map(column => column.results.length));
+    for (let rank = 0; rank < rankCount; rank++) {
+      rows.push([`#${rank + 1}`, ...columns.map(column => {
+        if (column.error) {
+          return rank === 0 ? truncate(`❌ ${column.error}`) : '';
+        }
+        const result = column.results[rank];
+        if (!result) {
+          return rank === 0 ? '(none)' : '';
+        }
+        const scoreLabel = result.reranked ? 'r' : '';
+        return truncate(`${isPartial(result.id) ? '◆' : ' '} ${result.id} ${scoreLabel}${result.score.toFixed(4)} ${result.title}`);
+      })]);
+    }
+    
+    console.log(`Search: "${searchTerm}"`);
+    if (filter) {
+      console.log(`Filter: ${filter}`);
+    }
+    console.log(Comparison.formatTable(['', ...columns.map(column => column.model)], rows));
+    
+    const partial = [...returnedBy.entries()].filter(([id]) => isPartial(id));
+    if (partial.length > 0) {
+      console.log('◆ Returned above the threshold by only some models:');
+      partial.forEach(([id, { title, models }]) => {
+        const missing = answered.map(column => column.model).filter(model => !models.includes(model));
+        console.log(`  ${id} ${title}: ${models.join(', ')} (not ${missing.join(', ')})`);
       });
+    } else if (answered.length > 1 && returnedBy.size > 0) {
+      console.log('✅ All models return the same documents above their thresholds.');
+    }
+    if (answered.some(column => column.results.some(result => result.reranked))) {
+      console.log('  r = reranker relevance score');
+    }
+  }
+
+  /**
+   * Run a query with every model of a session in parallel and print the results side by side
+   * @param {string} searchTerm - Search query
+   * @param {Object} session - Query session
+   */
+  async searchSideBySide(searchTerm, session) {
+    const columns = await Promise.all(session.evaluators.map(async evaluator => {
+      const column = { model: evaluator.modelName };
+      try {
+        const searchResponse = await evaluator.search(searchTerm, session.topK || 3, {
+          filter: session.filter,
+          minSimilarity: session.minSimilarity,
+          rerank: session.rerank,
+          quiet: true
+        });
+        return {
+          ...column,
+          thresholds: searchResponse.thresholds,
+          results: session.topK ? searchResponse.results.slice(0, session.topK) : searchResponse.results,
+          metrics: searchResponse.metrics
+        };
+      } catch (searchError) {
+        return { ...column, error: searchError.message };
+      }
+    }));
+    this.displaySideBySideResults(searchTerm, columns, session.filter);
+  }
+
+  /**
+   * Read a content item of the dataset
+   * @param {string} id - Content id as typed by the user
+   * @returns {Promise<Object|null>} - Content item, null when no item has the id
+   */
+  async loadContentItem(id) {
+    const content = JSON.parse(await fs.readFile(path.join(this.datasetPath, 'content.json'), 'utf8'));
+    return content.find(item => String(item.id) === id) || null;
+  }
+
+  /**
+   * Search the items closest to a stored item's vector; chunked items use the mean of their chunk vectors
+   * @param {string} id - Content id as typed by the user
+   * @param {Object} session - Query session with the k, threshold and filter to apply
+   * @returns {Promise<Object[]|null>} - Results in search() format without the item itself, null when it isn't indexed
+   */
+  async findSimilar(id, session) {
+    const items = (await this.index.listItems()).filter(item => String(item.metadata.id) === id);
+    if (items.length === 0) {
+      return null;
+    }
+    const vector = items[0].vector.map((value, d) => items.reduce((sum, item) => sum + item.vector[d], 0) / items.length);
+    const limit = (session.topK || 3) * 3 + items.length;
+    const { results, isMatch } = await this.retrieve('', vector, 'vector', limit, { filter: session.filter, minSimilarity: session.minSimilarity });
+    return results
+      .filter(result => String(result.item.metadata.id) !== id)
+      .map(result => ({
+        id: result.item.metadata.id,
+        score: result.score,
+        title: result.item.metadata.title,
+        description: result.item.metadata.description,
+        matches: isMatch(result)
+      }));
+  }
+
+  /**
+   * Run a ":" command of the interactive query mode
+   * @param {string} input - Command line, e.g. ":k 5"
+   * @param {Object} session - Query session, updated in place
+   * @param {string[]} history - Previous inputs, most recent first
+   */
+  async runQueryCommand(input, session, history) {
+    const command = input.split(/\s+/)[0];
+    const argument = input.substring(command.length).trim();
+    const { evaluators } = session;
+    
+    switch (command) {
+      case ':help':
+        Object.entries(EmbeddingsEvaluator.QUERY_COMMANDS).forEach(([usage, description]) => console.log(`  ${usage.padEnd(22)} ${description}`));
+        console.log(`  Current settings: ${EmbeddingsEvaluator.formatQuerySession(session)}`);
+        break;
+      case ':filter':
+        session.filter = MetadataFilter.parse(argument || null);
+        console.log(session.filter ? `🔎 Filter set: ${session.filter}` : '🔎 Filter cleared.');
+        break;
+      case ':k': {
+        const k = argument ? parseInt(argument, 10) : null;
+        if (argument && (!Number.isInteger(k) || k < 1 || String(k) !== argument)) {
+          throw new Error(`Invalid k '${argument}'. Use a positive integer, e.g. :k 5`);
+        }
+        session.topK = k;
+        console.log(k ? `🔢 Showing at most ${k} results.` : '🔢 Result count restored to the default.');
+        break;
+      }
+      case ':threshold': {
+        const threshold = argument ? Number(argument) : undefined;
+        if (argument && (!Number.isFinite(threshold) || threshold < 0)) {
+          throw new Error(`Invalid threshold '${argument}'. Use a number >= 0, e.g. :threshold 0.5`);
+        }
+        session.minSimilarity = threshold;
+        console.log(threshold !== undefined ? `🎚️  Threshold set to ${threshold}.` : `🎚️  Threshold restored to the models' minSimilarity (${evaluators.map(evaluator => EmbeddingsEvaluator.getSessionThreshold(session, evaluator)).join(', ')}).`);
+        break;
+      }
+      case ':rerank':
+        if (argument !== 'on' && argument !== 'off') {
+          throw new Error('Use :rerank on or :rerank off');
+        }
+        if (argument === 'on' && !evaluators.some(evaluator => evaluator.rerankerService)) {
+          throw new Error(`${evaluators.length > 1 ? 'None of the models has a' : `Model '${evaluators[0].modelName}' has no`} reranker configured.`);
+        }
+        session.rerank = argument === 'on';
+        console.log(`🔄 Reranker ${argument}.`);
+        break;
+      case ':model': {
+        const modelNames = argument.split(',').map(name => name.trim()).filter(name => name);
+        if (modelNames.length === 0) {
+          throw new Error('Use :model <name>, e.g. :model voyageai, or :model voyageai,oa3large to compare models');
+        }
+        // The current models stay active when a new one can't be loaded
+        session.evaluators = await this.loadQueryModels(modelNames);
+        console.log(`🔁 Switched to ${modelNames.length > 1 ? 'models' : 'model'} ${modelNames.map(name => `'${name}'`).join(', ')}.`);
+        console.log(`   Settings: ${EmbeddingsEvaluator.formatQuerySession(session)}`);
+        break;
+      }
+      case ':show': {
+        if (!argument) {
+          throw new Error('Use :show <id>');
+        }
+        const item = await this.loadContentItem(argument);
+        if (!item) {
+          throw new Error(`No content item with id ${argument} in dataset '${this.dataset}'.`);
+        }
+        console.log(JSON.stringify(item, null, 2));
+        break;
+      }
+      case ':similar': {
+        if (!argument) {
+          throw new Error('Use :similar <id>');
+        }
+        const columns = await Promise.all(evaluators.map(async evaluator => {
+          const startTime = Date.now();
+          const results = await evaluator.findSimilar(argument, session);
+          if (!results) {
+            throw new Error(`No item with id ${argument} in the index of model '${evaluator.modelName}'.`);
+          }
+          const matches = results.filter(result => result.matches);
+          return {
+            model: evaluator.modelName,
+            thresholds: { minSimilarity: EmbeddingsEvaluator.getSessionThreshold(session, evaluator) },
+            results: session.topK ? matches.slice(0, session.topK) : matches,
+            belowThreshold: results.filter(result => !result.matches).slice(0, 3),
+            metrics: { tokens: 0, runtime: Date.now() - startTime, embeddingCost: 0, rerankerCost: 0, totalCost: 0 }
+          };
+        }));
+        if (columns.length > 1) {
+          this.displaySideBySideResults(`similar to ${argument}`, columns, session.filter);
+        } else {
+          evaluators[0].displaySearchResults(`similar to ${argument}`, columns[0].results, columns[0].belowThreshold, columns[0].metrics, null, session.filter);
+        }
+        break;
+      }
+      case ':history': {
+        const searches = history.filter(entry => !entry.startsWith(':') && entry !== 'q' && entry !== 'quit').slice(0, 20).reverse();
+        if (searches.length === 0) {
+          console.log('📜 No previous searches.');
+        }
+        searches.forEach((entry, index) => console.log(`  ${index + 1}. ${entry}`));
+        break;
+      }
+      default:
+        throw new Error(`Unknown command ${command}. Type :help for the list of commands.`);
     }
   }
 
   async queryMode() {
     try {
-      console.log(`🔍 Interactive search mode for dataset '${this.dataset}' using model '${this.modelName}'...\n`);
+      // --models runs every query against several models and shows the results side by side
+      const modelNames = this.options.models || [this.modelName];
+      console.log(`🔍 Interactive search mode for dataset '${this.dataset}' using model${modelNames.length > 1 ? 's' : ''} ${modelNames.map(name => `'${name}'`).join(', ')}...\n`);
       
-      await this.initialize();
+      // Settings applied to every search of the session; :model replaces the evaluators
+      const session = {
+        evaluators: await this.loadQueryModels(modelNames),
+        filter: null,
+        topK: null,
+        minSimilarity: undefined,
+        rerank: true
+      };
+      console.log('💡 Enter search terms to query the index. Type "q" or "quit" to exit.');
+      console.log('💡 Change settings with commands like ":k 5", ":threshold 0.5", ":rerank off" or ":model voyageai,oa3large". Type ":help" for all commands.\n');
       
-      const stats = await this.index.getIndexStats();
-      console.log(`📊 Using existing index with ${stats.items} items.\n`);
-      console.log('💡 Enter search terms to query the index. Type "q" or "quit" to exit.\n');
+      // Input history is kept across sessions, most recent first
+      const historyPath = path.join(__dirname, '.query-history');
+      let history = [];
+      try {
+        history = (await fs.readFile(historyPath, 'utf8')).split('\n').filter(line => line);
+      } catch (historyError) {
+        // No history yet
+      }
       
       // Import readline for user input
       const readline = require('readline');
       const rl = readline.createInterface({
         input: process.stdin,
-        output: process.stdout
+        output: process.stdout,
+        history,
+        historySize: EmbeddingsEvaluator.QUERY_HISTORY_SIZE,
+        removeHistoryDuplicates: true
+      });
+      rl.on('history', updated => {
+        history = updated;
+        fs.writeFile(historyPath, updated.join('\n')).catch(error => console.error(`⚠️  Could not save query history: ${error.message}`));
       });
       
       // Create a recursive function to handle continuous prompting
@@ -532,15 +1534,39 @@ class EmbeddingsEvaluator {
               return;
             }
             
+            // Session commands
+            if (trimmedTerm.startsWith(':')) {
+              try {
+                await this.runQueryCommand(trimmedTerm, session, history);
+              } catch (commandError) {
+                console.error(`❌ ${commandError.message}`);
+              }
+              console.log();
+              promptForSearch().then(resolve);
+              return;
+            }
+            
             try {
-              // Use the same search functionality as evaluate
-              const searchResponse = await this.search(trimmedTerm, 3);
-              const searchResults = searchResponse.results;
+              if (session.evaluators.length > 1) {
+                await this.searchSideBySide(trimmedTerm, session);
+                console.log();
+                promptForSearch().then(resolve);
+                return;
+              }
+              
+              // Use the same search functionality as evaluate, with the session's settings
+              const [evaluator] = session.evaluators;
+              const searchResponse = await evaluator.search(trimmedTerm, session.topK || 3, {
+                filter: session.filter,
+                minSimilarity: session.minSimilarity,
+                rerank: session.rerank
+              });
+              const searchResults = session.topK ? searchResponse.results.slice(0, session.topK) : searchResponse.results;
               const belowThresholdResults = searchResponse.belowThresholdResults;
               const searchMetrics = searchResponse.metrics;
               
               // Display results using the shared method
-              this.displaySearchResults(trimmedTerm, searchResults, belowThresholdResults, searchMetrics);
+              evaluator.displaySearchResults(trimmedTerm, searchResults, belowThresholdResults, searchMetrics, null, session.filter);
               console.log(); // Add blank line for readability
               
               // Continue prompting for next search
@@ -564,6 +1590,319 @@ class EmbeddingsEvaluator {
     }
   }
 
+  async generateReport() {
+    try {
+      console.log(`📝 Generating HTML report for dataset '${this.dataset}'...\n`);
+      
+      const outputPath = this.options.out
+        ? path.resolve(this.options.out)
+        : path.join(this.datasetPath, 'evaluation-report.html');
+      const generator = new ReportGenerator(this.datasetPath, this.configPath, this.options.models || null);
+      await generator.generate(this.dataset, outputPath);
+      
+      console.log(`✅ Report saved to ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      console.error('❌ Error generating report:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Score the top candidates of a query without applying minSimilarity
+   * When a reranker is configured the candidates carry reranked scores, as in search(), which reranks only the
+   * top 10, so at most 10 candidates are kept.
+   * @param {string} query - Search query
+   * @param {number} topN - Number of candidates to keep
+   * @param {string|null} filterExpression - Metadata filter of the eval query
+   * @returns {Promise<{candidates: Object[], cost: number}>} - Candidates [{id, score}] sorted by score and the cost spent
+   */
+  async scoreCandidates(query, topN, filterExpression = null) {
+    const result = await this.embeddingService.generateEmbedding(query, 'query');
+    let cost = this.embeddingService.calculateCost(result.tokens);
+    
+    // Filtered queries and chunked indexes score all items and keep the top candidates (documents) within the filter
+    const filter = MetadataFilter.parse(filterExpression);
+    let results;
+    if (filter || this.chunking) {
+      results = await this.index.queryItems(result.embedding, query);
+      if (filter) {
+        results = results.filter(item => filter.matches(item.item.metadata));
+      }
+      if (this.chunking) {
+        results = Chunker.aggregate(results, this.chunking);
+      }
+      results = results.slice(0, topN);
+    } else {
+      results = await this.index.queryItems(result.embedding, query, topN);
+    }
+    let candidates = results.map(item => ({
+      id: item.item.metadata.id,
+      score: item.score,
+      title: item.item.metadata.title,
+      description: item.item.metadata.description,
+      ...(this.documentTemplate && { text: item.item.metadata.text })
+    }));
+    
+    if (this.rerankerService && candidates.length > 0) {
+      // Rerank the same top 10 that search() sends to the reranker
+      const rerankerInput = candidates.slice(0, 10);
+      const rerankerResponse = await this.rerankerService.rerank(query, rerankerInput, 10);
+      candidates = Array.isArray(rerankerResponse) ? rerankerResponse : rerankerResponse.results;
+      cost += this.rerankerService.calculateCost(1, rerankerInput.length, Array.isArray(rerankerResponse) ? 0 : rerankerResponse.tokens);
+    }
+    
+    return {
+      candidates: candidates
+        .map(candidate => ({ id: candidate.id, score: candidate.score }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topN),
+      cost
+    };
+  }
+
+  async calibrateThreshold() {
+    try {
+      console.log(`🎯 Calibrating minSimilarity for dataset '${this.dataset}' using model '${this.modelName}'...\n`);
+      
+      await this.initialize();
+      
+      const topN = Calibrator.checkTopN(this.options.topN !== undefined ? this.options.topN : Calibrator.DEFAULT_TOP_N);
+      const step = Calibrator.checkStep(this.options.step !== undefined ? this.options.step : 0.01);
+      const objective = this.options.objective || 'f1';
+      if (!Calibrator.OBJECTIVES[objective]) {
+        throw new Error(`Unknown objective: ${objective}. Supported objectives: ${Object.keys(Calibrator.OBJECTIVES).join(', ')}`);
+      }
+      // The reranker only scores the top 10 candidates
+      const candidateCount = this.rerankerService ? Math.min(topN, 10) : topN;
+      if (candidateCount < topN) {
+        console.warn(`⚠️  The reranker scores only the top 10 candidates, calibrating on 10 instead of ${topN}.\n`);
+      }
+      
+      // Run every eval query once and keep the raw scores of its top candidates
+      const evalData = await this.loadEvalData();
+      const queries = [];
+      let totalCost = 0;
+      
+      for (const evalItem of evalData) {
+        console.log(`Scoring candidates for: "${evalItem.search}"`);
+        const { candidates, cost } = await this.scoreCandidates(evalItem.search, candidateCount, evalItem.filter);
+        totalCost += cost;
+        queries.push({
+          search: evalItem.search,
+          expectedIds: Validator.parseJudgments(evalItem).expectedIds,
+          candidates
+        });
+      }
+      
+      // Sweep thresholds offline
+      const curve = Calibrator.sweep(queries, step);
+      const recommended = Calibrator.recommend(curve, objective);
+      const currentThreshold = this.modelConfig.minSimilarity || 0.0;
+      const current = Calibrator.pointAt(curve, currentThreshold);
+      
+      const scoreType = this.rerankerService ? 'reranker relevance' : 'similarity';
+      console.log(`\n📈 Precision/Recall curve over ${scoreType} scores (top ${candidateCount} candidates, macro-averaged):`);
+      console.log('  Threshold  Recall   Precision  F1      F2      F0.5    Avg Results');
+      const displayStep = Math.max(step, 0.05);
+      curve
+        .filter(point => Math.abs(point.threshold / displayStep - Math.round(point.threshold / displayStep)) < 1e-6 ||
+          point === recommended || point === current)
+        .forEach(point => {
+          const marker = point === recommended ? ' ◀ recommended' : (point === current ? ' ◀ current' : '');
+          console.log(`  ${point.threshold.toFixed(2).padEnd(9)}  ${`${point.recall.toFixed(1)}%`.padEnd(7)}  ${`${point.precision.toFixed(1)}%`.padEnd(9)}  ${`${point.f1.toFixed(1)}%`.padEnd(6)}  ${`${point.f2.toFixed(1)}%`.padEnd(6)}  ${`${point['f0.5'].toFixed(1)}%`.padEnd(6)}  ${point.averageReturned.toFixed(1)}${marker}`);
+        });
+      
+      console.log(`\n🎯 Current minSimilarity ${currentThreshold}: Recall ${current.recall.toFixed(1)}%, Precision ${current.precision.toFixed(1)}%, ${objective.toUpperCase()} ${current[objective].toFixed(1)}%`);
+      console.log(`🎯 Recommended minSimilarity ${recommended.threshold} (max ${objective.toUpperCase()}): Recall ${recommended.recall.toFixed(1)}%, Precision ${recommended.precision.toFixed(1)}%, ${objective.toUpperCase()} ${recommended[objective].toFixed(1)}%`);
+      console.log(`💰 Calibration cost: $${totalCost.toFixed(8)}`);
+      
+      // Save the raw scores and the full curve
+      const calibrationPath = path.join(this.datasetPath, `calibration-${this.modelName}.json`);
+      await fs.writeFile(calibrationPath, JSON.stringify({
+        model: this.modelName,
+        scoreType,
+        topN: candidateCount,
+        objective,
+        currentThreshold,
+        recommendedThreshold: recommended.threshold,
+        curve,
+        queries
+      }, null, 2));
+      console.log(`✅ Calibration results saved to ${calibrationPath}`);
+      
+      if (this.options.write) {
+        const modelConfigPath = path.join(this.configPath, `${this.modelName}-model.json`);
+        const modelConfig = JSON.parse(await fs.readFile(modelConfigPath, 'utf8'));
+        modelConfig.minSimilarity = recommended.threshold;
+        await fs.writeFile(modelConfigPath, JSON.stringify(modelConfig, null, 2));
+        console.log(`✏️  Updated minSimilarity in ${modelConfigPath} to ${recommended.threshold}`);
+      }
+      
+      return { curve, recommended };
+    } catch (error) {
+      console.error('❌ Error calibrating threshold:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Report recall/precision against index size for stored vectors truncated to smaller dimensions
+   * Only the eval queries are embedded; vector similarity is scored offline, without reranking or hybrid retrieval.
+   * @returns {Promise<{results: Object[], recommended: Object}>} - One result per size and the recommended size
+   */
+  async analyzeDimensions() {
+    try {
+      console.log(`🪆 Analyzing Matryoshka truncation for dataset '${this.dataset}' using model '${this.modelName}'...\n`);
+
+      await this.initialize();
+
+      const topN = Calibrator.checkTopN(this.options.topN !== undefined ? this.options.topN : Calibrator.DEFAULT_TOP_N);
+      const step = Calibrator.checkStep(this.options.step !== undefined ? this.options.step : 0.01);
+      const maxLoss = this.options.maxLoss !== undefined ? this.options.maxLoss : 1;
+      const minSimilarity = this.modelConfig.minSimilarity || 0.0;
+
+      const items = await this.index.listItems();
+      if (items.length === 0) {
+        throw new Error(`The index of model '${this.modelName}' is empty. Please run generate first.`);
+      }
+      const fullSize = items[0].vector.length;
+      const sizes = MatryoshkaAnalysis.getSizes(fullSize, this.options.dims || null);
+
+      // Embed every eval query once at full size
+      const evalData = await this.loadEvalData();
+      const queries = [];
+      let totalCost = 0;
+      for (const evalItem of evalData) {
+        console.log(`Embedding query: "${evalItem.search}"`);
+        const result = await this.embeddingService.generateEmbedding(evalItem.search, 'query');
+        totalCost += this.embeddingService.calculateCost(result.tokens);
+        queries.push({
+          search: evalItem.search,
+          expectedIds: Validator.parseJudgments(evalItem).expectedIds,
+          filter: evalItem.filter,
+          embedding: result.embedding
+        });
+      }
+
+      const results = sizes.map(size => MatryoshkaAnalysis.evaluate(queries, items, size, {
+        topN,
+        step,
+        minSimilarity,
+        chunking: this.chunking
+      }));
+      const recommended = MatryoshkaAnalysis.recommend(results, maxLoss);
+      const full = results[0];
+
+      if (this.rerankerService || this.retrieval.mode !== 'vector') {
+        console.log('\n⚠️  Scores are vector similarities only; the configured reranker and hybrid retrieval are not applied.');
+      }
+      console.log(`\n📐 Truncated vectors of ${items.length} indexed items (top ${topN} candidates, macro-averaged):`);
+      console.log(`  Dims   Index size          Recall@${minSimilarity}  Precision@${minSimilarity}  Best F1  Threshold`);
+      results.forEach(result => {
+        const size = `${(result.indexBytes / 1024).toFixed(1)} KB (${((result.indexBytes / full.indexBytes) * 100).toFixed(0)}%)`;
+        const marker = result === recommended ? ' ◀ recommended' : '';
+        console.log(`  ${String(result.dimensions).padEnd(5)}  ${size.padEnd(18)}  ${`${result.recall.toFixed(1)}%`.padEnd(7 + String(minSimilarity).length)}  ${`${result.precision.toFixed(1)}%`.padEnd(10 + String(minSimilarity).length)}  ${`${result.bestF1.toFixed(1)}%`.padEnd(7)}  ${result.bestThreshold}${marker}`);
+      });
+
+      console.log(`\n🎯 Recommended dimensions: ${recommended.dimensions} (best F1 ${recommended.bestF1.toFixed(1)}% vs ${full.bestF1.toFixed(1)}% at ${fullSize}, max loss ${maxLoss} points, ${((recommended.indexBytes / full.indexBytes) * 100).toFixed(0)}% of the index size)`);
+      if (recommended.dimensions !== fullSize) {
+        console.log(`💡 Set "dimensions": ${recommended.dimensions} and "minSimilarity": ${recommended.bestThreshold} in ${this.modelName}-model.json if the vendor supports reduced dimensions, then run generate again.`);
+      }
+      console.log(`💰 Analysis cost: $${totalCost.toFixed(8)}`);
+
+      const analysisPath = path.join(this.datasetPath, `matryoshka-${this.modelName}.json`);
+      await fs.writeFile(analysisPath, JSON.stringify({
+        model: this.modelName,
+        fullDimensions: fullSize,
+        itemCount: items.length,
+        topN,
+        minSimilarity,
+        maxLoss,
+        recommendedDimensions: recommended.dimensions,
+        results
+      }, null, 2));
+      console.log(`✅ Matryoshka results saved to ${analysisPath}`);
+
+      return { results, recommended };
+    } catch (error) {
+      console.error('❌ Error analyzing dimensions:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Build quantized variants of the model's float index, to evaluate with --quantization
+   * @returns {Promise<Object[]>} - Type, path and size of every variant built
+   */
+  async quantizeIndex() {
+    try {
+      console.log(`🗜️  Quantizing the index of dataset '${this.dataset}' for model '${this.modelName}'...\n`);
+      
+      await this.initialize({ quantized: false });
+      
+      const types = this.options.quantization
+        ? this.options.quantization.split(',').map(type => QuantizedIndex.checkType(type.trim()))
+        : QuantizedIndex.TYPES;
+      const floatSize = (await fs.stat(path.join(this.indexPath, `${this.modelName}.json`))).size;
+      const variants = [];
+      
+      for (const type of types) {
+        const quantizedPath = QuantizedIndex.getPath(this.indexPath, this.modelName, type);
+        const { items, dimensions } = await QuantizedIndex.build(this.index, quantizedPath, type, { candidates: this.options.candidates });
+        const size = await new QuantizedIndex(quantizedPath).getFileSize();
+        variants.push({ type, path: quantizedPath, size });
+        console.log(`✓ ${type}: ${items} vectors of ${dimensions} dimensions, ${(size / 1024).toFixed(1)} KB (${((size / floatSize) * 100).toFixed(0)}% of the float index, ${(floatSize / 1024).toFixed(1)} KB) saved to ${quantizedPath}`);
+        if (type === 'binary') {
+          console.log('  Binary searches rescore their candidates with the float index, keep it next to the binary file.');
+        }
+      }
+      
+      console.log(`\n💡 Evaluate a variant against the float index with: npm run evaluate -- --dataset ${this.dataset} --model ${this.modelName} --quantization ${types[0]}`);
+      return variants;
+    } catch (error) {
+      console.error('❌ Error quantizing index:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Serve searches over the indexes of one or more datasets and models as a local REST API
+   * @returns {Promise<SearchServer>} - Listening server
+   */
+  async serve() {
+    try {
+      const datasets = this.options.datasets || [this.dataset];
+      const models = this.options.models || [this.modelName];
+      console.log(`🌐 Loading indexes of dataset(s) ${datasets.join(', ')} for model(s) ${models.join(', ')}...\n`);
+      
+      const server = new SearchServer({
+        createEvaluator: (dataset, model) => new EmbeddingsEvaluator(dataset, model, this.options),
+        datasets,
+        models,
+        port: this.options.port,
+        host: this.options.host
+      });
+      await server.start();
+      return server;
+    } catch (error) {
+      console.error('❌ Error starting search API:', error.message);
+      process.exit(1);
+    }
+  }
+
+  async compareModels() {
+    try {
+      console.log(`📊 Comparing evaluation results for dataset '${this.dataset}'...\n`);
+      
+      const comparison = new Comparison(this.datasetPath, this.configPath, this.options.models || null);
+      return await comparison.run();
+    } catch (error) {
+      console.error('❌ Error comparing models:', error.message);
+      process.exit(1);
+    }
+  }
+
   async run() {
     try {
       console.log(`Starting Embeddings Evaluator for dataset '${this.dataset}' using model '${this.modelName}'...\n`);
@@ -585,12 +1924,13 @@ class EmbeddingsEvaluator {
       
       // Prepare complete results with metrics
       const completeResults = {
+        config: this.getRunConfig(),
         results: results,
         metrics: this.metrics.getAllMetrics()
       };
       
       // Save results to file in dataset folder with model name
-      const resultsFileName = `evaluation-results-${this.modelName}.json`;
+      const resultsFileName = `evaluation-results-${this.getResultsName()}.json`;
       const resultsPath = path.join(this.datasetPath, resultsFileName);
       // Custom JSON replacer to prevent scientific notation for cost values
       const jsonReplacer = (key, value) => {
@@ -602,6 +1942,11 @@ class EmbeddingsEvaluator {
       await fs.writeFile(resultsPath, JSON.stringify(completeResults, jsonReplacer, 2));
       console.log(`Evaluation results saved to ${resultsPath}`);
       
+      // Diff against a saved baseline and fail the run on regressions
+      if (!await this.applyBaseline(completeResults, jsonReplacer)) {
+        process.exit(1);
+      }
+      
       return results;
     } catch (error) {
       console.error('Error running evaluation:', error.message);
@@ -619,6 +1964,7 @@ if (require.main === module) {
     let command = 'run'; // default command
     let dataset = 'default'; // default dataset
     let modelName = 'default'; // default model
+    const options = {};
     
     // Parse arguments
     for (let i = 0; i < args.length; i++) {
@@ -629,11 +1975,103 @@ if (require.main === module) {
       } else if (arg === '--model' && i + 1 < args.length) {
         modelName = args[i + 1];
         i++; // skip next argument as it's the model name
-      } else if (arg === 'generate' || arg === 'evaluate' || arg === 'query') {
+      } else if (arg === '--incremental') {
+        options.incremental = true;
+      } else if (arg === '--k' && i + 1 < args.length) {
+        options.kValues = args[i + 1].split(',').map(k => parseInt(k.trim(), 10));
+        if (options.kValues.some(k => !Number.isInteger(k) || k < 1)) {
+          console.error(`❌ Error: Invalid --k value '${args[i + 1]}'. Use comma-separated positive integers, e.g. --k 1,3,5`);
+          process.exit(1);
+        }
+        i++; // skip next argument as it's the k list
+      } else if (arg === '--no-cache') {
+        options.noCache = true;
+      } else if (arg === '--clear-cache') {
+        options.clearCache = true;
+      } else if (arg === '--datasets' && i + 1 < args.length) {
+        options.datasets = args[i + 1].split(',').map(name => name.trim()).filter(name => name);
+        i++; // skip next argument as it's the dataset list
+      } else if (arg === '--port' && i + 1 < args.length) {
+        options.port = parseInt(args[i + 1], 10);
+        if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+          console.error(`❌ Error: Invalid --port value '${args[i + 1]}'. Use a port number, e.g. --port 3000`);
+          process.exit(1);
+        }
+        i++; // skip next argument as it's the port
+      } else if (arg === '--host' && i + 1 < args.length) {
+        options.host = args[i + 1];
+        i++; // skip next argument as it's the host
+      } else if (arg === '--models' && i + 1 < args.length) {
+        options.models = args[i + 1].split(',').map(name => name.trim()).filter(name => name);
+        i++; // skip next argument as it's the model list
+      } else if (arg === '--top' && i + 1 < args.length) {
+        options.topN = Number(args[i + 1]);
+        if (!Number.isInteger(options.topN) || options.topN < 1) {
+          console.error(`❌ Error: Invalid --top value '${args[i + 1]}'. Use a positive integer, e.g. --top 20`);
+          process.exit(1);
+        }
+        i++; // skip next argument as it's the candidate count
+      } else if (arg === '--step' && i + 1 < args.length) {
+        options.step = Number(args[i + 1]);
+        if (!Number.isFinite(options.step) || options.step <= 0 || options.step > 1) {
+          console.error(`❌ Error: Invalid --step value '${args[i + 1]}'. Use a number greater than 0 and at most 1, e.g. --step 0.01`);
+          process.exit(1);
+        }
+        i++; // skip next argument as it's the threshold step
+      } else if (arg === '--objective' && i + 1 < args.length) {
+        options.objective = args[i + 1].toLowerCase();
+        i++; // skip next argument as it's the objective
+      } else if (arg === '--out' && i + 1 < args.length) {
+        options.out = args[i + 1];
+        i++; // skip next argument as it's the output path
+      } else if (arg === '--baseline' && i + 1 < args.length) {
+        options.baseline = args[i + 1];
+        i++; // skip next argument as it's the baseline name
+      } else if (arg === '--save-baseline' && i + 1 < args.length) {
+        options.saveBaseline = args[i + 1];
+        i++; // skip next argument as it's the baseline name
+      } else if (arg === '--tolerance' && i + 1 < args.length) {
+        options.tolerances = args[i + 1];
+        i++; // skip next argument as it's the tolerance list
+      } else if (arg === '--record' && i + 1 < args.length) {
+        options.record = args[i + 1];
+        i++; // skip next argument as it's the fixtures path
+      } else if (arg === '--replay' && i + 1 < args.length) {
+        options.replay = args[i + 1];
+        i++; // skip next argument as it's the fixtures path
+      } else if (arg === '--config-path' && i + 1 < args.length) {
+        options.configPath = args[i + 1];
+        i++; // skip next argument as it's the config folder
+      } else if (arg === '--dims' && i + 1 < args.length) {
+        options.dims = args[i + 1].split(',').map(size => parseInt(size.trim(), 10));
+        i++; // skip next argument as it's the dimension list
+      } else if (arg === '--max-loss' && i + 1 < args.length) {
+        options.maxLoss = parseFloat(args[i + 1]);
+        i++; // skip next argument as it's the accepted F1 loss
+      } else if (arg === '--quantization' && i + 1 < args.length) {
+        options.quantization = args[i + 1].toLowerCase();
+        i++; // skip next argument as it's the quantization type
+      } else if (arg === '--candidates' && i + 1 < args.length) {
+        options.candidates = parseInt(args[i + 1], 10);
+        if (!Number.isInteger(options.candidates) || options.candidates < 1) {
+          console.error(`❌ Error: Invalid --candidates value '${args[i + 1]}'. Use a positive integer, e.g. --candidates 100`);
+          process.exit(1);
+        }
+        i++; // skip next argument as it's the candidate count
+      } else if (arg === '--full-description') {
+        options.fullDescription = true;
+      } else if (arg === '--write') {
+        options.write = true;
+      } else if (arg === 'generate' || arg === 'evaluate' || arg === 'query' || arg === 'compare' || arg === 'calibrate' || arg === 'matryoshka' || arg === 'quantize' || arg === 'serve' || arg === 'report') {
         command = arg;
       }
     }
     
+    if (options.record && options.replay) {
+      console.error('❌ Error: --record and --replay cannot be combined. Record fixtures first, then replay them.');
+      process.exit(1);
+    }
+    
     // Validate dataset - check if dataset folder exists
     const datasetPath = path.join(__dirname, dataset);
     try {
@@ -648,8 +2086,17 @@ if (require.main === module) {
       console.log('   npm start -- --dataset default --model default');
       console.log('   npm start -- --dataset courses-de --model oa3large');      
       console.log('   npm run generate -- --dataset courses-de --model default');
+      console.log('   npm run generate -- --dataset intranet --model voyageai --incremental');
       console.log('   npm run evaluate -- --dataset default --model oa3large');
       console.log('   npm run query -- --dataset intranet --model voyageai');
+      console.log('   npm run compare -- --dataset intranet --models default,oa3large,voyageai');
+      console.log('   npm run calibrate -- --dataset intranet --model voyageai --objective f1 --write');
+      console.log('   npm run matryoshka -- --dataset intranet --model oa3large --dims 256,512,1024');
+      console.log('   npm run quantize -- --dataset intranet --model voyageai --quantization int8,binary');
+      console.log('   npm run evaluate -- --dataset intranet --model voyageai --quantization binary');
+      console.log('   npm run serve -- --datasets intranet,default --models default,voyageai --port 3000');
+      console.log('   npm run report -- --dataset intranet --models default,voyageai --out report.html');
+      console.log('   npm run evaluate -- --dataset intranet --model voyageai --baseline main --tolerance macroRecall=2');
       console.log('');
       console.log('   Or run directly:');
       console.log('   node index.js --dataset default --model default');
@@ -658,12 +2105,12 @@ if (require.main === module) {
       process.exit(1);
     }
     
-    const evaluator = new EmbeddingsEvaluator(dataset, modelName);
+    const evaluator = new EmbeddingsEvaluator(dataset, modelName, options);
     
     // Handle different commands
     switch (command) {
       case 'generate':
-        console.log(`🚀 Command: Generate embeddings and store vectors for dataset '${dataset}' using model '${modelName}'\n`);
+        console.log(`🚀 Command: ${options.incremental ? 'Incrementally update' : 'Generate'} embeddings and store vectors for dataset '${dataset}' using model '${modelName}'\n`);
         evaluator.generateEmbeddingsOnly();
         break;
       case 'evaluate':
@@ -671,9 +2118,33 @@ if (require.main === module) {
         evaluator.evaluateOnly();
         break;
       case 'query':
-        console.log(`🚀 Command: Interactive search query for dataset '${dataset}' using model '${modelName}'\n`);
+        console.log(`🚀 Command: Interactive search query for dataset '${dataset}' using model(s) '${(options.models || [modelName]).join(', ')}'\n`);
         evaluator.queryMode();
         break;
+      case 'calibrate':
+        console.log(`🚀 Command: Calibrate minSimilarity for dataset '${dataset}' using model '${modelName}'\n`);
+        evaluator.calibrateThreshold();
+        break;
+      case 'matryoshka':
+        console.log(`🚀 Command: Analyze truncated vector dimensions for dataset '${dataset}' using model '${modelName}'\n`);
+        evaluator.analyzeDimensions();
+        break;
+      case 'quantize':
+        console.log(`🚀 Command: Build quantized index variants for dataset '${dataset}' using model '${modelName}'\n`);
+        evaluator.quantizeIndex();
+        break;
+      case 'serve':
+        console.log(`🚀 Command: Serve the search API for dataset(s) '${(options.datasets || [dataset]).join(', ')}' using model(s) '${(options.models || [modelName]).join(', ')}'\n`);
+        evaluator.serve();
+        break;
+      case 'report':
+        console.log(`🚀 Command: Generate HTML evaluation report for dataset '${dataset}'${options.models ? ` (${options.models.join(', ')})` : ''}\n`);
+        evaluator.generateReport();
+        break;
+      case 'compare':
+        console.log(`🚀 Command: Compare models on dataset '${dataset}'${options.models ? ` (${options.models.join(', ')})` : ''}\n`);
+        evaluator.compareModels();
+        break;
       default:
         console.log(`🚀 Command: Full pipeline (generate + evaluate) for dataset '${dataset}' using model '${modelName}'\n`);
         evaluator.run();
@@ -683,6 +2154,7 @@ if (require.main === module) {
     console.error('\n❌ Error:', error.message);
     console.error('\n💡 Please create a .env file with the required API key for your chosen model:');
     console.error('   For OpenAI models: OPENAI_API_KEY=your_openai_api_key_here');
+    console.error('   Or use --model local to run offline without any API key.');
     console.error('\n📖 See .env.example for the template.');
     process.exit(1);
   }
@@ -7,8 +7,9 @@ const path = require('path');
 const args = process.argv.slice(2);
 let inputFile = null;
 let outputFile = null;
+let extraFields = [];
 
-// Parse --in and --out flags
+// Parse --in, --out and --fields flags
 for (let i = 0; i < args.length; i++) {
     if (args[i] === '--in' && i + 1 < args.length) {
         inputFile = args[i + 1];
@@ -16,12 +17,16 @@ for (let i = 0; i < args.length; i++) {
     } else if (args[i] === '--out' && i + 1 < args.length) {
         outputFile = args[i + 1];
         i++; // Skip next argument since we consumed it
+    } else if (args[i] === '--fields' && i + 1 < args.length) {
+        // Extra fields kept as search metadata, e.g. type,audience,owner_email
+        extraFields = args[i + 1].split(',').map(field => field.trim()).filter(field => field);
+        i++; // Skip next argument since we consumed it
     }
 }
 
 // Validate arguments
 if (!inputFile || !outputFile) {
-    console.error('Usage: node textonly.js --in <input_file> --out <output_file>');
+    console.error('Usage: node textonly.js --in <input_file> --out <output_file> [--fields <field1,field2,...>]');
     process.exit(1);
 }
 
@@ -37,12 +42,20 @@ try {
     const rawData = fs.readFileSync(inputFile, 'utf8');
     const jsonData = JSON.parse(rawData);
 
-    // Extract only id, title, and description fields
-    const filteredData = jsonData.map(item => ({
-        id: item.id,
-        title: item.title,
-        description: item.description
-    }));
+    // Extract id, title, and description plus the requested extra fields
+    const filteredData = jsonData.map(item => {
+        const filteredItem = {
+            id: item.id,
+            title: item.title,
+            description: item.description
+        };
+        extraFields.forEach(field => {
+            if (item[field] !== undefined) {
+                filteredItem[field] = item[field];
+            }
+        });
+        return filteredItem;
+    });
 
     // Write the filtered data to output file
     console.log(`Writing to: ${outputFile}`);
@@ -0,0 +1,230 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Metrics = require('./metrics');
+const Validator = require('./validate');
+
+/**
+ * Named baseline runs per dataset and model, and the regression gate that diffs new runs against them
+ */
+class Baseline {
+  /**
+   * Allowed drop in points per aggregate metric before the gate fails
+   * MRR and MAP are compared in points as well (fraction x 100). newlyFailing is a query count.
+   */
+  static get DEFAULT_TOLERANCES() {
+    return {
+      macroRecall: 2,
+      macroPrecision: 2,
+      microRecall: 2,
+      microPrecision: 2,
+      weightedRecall: Infinity,
+      weightedPrecision: Infinity,
+      mrr: Infinity,
+      map: Infinity,
+      newlyFailing: Infinity
+    };
+  }
+
+  /**
+   * @param {string} datasetPath - Path to the dataset folder
+   * @param {string} modelName - Model name
+   */
+  constructor(datasetPath, modelName) {
+    this.baselineDir = path.join(datasetPath, 'baselines', modelName);
+    this.modelName = modelName;
+  }
+
+  /**
+   * Get the file path of a named baseline
+   * @param {string} name - Baseline name
+   * @returns {string} - Baseline file path
+   */
+  getPath(name) {
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Invalid baseline name '${name}'. Use letters, digits, '.', '-' and '_' only`);
+    }
+    return path.join(this.baselineDir, `${name}.json`);
+  }
+
+  /**
+   * Save evaluation results as a named baseline
+   * @param {string} name - Baseline name
+   * @param {Object} completeResults - Results and metrics as written to evaluation-results-{model}.json
+   * @param {Function} jsonReplacer - JSON replacer used for evaluation results
+   * @returns {Promise<string>} - Baseline file path
+   */
+  async save(name, completeResults, jsonReplacer = null) {
+    const baselinePath = this.getPath(name);
+    await fs.mkdir(this.baselineDir, { recursive: true });
+    await fs.writeFile(baselinePath, JSON.stringify({
+      baseline: { name, model: this.modelName, savedAt: new Date().toISOString() },
+      ...completeResults
+    }, jsonReplacer, 2));
+    return baselinePath;
+  }
+
+  /**
+   * Load a named baseline
+   * @param {string} name - Baseline name
+   * @returns {Promise<Object>} - Saved baseline
+   */
+  async load(name) {
+    const baselinePath = this.getPath(name);
+    try {
+      return JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Baseline '${name}' not found at ${baselinePath}. Save one with --save-baseline ${name}`);
+      }
+      throw new Error(`Failed to read baseline '${name}': ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse tolerance overrides such as "macroRecall=1,newlyFailing=0"
+   * @param {string} value - Comma-separated key=value pairs
+   * @returns {Object} - Tolerances merged over the defaults
+   */
+  static parseTolerances(value) {
+    const tolerances = Baseline.DEFAULT_TOLERANCES;
+    if (!value) {
+      return tolerances;
+    }
+
+    value.split(',').forEach(pair => {
+      const parts = pair.split('=').map(part => part.trim());
+      if (parts.length !== 2) {
+        throw new Error(`Invalid tolerance '${pair.trim()}'. Use name=limit pairs, e.g. macroRecall=2,mrr=off`);
+      }
+      const [key, limit] = parts;
+      if (!(key in tolerances)) {
+        throw new Error(`Unknown tolerance '${key}'. Supported: ${Object.keys(tolerances).join(', ')}`);
+      }
+      // Number() rejects trailing garbage such as '1abc' that parseFloat would accept
+      const parsed = Number(limit);
+      if (limit !== 'off' && (limit === '' || !Number.isFinite(parsed) || parsed < 0)) {
+        throw new Error(`Invalid tolerance for ${key}: '${limit}'. Use a non-negative number or 'off'`);
+      }
+      tolerances[key] = limit === 'off' ? Infinity : parsed;
+    });
+
+    return tolerances;
+  }
+
+  /**
+   * Extract the gated aggregate metrics from evaluation totals
+   * @param {Object} totals - Evaluation totals
+   * @returns {Object} - Aggregates in points
+   */
+  static getAggregates(totals) {
+    return {
+      macroRecall: totals.macroAveraging.recall,
+      macroPrecision: totals.macroAveraging.precision,
+      microRecall: totals.microAveraging.recall,
+      microPrecision: totals.microAveraging.precision,
+      weightedRecall: totals.weightedAveraging.recall,
+      weightedPrecision: totals.weightedAveraging.precision,
+      mrr: totals.ranking ? totals.ranking.mrr * 100 : null,
+      map: totals.ranking ? totals.ranking.map * 100 : null
+    };
+  }
+
+  /**
+   * Recompute evaluation totals from saved per-query metric items
+   * @param {Object} savedResults - Saved evaluation results
+   * @returns {Object} - Evaluation totals
+   */
+  static getTotals(savedResults) {
+    const evaluateMetrics = savedResults.metrics.evaluate || savedResults.metrics;
+    const metrics = new Metrics();
+    (evaluateMetrics.items || []).forEach(item => metrics.addEvaluateMetrics(item));
+    return metrics.getEvaluateTotals();
+  }
+
+  /**
+   * Diff a run against a baseline per query and in aggregate
+   * @param {Object} baseline - Saved baseline
+   * @param {Object} current - Current complete results
+   * @returns {Object} - Newly failing/passing queries, rank changes and aggregate deltas
+   */
+  static diff(baseline, current) {
+    const baselineQueries = new Map(baseline.results.map(result => [Validator.getQueryLabel(result), result]));
+    const newlyFailing = [];
+    const newlyPassing = [];
+    const rankChanges = [];
+    const addedQueries = [];
+
+    current.results.forEach(result => {
+      const label = Validator.getQueryLabel(result);
+      const previous = baselineQueries.get(label);
+      if (!previous) {
+        addedQueries.push(label);
+        return;
+      }
+      baselineQueries.delete(label);
+
+      const wasValid = !!(previous.validation && previous.validation.isValid);
+      const isValid = !!(result.validation && result.validation.isValid);
+      if (wasValid && !isValid) {
+        newlyFailing.push(label);
+      } else if (!wasValid && isValid) {
+        newlyPassing.push(label);
+      }
+
+      // Rank of each expected ID, null when it wasn't returned
+      const rankOf = (found, id) => {
+        const index = (found || []).indexOf(id);
+        return index >= 0 ? index + 1 : null;
+      };
+      const changes = (result.expected || [])
+        .map(id => ({ id, from: rankOf(previous.found, id), to: rankOf(result.found, id) }))
+        .filter(change => change.from !== change.to);
+      if (changes.length > 0) {
+        rankChanges.push({ search: label, changes });
+      }
+    });
+
+    const before = Baseline.getAggregates(Baseline.getTotals(baseline));
+    const after = Baseline.getAggregates(current.metrics.evaluate.totals);
+    const aggregates = {};
+    Object.keys(before).forEach(key => {
+      if (before[key] !== null && after[key] !== null) {
+        aggregates[key] = { baseline: before[key], current: after[key], delta: after[key] - before[key] };
+      }
+    });
+
+    return {
+      newlyFailing,
+      newlyPassing,
+      rankChanges,
+      addedQueries,
+      removedQueries: [...baselineQueries.keys()],
+      aggregates
+    };
+  }
+
+  /**
+   * Check a diff against the tolerances
+   * @param {Object} diff - Result of diff()
+   * @param {Object} tolerances - Allowed drops per metric
+   * @returns {{passed: boolean, violations: string[]}} - Gate outcome
+   */
+  static check(diff, tolerances) {
+    const violations = [];
+
+    Object.entries(diff.aggregates).forEach(([key, aggregate]) => {
+      const drop = -aggregate.delta;
+      if (drop > tolerances[key] + 1e-9) {
+        violations.push(`${key} dropped ${drop.toFixed(2)} points (tolerance ${tolerances[key]})`);
+      }
+    });
+
+    if (diff.newlyFailing.length > tolerances.newlyFailing) {
+      violations.push(`${diff.newlyFailing.length} newly failing queries (tolerance ${tolerances.newlyFailing})`);
+    }
+
+    return { passed: violations.length === 0, violations };
+  }
+}
+
+module.exports = Baseline;
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const LocalVectorizer = require('./local-embedding');
+
+/**
+ * BM25 lexical index over the embedded text of each content item (see DocumentTemplate)
+ * Built during generate next to the vector index, so keyword queries can be matched exactly.
+ */
+class BM25Index {
+  /**
+   * @param {Object} options - BM25 parameters
+   * @param {number} options.k1 - Term frequency saturation (default 1.2)
+   * @param {number} options.b - Document length normalization (default 0.75)
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 === undefined ? 1.2 : options.k1;
+    this.b = options.b === undefined ? 0.75 : options.b;
+    this.documents = [];
+    this.documentFrequencies = {};
+    this.averageLength = 0;
+  }
+
+  /**
+   * Build the index from content items
+   * @param {Object[]} items - Items with id and embedded text
+   * @param {Object} options - BM25 parameters
+   * @returns {BM25Index} - Index
+   */
+  static build(items, options = {}) {
+    const index = new BM25Index(options);
+
+    items.forEach(({ id, text }) => {
+      const termFrequencies = {};
+      const tokens = LocalVectorizer.tokenize(text);
+      tokens.forEach(token => {
+        termFrequencies[token] = (termFrequencies[token] || 0) + 1;
+      });
+      Object.keys(termFrequencies).forEach(term => {
+        index.documentFrequencies[term] = (index.documentFrequencies[term] || 0) + 1;
+      });
+      index.documents.push({ id, length: tokens.length, termFrequencies });
+    });
+
+    const totalLength = index.documents.reduce((sum, document) => sum + document.length, 0);
+    index.averageLength = index.documents.length > 0 ? totalLength / index.documents.length : 0;
+    return index;
+  }
+
+  /**
+   * Inverse document frequency of a term (BM25+ style, never negative)
+   * @param {string} term - Term
+   * @returns {number} - IDF
+   */
+  getIdf(term) {
+    const documentFrequency = this.documentFrequencies[term] || 0;
+    return Math.log(1 + (this.documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * Score all documents matching at least one query term
+   * @param {string} query - Search query
+   * @returns {{id: *, score: number}[]} - Matches sorted by descending BM25 score
+   */
+  search(query) {
+    const terms = [...new Set(LocalVectorizer.tokenize(query))];
+    const matches = [];
+
+    this.documents.forEach(document => {
+      let score = 0;
+      terms.forEach(term => {
+        const frequency = document.termFrequencies[term];
+        if (!frequency) {
+          return;
+        }
+        const lengthNorm = 1 - this.b + this.b * (document.length / (this.averageLength || 1));
+        score += this.getIdf(term) * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+      });
+      if (score > 0) {
+        matches.push({ id: document.id, score });
+      }
+    });
+
+    return matches.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Write the index to a JSON file
+   * @param {string} filePath - Output path
+   * @returns {Promise<void>}
+   */
+  async save(filePath) {
+    await fs.writeFile(filePath, JSON.stringify({
+      k1: this.k1,
+      b: this.b,
+      averageLength: this.averageLength,
+      documentFrequencies: this.documentFrequencies,
+      documents: this.documents
+    }));
+  }
+
+  /**
+   * Load an index written by save()
+   * @param {string} filePath - Index path
+   * @returns {Promise<BM25Index>} - Index
+   */
+  static async load(filePath) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No BM25 index found at ${filePath}. Run generate again to build it.`);
+      }
+      throw new Error(`Failed to read BM25 index ${filePath}: ${error.message}`);
+    }
+
+    const index = new BM25Index({ k1: data.k1, b: data.b });
+    index.averageLength = data.averageLength;
+    index.documentFrequencies = data.documentFrequencies;
+    index.documents = data.documents;
+    return index;
+  }
+}
+
+module.exports = BM25Index;
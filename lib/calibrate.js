@@ -0,0 +1,140 @@
+const Metrics = require('./metrics');
+
+/**
+ * Offline minSimilarity calibration from the raw candidate scores of the eval queries
+ */
+class Calibrator {
+  /**
+   * Supported objectives and the F-beta weight they use (beta > 1 favours recall)
+   */
+  static get OBJECTIVES() {
+    return {
+      'f1': 1,
+      'f2': 2,
+      'f0.5': 0.5
+    };
+  }
+
+  /**
+   * Default number of candidates kept per query
+   */
+  static get DEFAULT_TOP_N() {
+    return 20;
+  }
+
+  /**
+   * Validate a threshold step
+   * @param {number} step - Threshold step
+   * @returns {number} - The step
+   */
+  static checkStep(step) {
+    if (typeof step !== 'number' || !Number.isFinite(step) || step <= 0 || step > 1) {
+      throw new Error(`Invalid step: ${step}. Must be a number greater than 0 and at most 1, e.g. 0.01`);
+    }
+    return step;
+  }
+
+  /**
+   * Validate the number of candidates kept per query
+   * @param {number} topN - Candidate count
+   * @returns {number} - The count
+   */
+  static checkTopN(topN) {
+    if (!Number.isInteger(topN) || topN < 1) {
+      throw new Error(`Invalid top: ${topN}. Must be a positive integer, e.g. 20`);
+    }
+    return topN;
+  }
+
+  /**
+   * Calculate the F-beta score of a recall/precision pair
+   * @param {number} recall - Recall percentage (0-100)
+   * @param {number} precision - Precision percentage (0-100)
+   * @param {number} beta - Weight of recall relative to precision
+   * @returns {number} - F-beta percentage (0-100)
+   */
+  static calculateFBeta(recall, precision, beta) {
+    const betaSquared = beta * beta;
+    const denominator = betaSquared * precision + recall;
+    return denominator > 0 ? ((1 + betaSquared) * precision * recall) / denominator : 0;
+  }
+
+  /**
+   * Sweep thresholds over the recorded candidates and compute the precision/recall curve
+   * @param {Object[]} queries - Eval queries with expectedIds and candidates [{id, score}] sorted by score
+   * @param {number} step - Threshold step
+   * @returns {Object[]} - One point per threshold with micro/macro recall and precision and F scores
+   */
+  static sweep(queries, step = 0.01) {
+    Calibrator.checkStep(step);
+    const curve = [];
+    const steps = Math.round(1 / step);
+
+    for (let i = 0; i <= steps; i++) {
+      const threshold = parseFloat((i * step).toFixed(4));
+      const metrics = new Metrics();
+
+      queries.forEach(query => {
+        const foundIds = query.candidates.filter(candidate => candidate.score >= threshold).map(candidate => candidate.id);
+        const foundSet = new Set(foundIds);
+        metrics.addEvaluateMetrics({
+          search: query.search,
+          tokens: 0,
+          runtime: 0,
+          cost: 0,
+          recall: Metrics.calculateRecall(foundIds, query.expectedIds),
+          precision: Metrics.calculatePrecision(foundIds, query.expectedIds),
+          expectedCount: query.expectedIds.length,
+          foundCount: query.expectedIds.filter(id => foundSet.has(id)).length,
+          returnedCount: foundIds.length
+        });
+      });
+
+      const totals = metrics.getEvaluateTotals();
+      const point = {
+        threshold,
+        recall: totals.macroAveraging.recall,
+        precision: totals.macroAveraging.precision,
+        microRecall: totals.microAveraging.recall,
+        microPrecision: totals.microAveraging.precision,
+        averageReturned: metrics.evaluateMetrics.reduce((sum, m) => sum + m.returnedCount, 0) / Math.max(queries.length, 1)
+      };
+      Object.entries(Calibrator.OBJECTIVES).forEach(([objective, beta]) => {
+        point[objective] = Calibrator.calculateFBeta(point.recall, point.precision, beta);
+      });
+      curve.push(point);
+    }
+
+    return curve;
+  }
+
+  /**
+   * Pick the threshold that maximizes the objective; ties go to the highest threshold
+   * @param {Object[]} curve - Sweep result
+   * @param {string} objective - One of OBJECTIVES
+   * @returns {Object} - Recommended curve point
+   */
+  static recommend(curve, objective = 'f1') {
+    if (!Calibrator.OBJECTIVES[objective]) {
+      throw new Error(`Unknown objective: ${objective}. Supported objectives: ${Object.keys(Calibrator.OBJECTIVES).join(', ')}`);
+    }
+    if (curve.length === 0) {
+      throw new Error('Cannot recommend a threshold from an empty curve');
+    }
+
+    return curve.reduce((best, point) => (point[objective] >= best[objective] ? point : best), curve[0]);
+  }
+
+  /**
+   * Find the curve point closest to a threshold
+   * @param {Object[]} curve - Sweep result
+   * @param {number} threshold - Threshold to look up
+   * @returns {Object} - Closest curve point
+   */
+  static pointAt(curve, threshold) {
+    return curve.reduce((closest, point) =>
+      (Math.abs(point.threshold - threshold) < Math.abs(closest.threshold - threshold) ? point : closest), curve[0]);
+  }
+}
+
+module.exports = Calibrator;
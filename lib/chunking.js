@@ -0,0 +1,141 @@
+/**
+ * Optional chunking of long documents and aggregation of chunk scores back to documents
+ * Chunks are stored as separate vectors whose metadata keeps the parent document id in `id`, so search
+ * results, filters and eval.json stay document-level. Configured by a "chunking" object in the model file.
+ */
+class Chunker {
+  /**
+   * @param {Object} config - Chunking settings from getConfig()
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Supported chunk units with their default chunk size and overlap
+   * Tokens are approximated by whitespace-separated words.
+   */
+  static get UNITS() {
+    return {
+      tokens: { size: 200, overlap: 20 },
+      sentences: { size: 5, overlap: 1 }
+    };
+  }
+
+  /**
+   * Supported ways to combine the chunk scores of a document
+   * - max: best chunk score
+   * - mean: mean of the document's topN best chunk scores
+   * - sum: sum of the document's chunk scores (not bounded by 1)
+   */
+  static get AGGREGATIONS() {
+    return ['max', 'mean', 'sum'];
+  }
+
+  /**
+   * Merge and validate the chunking settings of a model configuration
+   * @param {Object} modelConfig - Model configuration
+   * @returns {Object|null} - Chunking settings, null when the model embeds whole documents
+   */
+  static getConfig(modelConfig = {}) {
+    if (!modelConfig.chunking) {
+      return null;
+    }
+    const unit = modelConfig.chunking.unit || 'tokens';
+    if (!Chunker.UNITS[unit]) {
+      throw new Error(`Invalid chunking.unit: ${unit}. Supported units: ${Object.keys(Chunker.UNITS).join(', ')}`);
+    }
+    const config = { unit, ...Chunker.UNITS[unit], aggregation: 'max', topN: 3, ...modelConfig.chunking };
+
+    ['size', 'topN'].forEach(key => {
+      if (!Number.isInteger(config[key]) || config[key] < 1) {
+        throw new Error(`Invalid chunking.${key}: ${config[key]}. Must be a positive integer`);
+      }
+    });
+    if (!Number.isInteger(config.overlap) || config.overlap < 0 || config.overlap >= config.size) {
+      throw new Error(`Invalid chunking.overlap: ${config.overlap}. Must be an integer from 0 to size - 1 (${config.size - 1})`);
+    }
+    if (!Chunker.AGGREGATIONS.includes(config.aggregation)) {
+      throw new Error(`Invalid chunking.aggregation: ${config.aggregation}. Supported methods: ${Chunker.AGGREGATIONS.join(', ')}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the settings that determine the stored chunks, recorded in the index
+   * @param {Object|null} config - Chunking settings
+   * @returns {Object|null} - Unit, size and overlap, null without chunking
+   */
+  static getIndexSettings(config) {
+    return config ? { unit: config.unit, size: config.size, overlap: config.overlap } : null;
+  }
+
+  /**
+   * Get the key of a stored vector: its chunk id, or the document id when the index isn't chunked
+   * @param {Object} metadata - Vector metadata
+   * @returns {*} - Vector key
+   */
+  static getKey(metadata) {
+    return metadata.chunkId !== undefined ? metadata.chunkId : metadata.id;
+  }
+
+  /**
+   * Split a document text into overlapping chunks
+   * @param {string} text - Document text
+   * @returns {string[]} - Chunks, at least one
+   */
+  split(text) {
+    const units = this.config.unit === 'sentences'
+      ? text.split(/(?<=[.!?])\s+/).filter(sentence => sentence.trim())
+      : text.split(/\s+/).filter(word => word);
+    if (units.length <= this.config.size) {
+      return [units.join(' ')];
+    }
+
+    const chunks = [];
+    const step = this.config.size - this.config.overlap;
+    for (let start = 0; ; start += step) {
+      chunks.push(units.slice(start, start + this.config.size).join(' '));
+      if (start + this.config.size >= units.length) {
+        break;
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Combine chunk results into one result per document
+   * @param {{item: Object, score: number}[]} results - Chunk results, sorted by score
+   * @param {Object} config - Chunking settings
+   * @returns {{item: Object, score: number}[]} - Document results with their best chunk, sorted by score
+   */
+  static aggregate(results, config) {
+    const documents = new Map();
+    results.forEach(result => {
+      const id = result.item.metadata.id;
+      if (!documents.has(id)) {
+        documents.set(id, { item: result.item, scores: [] });
+      }
+      documents.get(id).scores.push(result.score);
+    });
+
+    const aggregated = [...documents.values()].map(({ item, scores }) => {
+      const sorted = scores.sort((a, b) => b - a);
+      let score;
+      if (config.aggregation === 'sum') {
+        score = sorted.reduce((sum, value) => sum + value, 0);
+      } else if (config.aggregation === 'mean') {
+        const top = sorted.slice(0, config.topN);
+        score = top.reduce((sum, value) => sum + value, 0) / top.length;
+      } else {
+        score = sorted[0];
+      }
+      return { item, score };
+    });
+
+    return aggregated.sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = Chunker;
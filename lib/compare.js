@@ -0,0 +1,237 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Metrics = require('./metrics');
+const Validator = require('./validate');
+
+/**
+ * Cross-model comparison of saved evaluation and generation results for one dataset
+ */
+class Comparison {
+  /**
+   * @param {string} datasetPath - Path to the dataset folder
+   * @param {string} configPath - Folder containing the {model}-model.json files
+   * @param {string[]|null} models - Models to compare, null for every model with evaluation results
+   */
+  constructor(datasetPath, configPath, models = null) {
+    this.datasetPath = datasetPath;
+    this.configPath = configPath;
+    this.models = models;
+  }
+
+  /**
+   * Read a JSON file, returning null if it doesn't exist
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Promise<Object|null>} - Parsed JSON or null
+   */
+  static async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the models that have evaluation results in the dataset folder
+   * @returns {Promise<string[]>} - Model names
+   */
+  async findModels() {
+    const files = await fs.readdir(this.datasetPath);
+    return files
+      .map(file => file.match(/^evaluation-results-(.+)\.json$/))
+      .filter(match => match)
+      .map(match => match[1])
+      .sort();
+  }
+
+  /**
+   * Load evaluation results, generation metrics and model configuration of each model
+   * @returns {Promise<Object[]>} - One run per model
+   */
+  async loadRuns() {
+    const models = this.models || await this.findModels();
+    const runs = [];
+
+    for (const model of models) {
+      const evaluation = await Comparison.readJson(path.join(this.datasetPath, `evaluation-results-${model}.json`));
+      if (!evaluation) {
+        console.warn(`⚠️  No evaluation results for model '${model}', skipping. Run evaluate first.`);
+        continue;
+      }
+
+      const generation = await Comparison.readJson(path.join(this.datasetPath, `generation-metrics-${model}.json`));
+      const modelConfig = await Comparison.readJson(path.join(this.configPath, `${model}-model.json`));
+
+      // Older result files store evaluate metrics directly under metrics
+      const evaluateMetrics = evaluation.metrics.evaluate || evaluation.metrics;
+
+      // Recompute totals from the per-query items so every file is aggregated the same way
+      const metrics = new Metrics();
+      (evaluateMetrics.items || []).forEach(item => metrics.addEvaluateMetrics(item));
+
+      const rerankerItems = evaluation.metrics.reranker ? evaluation.metrics.reranker.items : [];
+
+      // Runs saved before the config was stored fall back to the current model file
+      const config = evaluation.config || {
+        vendor: modelConfig ? modelConfig.vendor : null,
+        embeddingModel: modelConfig ? modelConfig.model : null,
+        minSimilarity: modelConfig ? (modelConfig.minSimilarity || 0.0) : null
+      };
+
+      runs.push({
+        model,
+        embedding: config.vendor ? `${config.vendor}/${config.embeddingModel}` : '-',
+        minSimilarity: config.minSimilarity,
+        results: evaluation.results || [],
+        totals: metrics.getEvaluateTotals(),
+        reranker: rerankerItems.length > 0 ? `${rerankerItems[0].vendor}/${rerankerItems[0].model}` : null,
+        generation: generation && generation.totals ? {
+          totalTokens: generation.totals.totalTokens,
+          totalCost: parseFloat(generation.totals.totalCost),
+          documentCount: generation.totals.documentCount
+        } : null
+      });
+    }
+
+    return runs;
+  }
+
+  /**
+   * Build leaderboard rows sorted by macro recall, then macro precision
+   * @param {Object[]} runs - Loaded runs
+   * @returns {Object[]} - Leaderboard entries
+   */
+  static buildLeaderboard(runs) {
+    return runs
+      .map(run => ({
+        model: run.model,
+        embedding: run.embedding,
+        queryCount: run.totals.queryCount,
+        macroRecall: run.totals.macroAveraging.recall,
+        macroPrecision: run.totals.macroAveraging.precision,
+        microRecall: run.totals.microAveraging.recall,
+        microPrecision: run.totals.microAveraging.precision,
+        mrr: run.totals.ranking ? run.totals.ranking.mrr : null,
+        evaluateCost: run.totals.totalCost,
+        averageLatency: run.totals.queryCount > 0 ? Math.round(run.totals.totalRuntime / run.totals.queryCount) : 0,
+        generateCost: run.generation ? run.generation.totalCost : null,
+        reranker: run.reranker
+      }))
+      .sort((a, b) => (b.macroRecall - a.macroRecall) || (b.macroPrecision - a.macroPrecision));
+  }
+
+  /**
+   * Find queries where the models don't agree on the validation outcome or recall
+   * @param {Object[]} runs - Loaded runs
+   * @returns {Object} - Number of distinct queries and the per-model outcomes of the disagreeing ones
+   */
+  static findDisagreements(runs) {
+    const queries = new Map();
+
+    runs.forEach(run => {
+      run.results.forEach(result => {
+        const label = Validator.getQueryLabel(result);
+        if (!queries.has(label)) {
+          queries.set(label, {});
+        }
+        queries.get(label)[run.model] = {
+          passed: !!(result.validation && result.validation.isValid),
+          recall: result.metrics ? result.metrics.recall : 0
+        };
+      });
+    });
+
+    const disagreements = [];
+    queries.forEach((outcomes, search) => {
+      const values = runs.map(run => outcomes[run.model]);
+      const first = values[0];
+      const agree = values.every(value => value && first && value.passed === first.passed && value.recall === first.recall);
+      if (!agree) {
+        disagreements.push({ search, outcomes });
+      }
+    });
+
+    return { queryCount: queries.size, disagreements };
+  }
+
+  /**
+   * Format rows as a plain text table with aligned columns
+   * @param {string[]} headers - Column headers
+   * @param {string[][]} rows - Table cells
+   * @returns {string} - Formatted table
+   */
+  static formatTable(headers, rows) {
+    const widths = headers.map((header, column) =>
+      Math.max(header.length, ...rows.map(row => String(row[column]).length)));
+    const formatRow = row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+
+    return [
+      formatRow(headers),
+      widths.map(width => '-'.repeat(width)).join('  '),
+      ...rows.map(formatRow)
+    ].join('\n');
+  }
+
+  /**
+   * Load all runs and print the leaderboard and the per-query disagreements
+   * @returns {Promise<Object>} - Leaderboard and disagreements
+   */
+  async run() {
+    const runs = await this.loadRuns();
+    if (runs.length === 0) {
+      throw new Error(`No evaluation results found in ${this.datasetPath}. Run evaluate for at least one model first.`);
+    }
+
+    const leaderboard = Comparison.buildLeaderboard(runs);
+    const percent = value => `${value.toFixed(1)}%`;
+    const dollars = value => value === null ? '-' : `$${value.toFixed(8)}`;
+
+    console.log('🏆 Model Leaderboard (sorted by macro recall):\n');
+    console.log(Comparison.formatTable(
+      ['#', 'Model', 'Embedding', 'Queries', 'Macro R', 'Macro P', 'Micro R', 'Micro P', 'MRR', 'Eval Cost', 'Avg Latency', 'Gen Cost', 'Reranker'],
+      leaderboard.map((entry, index) => [
+        index + 1,
+        entry.model,
+        entry.embedding,
+        entry.queryCount,
+        percent(entry.macroRecall),
+        percent(entry.macroPrecision),
+        percent(entry.microRecall),
+        percent(entry.microPrecision),
+        entry.mrr === null ? '-' : entry.mrr.toFixed(3),
+        dollars(entry.evaluateCost),
+        `${entry.averageLatency}ms`,
+        dollars(entry.generateCost),
+        entry.reranker || '-'
+      ])
+    ));
+
+    const { queryCount, disagreements } = Comparison.findDisagreements(runs);
+    const models = leaderboard.map(entry => entry.model);
+
+    if (runs.length > 1) {
+      console.log(`\n🔀 Queries where models disagree (${disagreements.length}/${queryCount}):\n`);
+      if (disagreements.length > 0) {
+        console.log(Comparison.formatTable(
+          ['Search', ...models],
+          disagreements.map(({ search, outcomes }) => [
+            search,
+            ...models.map(model => outcomes[model]
+              ? `${outcomes[model].passed ? '✓' : '✗'} ${percent(outcomes[model].recall)}`
+              : '-')
+          ])
+        ));
+        console.log('\n  ✓/✗ = all expected IDs found / missing, followed by recall');
+      } else {
+        console.log('  All models agree on every query.');
+      }
+    }
+
+    return { leaderboard, disagreements };
+  }
+}
+
+module.exports = Comparison;
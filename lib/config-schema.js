@@ -0,0 +1,220 @@
+const path = require('path');
+const { getRerankerProvider, getRerankerVendors } = require('./reranker-providers');
+const { getEmbeddingProvider, getEmbeddingVendors } = require('./embedding-providers');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// Levenshtein distance between two keys, for "did you mean" suggestions
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// JSON type name of a value as used by the schemas
+const typeOf = value => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+/**
+ * Validation of model and reranker files against the JSON schemas in schemas/
+ * Supports the subset of JSON Schema (draft-07) the schemas use: type, enum, minimum, exclusiveMinimum,
+ * minLength, properties, required, additionalProperties, items, dependencies, not/required and local $refs.
+ * Keys the schema doesn't define are reported with the closest known key, so misspellings don't go unnoticed.
+ */
+class ConfigSchema {
+  /**
+   * Load a schema from schemas/{name}.schema.json
+   * @param {string} name - Schema name ('model' or 'reranker')
+   * @returns {Object} - JSON schema
+   */
+  static load(name) {
+    return require(path.join(SCHEMA_DIR, `${name}.schema.json`));
+  }
+
+  /**
+   * Suggest the known key closest to an unknown one
+   * @param {string} key - Unknown key
+   * @param {string[]} knownKeys - Keys defined by the schema
+   * @returns {string|null} - Closest key, null when none is close enough
+   */
+  static suggestKey(key, knownKeys) {
+    let best = null;
+    let bestDistance = Infinity;
+    knownKeys.forEach(knownKey => {
+      const distance = key.toLowerCase() === knownKey.toLowerCase() ? 0 : editDistance(key, knownKey);
+      if (distance < bestDistance) {
+        best = knownKey;
+        bestDistance = distance;
+      }
+    });
+    return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+  }
+
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Value to validate
+   * @param {Object} schema - Schema of the value
+   * @param {Object} rootSchema - Schema that local $refs resolve against
+   * @param {string} location - Dotted key path of the value, empty for the root
+   * @returns {string[]} - Error messages, empty when the value is valid
+   */
+  static validate(value, schema, rootSchema = schema, location = '') {
+    if (schema.$ref) {
+      const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], rootSchema);
+      if (!target) {
+        throw new Error(`Unresolvable schema reference: ${schema.$ref}`);
+      }
+      return ConfigSchema.validate(value, target, rootSchema, location);
+    }
+
+    const label = location || 'configuration';
+    const type = typeOf(value);
+    const errors = [];
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const matches = types.some(expected => expected === type || (expected === 'integer' && Number.isInteger(value)));
+      if (!matches) {
+        return [`${label}: must be ${types.join(' or ')}, got ${JSON.stringify(value)}`];
+      }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [`${label}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+    }
+    if (type === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${label}: must be >= ${schema.minimum}, got ${value}`);
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push(`${label}: must be > ${schema.exclusiveMinimum}, got ${value}`);
+      }
+    }
+    if (type === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label}: must not be empty`);
+    }
+    if (type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...ConfigSchema.validate(item, schema.items, rootSchema, `${label}[${index}]`));
+      });
+    }
+    if (type === 'object') {
+      errors.push(...ConfigSchema.validateObject(value, schema, rootSchema, location));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the keys of an object against the object keywords of a schema
+   * @param {Object} value - Object to validate
+   * @param {Object} schema - Schema of the object
+   * @param {Object} rootSchema - Schema that local $refs resolve against
+   * @param {string} location - Dotted key path of the object, empty for the root
+   * @returns {string[]} - Error messages
+   */
+  static validateObject(value, schema, rootSchema, location) {
+    const errors = [];
+    const prefix = location ? `${location}.` : '';
+    const properties = schema.properties || {};
+    const knownKeys = Object.keys(properties);
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${prefix}${key}: is required`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...ConfigSchema.validate(value[key], properties[key], rootSchema, `${prefix}${key}`));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...ConfigSchema.validate(value[key], schema.additionalProperties, rootSchema, `${prefix}${key}`));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = ConfigSchema.suggestKey(key, knownKeys);
+        errors.push(`${prefix}${key}: unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : `. Known keys: ${knownKeys.join(', ')}`}`);
+      }
+    });
+
+    Object.entries(schema.dependencies || {}).forEach(([key, requiredKeys]) => {
+      if (value[key] === undefined) {
+        return;
+      }
+      requiredKeys.filter(requiredKey => value[requiredKey] === undefined).forEach(requiredKey => {
+        errors.push(`${prefix}${key}: requires ${prefix}${requiredKey}`);
+      });
+    });
+
+    if (schema.not && schema.not.required && schema.not.required.every(key => value[key] !== undefined)) {
+      errors.push(`${location || 'configuration'}: cannot combine ${schema.not.required.map(key => `${prefix}${key}`).join(' and ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a reranker vendor against the reranker provider registry
+   * @param {*} vendor - Configured vendor
+   * @param {string} key - Key the vendor was configured with
+   * @returns {string[]} - Error messages
+   */
+  static validateRerankerVendor(vendor, key) {
+    if (typeof vendor !== 'string' || getRerankerProvider(vendor)) {
+      return [];
+    }
+    return [`${key}: unsupported reranker vendor "${vendor}". Supported vendors: ${getRerankerVendors().join(', ')}`];
+  }
+
+  /**
+   * Validate an embedding vendor against the embedding provider registry
+   * @param {*} vendor - Configured vendor
+   * @returns {string[]} - Error messages
+   */
+  static validateEmbeddingVendor(vendor) {
+    if (typeof vendor !== 'string' || getEmbeddingProvider(vendor)) {
+      return [];
+    }
+    return [`vendor: unsupported embedding vendor "${vendor}". Supported vendors: ${getEmbeddingVendors().join(', ')}`];
+  }
+
+  /**
+   * Validate a model configuration ({name}-model.json)
+   * @param {Object} config - Model configuration
+   * @returns {string[]} - Error messages, empty when valid
+   */
+  static validateModelConfig(config) {
+    return [
+      ...ConfigSchema.validate(config, ConfigSchema.load('model')),
+      ...(typeOf(config) === 'object' ? [
+        ...ConfigSchema.validateEmbeddingVendor(config.vendor),
+        ...ConfigSchema.validateRerankerVendor(config['reranker-vendor'], 'reranker-vendor')
+      ] : [])
+    ];
+  }
+
+  /**
+   * Validate a reranker configuration ({name}-reranker.json)
+   * @param {Object} config - Reranker configuration
+   * @returns {string[]} - Error messages, empty when valid
+   */
+  static validateRerankerConfig(config) {
+    return [
+      ...ConfigSchema.validate(config, ConfigSchema.load('reranker')),
+      ...(typeOf(config) === 'object' ? ConfigSchema.validateRerankerVendor(config.vendor, 'vendor') : [])
+    ];
+  }
+}
+
+module.exports = ConfigSchema;
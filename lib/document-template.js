@@ -0,0 +1,109 @@
+/**
+ * Template turning a content item into the text that is embedded, indexed for BM25 and sent to the reranker
+ * Placeholders name content fields, e.g. "{type}: {title}. {description} (for {audience})". List fields are
+ * joined with ", " and missing fields render empty. A format can follow the field name:
+ * - {url|path}: path of a URL field, e.g. /hr/employee-handbook
+ * - {url|host}: host name of a URL field
+ */
+
+const PLACEHOLDER_PATTERN = /\{([\w-]+)(?:\|(\w+))?\}/g;
+
+// Parse a URL, null for values that aren't absolute URLs
+const parseUrl = value => {
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const FORMATS = {
+  path: value => {
+    const url = parseUrl(value);
+    return url ? url.pathname : value;
+  },
+  host: value => {
+    const url = parseUrl(value);
+    return url ? url.hostname : value;
+  }
+};
+
+class DocumentTemplate {
+  /**
+   * @param {string} source - Template text with {field} placeholders
+   */
+  constructor(source = DocumentTemplate.DEFAULT) {
+    if (typeof source !== 'string' || !source.match(PLACEHOLDER_PATTERN)) {
+      throw new Error(`Invalid documentTemplate: ${JSON.stringify(source)}. Must be a string with {field} placeholders, e.g. "${DocumentTemplate.DEFAULT}"`);
+    }
+    for (const [, field, format] of source.matchAll(PLACEHOLDER_PATTERN)) {
+      if (format && !DocumentTemplate.FORMATS[format]) {
+        throw new Error(`Invalid documentTemplate: unknown format "${format}" in {${field}|${format}}. Supported formats: ${Object.keys(DocumentTemplate.FORMATS).join(', ')}`);
+      }
+    }
+    this.source = source;
+  }
+
+  /**
+   * Template used when none is configured, the text indexes were built from before templates existed
+   */
+  static get DEFAULT() {
+    return '{title} {description}';
+  }
+
+  /**
+   * Formats applicable to placeholders
+   */
+  static get FORMATS() {
+    return FORMATS;
+  }
+
+  /**
+   * Get the configured template of a model for a dataset
+   * documentTemplate is either one template for every dataset or an object mapping dataset names to templates.
+   * @param {Object} modelConfig - Model configuration
+   * @param {string} dataset - Dataset name
+   * @returns {DocumentTemplate|null} - Template, null when the model doesn't configure one for the dataset
+   */
+  static fromConfig(modelConfig, dataset) {
+    const config = modelConfig.documentTemplate;
+    if (config === undefined || config === null) {
+      return null;
+    }
+    if (typeof config === 'object' && !Array.isArray(config)) {
+      return config[dataset] === undefined ? null : new DocumentTemplate(config[dataset]);
+    }
+    return new DocumentTemplate(config);
+  }
+
+  /**
+   * Get the content fields the template refers to
+   * @returns {string[]} - Field names
+   */
+  getFields() {
+    return [...new Set([...this.source.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+  }
+
+  /**
+   * Render the text of a content item
+   * @param {Object} item - Content item or vector metadata
+   * @returns {string} - Document text
+   */
+  render(item) {
+    return this.source.replace(PLACEHOLDER_PATTERN, (placeholder, field, format) => {
+      const value = item[field];
+      if (value === undefined || value === null) {
+        return '';
+      }
+      const values = (Array.isArray(value) ? value : [value])
+        .map(entry => (format ? DocumentTemplate.FORMATS[format](String(entry)) : String(entry)));
+      return values.join(', ');
+    });
+  }
+
+  toString() {
+    return this.source;
+  }
+}
+
+module.exports = DocumentTemplate;
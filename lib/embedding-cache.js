@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Persistent, content-addressed cache for embedding vectors
+ * Each entry is stored as its own file named by the hash of vendor, model, input variant and text (plus the
+ * baseUrl of custom endpoints and the output dimensions when set), so generate, evaluate and query runs of the
+ * same model share it.
+ */
+class EmbeddingCache {
+  /**
+   * @param {string} cacheDir - Root cache directory
+   * @param {Object} modelConfig - Model configuration with vendor, model and optionally baseUrl and dimensions
+   */
+  constructor(cacheDir, modelConfig) {
+    if (!cacheDir) {
+      throw new Error('Cache directory is required');
+    }
+    if (!modelConfig || !modelConfig.vendor || !modelConfig.model) {
+      throw new Error('Model configuration with vendor and model is required');
+    }
+
+    this.vendor = modelConfig.vendor;
+    this.model = modelConfig.model;
+    // Custom endpoints may serve different models under the same name, and reduced dimensions give different
+    // vectors, so the endpoint URL and output dimensions are part of the key when set
+    this.variantSettings = {
+      ...(modelConfig.baseUrl && { baseUrl: modelConfig.baseUrl }),
+      ...(modelConfig.dimensions && { dimensions: modelConfig.dimensions })
+    };
+    // One folder per vendor/model so a model's cache can be cleared on its own
+    this.modelDir = path.join(cacheDir, `${this.vendor}-${this.model.replace(/[^\w.-]+/g, '_')}`);
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Build the content-addressed key for a cache entry
+   * @param {string} text - Embedded text
+   * @param {string} variant - Task type or input type the embedding was requested with
+   * @returns {string} - SHA-256 hex digest
+   */
+  getKey(text, variant) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify(Object.keys(this.variantSettings).length > 0
+        ? [this.vendor, this.model, variant, text, this.variantSettings]
+        : [this.vendor, this.model, variant, text]), 'utf8')
+      .digest('hex');
+  }
+
+  /**
+   * Get the file path of a cache entry
+   * @param {string} key - Cache key
+   * @returns {string} - Entry file path
+   */
+  getEntryPath(key) {
+    return path.join(this.modelDir, key.substring(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Look up a cached embedding
+   * @param {string} text - Embedded text
+   * @param {string} variant - Task type or input type
+   * @returns {Promise<{embedding: number[], tokens: number}|null>} - Cached entry or null on a miss
+   */
+  async get(text, variant) {
+    try {
+      const data = await fs.readFile(this.getEntryPath(this.getKey(text, variant)), 'utf8');
+      const entry = JSON.parse(data);
+      if (!Array.isArray(entry.embedding)) {
+        throw new Error('Invalid cache entry');
+      }
+      this.hits++;
+      return entry;
+    } catch (error) {
+      // Missing or unreadable entries are treated as misses and overwritten on the next set
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store an embedding
+   * @param {string} text - Embedded text
+   * @param {string} variant - Task type or input type
+   * @param {number[]} embedding - Embedding vector
+   * @param {number} tokens - Tokens the API charged for the text
+   */
+  async set(text, variant, embedding, tokens) {
+    const entryPath = this.getEntryPath(this.getKey(text, variant));
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+    await fs.writeFile(entryPath, JSON.stringify({ embedding, tokens }));
+  }
+
+  /**
+   * Delete all cached embeddings of this vendor/model
+   */
+  async clear() {
+    await fs.rm(this.modelDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Get cache hit/miss counts
+   * @returns {Object} - Cache statistics
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 10 : 0
+    };
+  }
+}
+
+module.exports = EmbeddingCache;
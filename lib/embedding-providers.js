@@ -0,0 +1,292 @@
+/**
+ * Registry of embedding vendors
+ * Every provider declares its defaults, which a model file can override to reach other deployments:
+ * - baseUrl: API root the request path is appended to
+ * - apiKeyName: environment variable holding the API key (model file: apiKeyEnv), null when no key is needed
+ * - auth: how the key is sent, "bearer" (Authorization: Bearer), "header" (raw key in authHeader) or "none"
+ * - request: path, inputField, modelField (null to omit the model), dimensionsField (body field the model's
+ *   `dimensions` setting is sent in, null when the vendor doesn't support it) and extra body fields: body for
+ *   every request, queryBody/documentBody for search queries/content
+ * - response: embeddingsPath (dotted path of the result list), embeddingField (vector field of each entry,
+ *   null when entries are vectors) and tokensPath (token usage, 0 when missing)
+ * - batchSize: default number of inputs per request
+ * Vendors with their own API shape (Google) define buildRequest/parseResponse instead of the mapping; the
+ * offline local vectorizer runs in process (inProcess) and makes no requests.
+ */
+
+// Mapping of the OpenAI embeddings API, followed by most vendors and self-hosted servers
+const OPENAI_FORMAT = {
+  auth: 'bearer',
+  authHeader: 'Authorization',
+  request: { path: 'embeddings', inputField: 'input', modelField: 'model', dimensionsField: 'dimensions', body: {}, queryBody: {}, documentBody: {} },
+  response: { embeddingsPath: 'data', embeddingField: 'embedding', tokensPath: 'usage.total_tokens' }
+};
+
+// Value at a dotted path of an object, undefined when any step is missing
+const getPath = (data, dottedPath) => dottedPath.split('.')
+  .reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), data);
+
+/**
+ * Build a request from the request mapping
+ * @param {Object} settings - Resolved provider settings
+ * @param {string[]} texts - Texts to embed
+ * @param {string} operation - 'generate' for content, 'query' for search
+ * @returns {{url: string, body: Object}} - Request URL and body
+ */
+function buildMappedRequest(settings, texts, operation) {
+  const { request } = settings;
+  const body = {
+    ...(request.modelField && { [request.modelField]: settings.model }),
+    [request.inputField]: texts,
+    ...(settings.dimensions && request.dimensionsField && { [request.dimensionsField]: settings.dimensions }),
+    ...request.body,
+    ...(operation === 'query' ? request.queryBody : request.documentBody)
+  };
+  return { url: `${settings.baseUrl}${request.path}`, body };
+}
+
+/**
+ * Read embeddings and token usage from a response with the response mapping
+ * Entries with an `index` are put back in input order.
+ * @param {Object} settings - Resolved provider settings
+ * @param {Object} data - Parsed response
+ * @param {string[]} texts - Texts that were sent
+ * @returns {{embeddings: number[][], tokens: number}|null} - Embeddings in input order, null if the response is malformed
+ */
+function parseMappedResponse(settings, data, texts) {
+  const { response } = settings;
+  const entries = getPath(data, response.embeddingsPath);
+  if (!Array.isArray(entries) || entries.length !== texts.length) {
+    return null;
+  }
+
+  const embeddings = new Array(texts.length);
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const vector = response.embeddingField ? entry?.[response.embeddingField] : entry;
+    const position = Number.isInteger(entry?.index) ? entry.index : i;
+    if (!Array.isArray(vector) || position < 0 || position >= texts.length || embeddings[position]) {
+      return null;
+    }
+    embeddings[position] = vector;
+  }
+
+  const tokens = response.tokensPath ? getPath(data, response.tokensPath) : 0;
+  return { embeddings, tokens: Number.isFinite(tokens) ? tokens : 0 };
+}
+
+/**
+ * Google task type of an operation from the model configuration
+ * @param {Object} settings - Resolved provider settings
+ * @param {string} operation - 'generate' for content, 'query' for search
+ * @returns {string|null} - Task type or null when not configured
+ */
+function getGoogleTaskType(settings, operation) {
+  if (operation === 'generate' && settings.generate_task_type) {
+    return settings.generate_task_type;
+  } else if (operation === 'query' && settings.query_task_type) {
+    return settings.query_task_type;
+  }
+  return null;
+}
+
+const PROVIDERS = {
+  openai: {
+    ...OPENAI_FORMAT,
+    apiKeyName: 'OPENAI_API_KEY',
+    baseUrl: 'https://api.openai.com/v1/',
+    batchSize: 100,
+    request: { ...OPENAI_FORMAT.request, body: { encoding_format: 'float' } }
+  },
+  sf: {
+    ...OPENAI_FORMAT,
+    apiKeyName: 'SF_API_KEY',
+    baseUrl: 'https://api.siliconflow.com/v1/',
+    batchSize: 32,
+    request: { ...OPENAI_FORMAT.request, body: { encoding_format: 'float' } }
+  },
+  voyageai: {
+    ...OPENAI_FORMAT,
+    apiKeyName: 'VOYAGEAI_API_KEY',
+    baseUrl: 'https://api.voyageai.com/v1/',
+    batchSize: 128,
+    request: {
+      ...OPENAI_FORMAT.request,
+      dimensionsField: 'output_dimension',
+      queryBody: { input_type: 'query' },
+      documentBody: { input_type: 'document' }
+    }
+  },
+  // Any server speaking the OpenAI embeddings API (Ollama, vLLM, Azure OpenAI, gateways); baseUrl is required
+  'openai-compatible': {
+    ...OPENAI_FORMAT,
+    apiKeyName: null,
+    baseUrl: null,
+    batchSize: 32
+  },
+  google: {
+    apiKeyName: 'GOOGLE_API_KEY',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta/models/',
+    auth: 'header',
+    authHeader: 'x-goog-api-key',
+    batchSize: 100,
+    getInputVariant: (settings, operation) => getGoogleTaskType(settings, operation) || 'default',
+    buildRequest: (settings, texts, operation) => {
+      const taskType = getGoogleTaskType(settings, operation);
+      return {
+        url: `${settings.baseUrl}${settings.model}:batchEmbedContents`,
+        body: {
+          requests: texts.map(text => ({
+            model: `models/${settings.model}`,
+            content: { parts: [{ text }] },
+            ...(taskType && { task_type: taskType }),
+            ...(settings.dimensions && { outputDimensionality: settings.dimensions })
+          }))
+        }
+      };
+    },
+    parseResponse: (settings, data, texts) => {
+      if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length ||
+          data.embeddings.some(embedding => !embedding || !embedding.values)) {
+        return null;
+      }
+      // Google doesn't report token counts, estimate ~4 characters per token
+      const itemTokens = texts.map(text => Math.ceil(text.length / 4));
+      return {
+        embeddings: data.embeddings.map(embedding => embedding.values),
+        tokens: itemTokens.reduce((sum, tokens) => sum + tokens, 0),
+        itemTokens
+      };
+    }
+  },
+  local: {
+    apiKeyName: null,
+    baseUrl: null,
+    auth: 'none',
+    batchSize: 1000,
+    inProcess: true
+  }
+};
+
+const AUTH_STYLES = ['bearer', 'header', 'none'];
+
+/**
+ * Get the names of the registered embedding vendors
+ * @returns {string[]} - Vendor names
+ */
+function getEmbeddingVendors() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Get the provider of an embedding vendor
+ * @param {string} vendor - Vendor name
+ * @returns {Object|null} - Provider, null for unknown vendors
+ */
+function getEmbeddingProvider(vendor) {
+  return (typeof vendor === 'string' && PROVIDERS[vendor]) || null;
+}
+
+/**
+ * Merge the provider defaults of a model's vendor with the overrides of its model file
+ * @param {Object} modelConfig - Model configuration
+ * @returns {Object} - Settings: the model configuration plus provider, baseUrl, apiKeyName, auth, authHeader, request, response and batchSize
+ */
+function resolveEmbeddingSettings(modelConfig) {
+  const provider = getEmbeddingProvider(modelConfig.vendor);
+  if (!provider) {
+    throw new Error(`Unsupported vendor: ${modelConfig.vendor}. Supported vendors: ${getEmbeddingVendors().join(', ')}`);
+  }
+
+  const settings = {
+    ...modelConfig,
+    provider,
+    baseUrl: modelConfig.baseUrl || provider.baseUrl,
+    apiKeyName: modelConfig.apiKeyEnv !== undefined ? modelConfig.apiKeyEnv : provider.apiKeyName,
+    auth: modelConfig.auth || provider.auth,
+    authHeader: modelConfig.authHeader || (modelConfig.auth === 'header' ? 'api-key' : provider.authHeader),
+    request: provider.request && { ...provider.request, ...(modelConfig.request || {}) },
+    response: provider.response && { ...provider.response, ...(modelConfig.response || {}) },
+    batchSize: modelConfig.batchSize || provider.batchSize
+  };
+
+  if (!provider.inProcess && !settings.baseUrl) {
+    throw new Error(`Vendor ${modelConfig.vendor} requires a baseUrl in the model configuration, e.g. "http://localhost:11434/v1/"`);
+  }
+  if (settings.baseUrl && !settings.baseUrl.endsWith('/')) {
+    settings.baseUrl = `${settings.baseUrl}/`;
+  }
+  if (!AUTH_STYLES.includes(settings.auth)) {
+    throw new Error(`Invalid auth: ${settings.auth}. Supported styles: ${AUTH_STYLES.join(', ')}`);
+  }
+  if (settings.auth === 'none') {
+    settings.apiKeyName = null;
+  }
+
+  return settings;
+}
+
+/**
+ * Get the request headers of a provider, including the API key in the configured style
+ * @param {Object} settings - Resolved provider settings
+ * @param {string|null} apiKey - API key
+ * @returns {Object} - Request headers
+ */
+function getAuthHeaders(settings, apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey && settings.auth === 'bearer') {
+    headers[settings.authHeader] = `Bearer ${apiKey}`;
+  } else if (apiKey && settings.auth === 'header') {
+    headers[settings.authHeader] = apiKey;
+  }
+  return headers;
+}
+
+/**
+ * Build the embedding request of a provider
+ * @param {Object} settings - Resolved provider settings
+ * @param {string[]} texts - Texts to embed
+ * @param {string} operation - 'generate' for content, 'query' for search
+ * @returns {{url: string, body: Object}} - Request URL and body
+ */
+function buildEmbeddingRequest(settings, texts, operation) {
+  return (settings.provider.buildRequest || buildMappedRequest)(settings, texts, operation);
+}
+
+/**
+ * Parse the embedding response of a provider
+ * @param {Object} settings - Resolved provider settings
+ * @param {Object} data - Parsed response body
+ * @param {string[]} texts - Texts that were sent
+ * @returns {{embeddings: number[][], tokens: number, itemTokens: number[]|undefined}|null} - Embeddings in input order, null if malformed
+ */
+function parseEmbeddingResponse(settings, data, texts) {
+  return (settings.provider.parseResponse || parseMappedResponse)(settings, data, texts);
+}
+
+/**
+ * Get the input variant an operation embeds with, so cached query and document embeddings don't mix
+ * @param {Object} settings - Resolved provider settings
+ * @param {string} operation - 'generate' for content, 'query' for search
+ * @returns {string} - Google task type, 'query'/'document' for vendors with per-operation body fields, or 'default'
+ */
+function getInputVariant(settings, operation) {
+  if (settings.provider.getInputVariant) {
+    return settings.provider.getInputVariant(settings, operation);
+  }
+  const { request } = settings;
+  if (request && JSON.stringify(request.queryBody) !== JSON.stringify(request.documentBody)) {
+    return operation === 'query' ? 'query' : 'document';
+  }
+  return 'default';
+}
+
+module.exports = {
+  getEmbeddingVendors,
+  getEmbeddingProvider,
+  resolveEmbeddingSettings,
+  getAuthHeaders,
+  buildEmbeddingRequest,
+  parseEmbeddingResponse,
+  getInputVariant
+};
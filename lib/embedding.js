@@ -1,11 +1,27 @@
+const LocalVectorizer = require('./local-embedding');
+const { HttpTransport } = require('./transport');
+const RetryPolicy = require('./retry');
+const { RateLimiter } = require('./rate-limiter');
+const {
+  resolveEmbeddingSettings,
+  getAuthHeaders,
+  buildEmbeddingRequest,
+  parseEmbeddingResponse,
+  getInputVariant
+} = require('./embedding-providers');
+
 /**
- * Embedding service that handles REST API calls to multiple vendors
+ * Embedding service that handles REST API calls to the vendors of the embedding provider registry
  */
 class EmbeddingService {
-  constructor(apiKey, modelConfig) {
-    if (!apiKey) {
-      throw new Error('API key is required');
-    }
+  /**
+   * @param {string} apiKey - Vendor API key (not needed for vendors without one, e.g. 'local')
+   * @param {Object} modelConfig - Model configuration
+   * @param {Object} options - Service options
+   * @param {EmbeddingCache} options.cache - Optional embedding cache consulted before each API call
+   * @param {Object} options.transport - HTTP transport (live by default; recording or replaying fixtures in tests)
+   */
+  constructor(apiKey, modelConfig, options = {}) {
     if (!modelConfig) {
       throw new Error('Model configuration is required');
     }
@@ -13,24 +29,67 @@ class EmbeddingService {
       throw new Error('Vendor is required in model configuration');
     }
     
+    // Provider defaults merged with the baseUrl, auth and request/response mapping of the model file
+    this.settings = resolveEmbeddingSettings(modelConfig);
+    if (!apiKey && this.settings.apiKeyName) {
+      throw new Error('API key is required');
+    }
+    
     this.apiKey = apiKey;
     this.model = modelConfig.model;
     this.modelConfig = modelConfig;
+    this.cache = options.cache || null;
+    this.transport = options.transport || new HttpTransport();
+    this.retryPolicy = RetryPolicy.fromConfig(modelConfig);
     
-    // Map vendor to base URLs
-    const vendorUrls = {
-      'openai': 'https://api.openai.com/v1/',
-      'sf': 'https://api.siliconflow.com/v1/',
-      'google': 'https://generativelanguage.googleapis.com/v1beta/models/',
-      'voyageai': 'https://api.voyageai.com/v1/'
-    };
+    this.localVectorizer = null;
+    if (this.settings.provider.inProcess) {
+      // Built-in vectorizer, runs in process without network access
+      this.localVectorizer = new LocalVectorizer({
+        dimensions: modelConfig.dimensions,
+        charNgrams: modelConfig.charNgrams
+      });
+    }
+    
+    // Services calling the same vendor share one limiter; custom endpoints get their own, the local vectorizer makes no requests
+    const limiterKey = modelConfig.baseUrl ? `${modelConfig.vendor} ${this.settings.baseUrl}` : modelConfig.vendor;
+    this.rateLimiter = this.localVectorizer ? null : RateLimiter.forVendor(limiterKey, modelConfig.rateLimit);
     
-    this.baseUrl = vendorUrls[modelConfig.vendor];
-    if (!this.baseUrl) {
-      throw new Error(`Unsupported vendor: ${modelConfig.vendor}. Supported vendors: ${Object.keys(vendorUrls).join(', ')}`);
+    // Default number of inputs per batch request, kept below each vendor's documented limit
+    this.batchSize = this.settings.batchSize;
+    if (!Number.isInteger(this.batchSize) || this.batchSize < 1) {
+      throw new Error(`Invalid batchSize in model configuration: ${modelConfig.batchSize}. Must be a positive integer`);
     }
   }
 
+  /**
+   * Send an HTTP request to the vendor within its rate limits, retrying rate limits, server errors and timeouts
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options (method, headers, body)
+   * @returns {Promise<Response>} - Response of the last attempt
+   */
+  async request(url, options) {
+    // Rough token estimate for the tokens/min budget: ~4 characters per token of the request body
+    const estimatedTokens = Math.ceil((options.body || '').length / 4);
+    return this.retryPolicy.fetch(this.transport, url, options, this.modelConfig.vendor, this.rateLimiter, estimatedTokens);
+  }
+
+  /**
+   * Get how many batches or queries callers should process concurrently
+   * @returns {number} - Maximum requests in flight for the vendor, 1 for the local vectorizer
+   */
+  getConcurrency() {
+    return this.rateLimiter ? this.rateLimiter.maxInFlight : 1;
+  }
+
+  /**
+   * Get request and retry counts of the vendor API calls made so far
+   * @returns {Object} - Retry statistics
+   */
+  getRetryStats() {
+    return this.retryPolicy.getStats();
+  }
+
   /**
    * Calculate cost based on token count and model pricing
    * @param {number} tokenCount - Number of tokens
@@ -42,211 +101,200 @@ class EmbeddingService {
   }
 
   /**
-   * Generate embedding for text using REST API
-   * @param {string} text - Text to embed
-   * @param {string} operation - Operation type ('generate' for content, 'query' for search)
-   * @returns {Promise<{embedding: number[], tokens: number}>} - Embedding vector and token count
+   * Split a total reported for a whole batch (tokens, runtime) across its inputs, proportionally to text length.
+   * The per-item values are integers that always add up to the batch total.
+   * @param {number} total - Integer total reported for the batch
+   * @param {string[]} texts - Texts of the batch
+   * @returns {number[]} - Estimated share per text
    */
-  async generateEmbedding(text, operation = 'generate') {
-    if (this.modelConfig.vendor === 'google') {
-      return this.generateGoogleEmbedding(text, operation);
-    } else if (this.modelConfig.vendor === 'voyageai') {
-      return this.generateVoyageEmbedding(text, operation);
-    } else {
-      return this.generateStandardEmbedding(text);
+  static splitByLength(total, texts) {
+    const totalLength = texts.reduce((sum, text) => sum + text.length, 0);
+    if (totalLength === 0) {
+      return texts.map(() => 0);
     }
+    
+    // Largest remainder method so rounding doesn't lose or invent tokens
+    const shares = texts.map(text => (text.length / totalLength) * total);
+    const values = shares.map(share => Math.floor(share));
+    let remainder = total - values.reduce((sum, value) => sum + value, 0);
+    const order = shares
+      .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+      .sort((a, b) => b.fraction - a.fraction);
+    for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+      values[order[i].index]++;
+    }
+    
+    return values;
   }
 
   /**
-   * Generate embedding using Google Gemini API format
-   * @param {string} text - Text to embed
+   * Get the input variant an operation embeds with, so cached query and document embeddings don't mix
    * @param {string} operation - Operation type ('generate' for content, 'query' for search)
-   * @returns {Promise<{embedding: number[], tokens: number}>} - Embedding vector and token count
+   * @returns {string} - Google task type, VoyageAI input type or 'default'
    */
-  async generateGoogleEmbedding(text, operation) {
-    // Determine task type based on operation and model config
-    let taskType = null;
-    if (operation === 'generate' && this.modelConfig.generate_task_type) {
-      taskType = this.modelConfig.generate_task_type;
-    } else if (operation === 'query' && this.modelConfig.query_task_type) {
-      taskType = this.modelConfig.query_task_type;
-    }
+  getInputVariant(operation) {
+    return getInputVariant(this.settings, operation);
+  }
 
-    const requestBody = {
-      content: {
-        parts: [{ text: text }]
+  /**
+   * Generate embeddings for several texts with a single REST API call
+   * Texts found in the cache are not sent and report zero tokens.
+   * @param {string[]} texts - Texts to embed (at most batchSize)
+   * @param {string} operation - Operation type ('generate' for content, 'query' for search)
+   * @returns {Promise<{embeddings: number[][], tokens: number, itemTokens: number[], cached: boolean[]}>} - Embedding vectors in input order, total token count, per-text token counts and per-text cache hits
+   */
+  async generateEmbeddings(texts, operation = 'generate') {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return { embeddings: [], tokens: 0, itemTokens: [], cached: [] };
+    }
+    if (texts.length > this.batchSize) {
+      throw new Error(`Batch of ${texts.length} texts exceeds batchSize ${this.batchSize}`);
+    }
+    
+    if (!this.cache) {
+      const result = await this.requestEmbeddings(texts, operation);
+      return { ...result, cached: texts.map(() => false) };
+    }
+    
+    const variant = this.getInputVariant(operation);
+    const embeddings = new Array(texts.length);
+    const itemTokens = new Array(texts.length).fill(0);
+    const cached = new Array(texts.length).fill(false);
+    const missIndexes = [];
+    
+    for (let i = 0; i < texts.length; i++) {
+      const entry = await this.cache.get(texts[i], variant);
+      if (entry) {
+        embeddings[i] = entry.embedding;
+        cached[i] = true;
+      } else {
+        missIndexes.push(i);
       }
-    };
-
-    // Add task_type if specified
-    if (taskType) {
-      requestBody.task_type = taskType;
     }
+    
+    let tokens = 0;
+    if (missIndexes.length > 0) {
+      const missTexts = missIndexes.map(i => texts[i]);
+      const result = await this.requestEmbeddings(missTexts, operation);
+      tokens = result.tokens;
+      for (let m = 0; m < missIndexes.length; m++) {
+        const i = missIndexes[m];
+        embeddings[i] = result.embeddings[m];
+        itemTokens[i] = result.itemTokens[m];
+        await this.cache.set(texts[i], variant, result.embeddings[m], result.itemTokens[m]);
+      }
+    }
+    
+    return { embeddings, tokens, itemTokens, cached };
+  }
 
-    const url = `${this.baseUrl}${this.model}:embedContent`;
-
-    // console.log(`Sending request to Google API ${url}\n${JSON.stringify(requestBody, null, 2)}`);
-
+  /**
+   * Send a batch embedding request to the configured vendor
+   * @param {string[]} texts - Texts to embed
+   * @param {string} operation - Operation type ('generate' for content, 'query' for search)
+   * @returns {Promise<{embeddings: number[][], tokens: number, itemTokens: number[]}>} - Embedding vectors and token counts
+   */
+  async requestEmbeddings(texts, operation) {
+    if (this.localVectorizer) {
+      return this.generateLocalEmbeddings(texts);
+    }
+    
+    const vendor = this.modelConfig.vendor;
+    const { url, body } = buildEmbeddingRequest(this.settings, texts, operation);
+    
     try {
-      const response = await fetch(url, {
+      const response = await this.request(url, {
         method: 'POST',
-        headers: {
-          'x-goog-api-key': this.apiKey,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
+        headers: getAuthHeaders(this.settings, this.apiKey),
+        body: JSON.stringify(body)
       });
       
-      // Get raw response text first
       const rawResponseText = await response.text();
-      // console.log('Raw Google API response:', rawResponseText);
-      // console.log('Response status:', response.status);
-      // console.log('Response headers:', Object.fromEntries(response.headers.entries()));
-      
-      // Now try to parse JSON
       let responseData;
       try {
         responseData = JSON.parse(rawResponseText);
-        // console.log('Parsed response data:', responseData);
       } catch (parseError) {
-        console.error('JSON parse error:', parseError.message);
-        console.error('Raw response that failed to parse:', rawResponseText);
-        throw new Error(`Failed to parse JSON response: ${parseError.message}. Raw response: ${rawResponseText}`);
+        throw new Error(`Failed to parse JSON response from ${vendor} API: ${parseError.message}. Raw response: ${rawResponseText.slice(0, 500)}`);
       }
-
+      
       if (!response.ok) {
-        throw new Error(`Google API error: ${responseData.error?.message || 'Unknown error'}`);
+        const message = responseData.error?.message || (typeof responseData.error === 'string' && responseData.error) || 'Unknown error';
+        throw new Error(`${vendor} API error: ${message}`);
       }
       
-      if (!responseData.embedding || !responseData.embedding.values) {
-        throw new Error('Invalid response format from Google API');
+      const result = parseEmbeddingResponse(this.settings, responseData, texts);
+      if (!result) {
+        throw new Error(`Invalid response format from ${vendor} API`);
       }
       
-      // Google API doesn't provide token count directly, estimate based on text length
-      const tokens = Math.ceil(text.length / 4); // Rough estimation: ~4 chars per token
+      const size = result.embeddings[0].length;
+      if (this.modelConfig.dimensions && size !== this.modelConfig.dimensions && !this.dimensionsWarned) {
+        console.warn(`⚠️  ${vendor} returned ${size}-dimensional vectors although dimensions is ${this.modelConfig.dimensions}. The model or endpoint may not support reduced dimensions.`);
+        this.dimensionsWarned = true;
+      }
       
       return {
-        embedding: responseData.embedding.values,
-        tokens: tokens
+        embeddings: result.embeddings,
+        tokens: result.tokens,
+        itemTokens: result.itemTokens || EmbeddingService.splitByLength(result.tokens, texts)
       };
     } catch (error) {
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error(`Google API request failed: ${error.message}`);
-      } else if (error.name === 'SyntaxError') {
-        throw new Error(`Failed to parse Google API response: ${error.message}`);
+        throw new Error(`${vendor} API request failed: ${error.message}`);
       }
       throw error;
     }
   }
 
   /**
-   * Generate embedding using VoyageAI API format
+   * Generate embedding for text using REST API
+   * A cache hit returns the stored vector with zero tokens, so it records zero cost.
    * @param {string} text - Text to embed
    * @param {string} operation - Operation type ('generate' for content, 'query' for search)
-   * @returns {Promise<{embedding: number[], tokens: number}>} - Embedding vector and token count
+   * @returns {Promise<{embedding: number[], tokens: number, cached: boolean}>} - Embedding vector, token count and whether it came from the cache
    */
-  async generateVoyageEmbedding(text, operation) {
-    // Determine input type based on operation
-    let inputType = 'document'; // default for 'generate' 
-    if (operation === 'query') {
-      inputType = 'query';
-    }
-
-    const requestBody = {
-      model: this.model,
-      input: text,
-      input_type: inputType
-    };
-
-    const url = `${this.baseUrl}embeddings`;
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      const responseData = await response.json();
-
-      if (!response.ok) {
-        throw new Error(`VoyageAI API error: ${responseData.error?.message || 'Unknown error'}`);
-      }
-      
-      if (!responseData.data || !responseData.data[0] || !responseData.data[0].embedding) {
-        throw new Error('Invalid response format from VoyageAI API');
-      }
-      
-      // Extract token count from usage field if available
-      const tokens = responseData.usage?.total_tokens || 0;
-
-      return {
-        embedding: responseData.data[0].embedding,
-        tokens: tokens
-      };
-    } catch (error) {
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error(`VoyageAI API request failed: ${error.message}`);
-      } else if (error.name === 'SyntaxError') {
-        throw new Error(`Failed to parse VoyageAI API response: ${error.message}`);
+  async generateEmbedding(text, operation = 'generate') {
+    const variant = this.cache ? this.getInputVariant(operation) : null;
+    if (this.cache) {
+      const entry = await this.cache.get(text, variant);
+      if (entry) {
+        return { embedding: entry.embedding, tokens: 0, cached: true };
       }
-      throw error;
     }
+    
+    const result = await this.requestEmbedding(text, operation);
+    if (this.cache) {
+      await this.cache.set(text, variant, result.embedding, result.tokens);
+    }
+    return { ...result, cached: false };
   }
 
   /**
-   * Generate embedding using standard OpenAI/SF API format
+   * Send a single embedding request to the configured vendor, as a batch of one
    * @param {string} text - Text to embed
+   * @param {string} operation - Operation type ('generate' for content, 'query' for search)
    * @returns {Promise<{embedding: number[], tokens: number}>} - Embedding vector and token count
    */
-  async generateStandardEmbedding(text) {
-    const requestBody = {
-      model: this.model,
-      input: text,
-      encoding_format: 'float'
-    };
-
-    const url = `${this.baseUrl}embeddings`;
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      const responseData = await response.json();
+  async requestEmbedding(text, operation) {
+    const result = await this.requestEmbeddings([text], operation);
+    return { embedding: result.embeddings[0], tokens: result.tokens };
+  }
 
-      if (!response.ok) {
-        throw new Error(`API error: ${responseData.error?.message || 'Unknown error'}`);
-      }
-      
-      if (!responseData.data || !responseData.data[0] || !responseData.data[0].embedding) {
-        throw new Error('Invalid response format from API');
-      }
-      
-      // Extract token count from usage field if available
-      const tokens = responseData.usage?.total_tokens || 0;
-      
-      return {
-        embedding: responseData.data[0].embedding,
-        tokens: tokens
-      };
-    } catch (error) {
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error(`Request failed: ${error.message}`);
-      } else if (error.name === 'SyntaxError') {
-        throw new Error(`Failed to parse response: ${error.message}`);
-      }
-      throw error;
-    }
+  /**
+   * Generate embeddings with the offline local vectorizer
+   * Queries and documents are vectorized the same way; tokens are word counts.
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<{embeddings: number[][], tokens: number, itemTokens: number[]}>} - Embedding vectors and token counts
+   */
+  async generateLocalEmbeddings(texts) {
+    const results = texts.map(text => this.localVectorizer.embed(text));
+    const itemTokens = results.map(result => result.tokens);
+    return {
+      embeddings: results.map(result => result.embedding),
+      tokens: itemTokens.reduce((sum, tokens) => sum + tokens, 0),
+      itemTokens: itemTokens
+    };
   }
 }
 
-module.exports = EmbeddingService;
\ No newline at end of file
+module.exports = EmbeddingService;
@@ -0,0 +1,142 @@
+/**
+ * Metadata filter expressions for search, e.g. `type=tool and audience contains "new hires"`
+ * Conditions are joined with `and`; every condition has to match. Comparisons ignore case.
+ * - field=value: the field equals the value (for list fields: one of the entries equals it)
+ * - field!=value: the field doesn't equal the value (for list fields: none of the entries equals it)
+ * - field contains value: the field contains the value as a substring (for list fields: one of the entries does)
+ * Values with spaces or operator characters are quoted with double or single quotes.
+ */
+
+// A quoted string, an operator or a bare word
+const TOKEN_PATTERN = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(!=|=)|([^\s"'=!]+))/y;
+
+class MetadataFilter {
+  /**
+   * @param {{field: string, operator: string, value: string}[]} conditions - Parsed conditions
+   * @param {string} expression - Source expression
+   */
+  constructor(conditions, expression) {
+    this.conditions = conditions;
+    this.expression = expression;
+  }
+
+  /**
+   * Supported operators
+   */
+  static get OPERATORS() {
+    return ['=', '!=', 'contains'];
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} expression - Filter expression
+   * @returns {{text: string, quoted: boolean}[]} - Tokens
+   */
+  static tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+      const start = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(expression);
+      if (!match) {
+        if (expression.slice(start).trim() === '') {
+          break;
+        }
+        throw new Error(`Invalid filter "${expression}": unexpected input at "${expression.slice(start).trim()}"`);
+      }
+      const quoted = match[1] !== undefined ? match[1] : match[2];
+      if (quoted !== undefined) {
+        tokens.push({ text: quoted.replace(/\\(.)/g, '$1'), quoted: true });
+      } else {
+        tokens.push({ text: match[3] || match[4], quoted: false });
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse a filter expression
+   * @param {string|null|undefined} expression - Filter expression
+   * @returns {MetadataFilter|null} - Filter, null for an empty expression
+   */
+  static parse(expression) {
+    if (expression === undefined || expression === null) {
+      return null;
+    }
+    if (typeof expression !== 'string') {
+      throw new Error(`Invalid filter ${JSON.stringify(expression)}: must be a string like "type=tool"`);
+    }
+    expression = expression.trim();
+    const tokens = MetadataFilter.tokenize(expression);
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    const conditions = [];
+    let position = 0;
+    const expect = description => {
+      if (position >= tokens.length) {
+        throw new Error(`Invalid filter "${expression}": expected ${description} at the end`);
+      }
+      return tokens[position++];
+    };
+
+    for (;;) {
+      const field = expect('a field name');
+      if (field.quoted || MetadataFilter.OPERATORS.includes(field.text)) {
+        throw new Error(`Invalid filter "${expression}": expected a field name, got "${field.text}"`);
+      }
+      const operator = expect(`an operator (${MetadataFilter.OPERATORS.join(', ')}) after "${field.text}"`);
+      const operatorName = operator.quoted ? null : operator.text.toLowerCase();
+      if (!MetadataFilter.OPERATORS.includes(operatorName)) {
+        throw new Error(`Invalid filter "${expression}": unknown operator "${operator.text}" after "${field.text}". Supported operators: ${MetadataFilter.OPERATORS.join(', ')}`);
+      }
+      const value = expect(`a value after "${field.text} ${operatorName}"`);
+      conditions.push({ field: field.text, operator: operatorName, value: value.text });
+
+      if (position >= tokens.length) {
+        break;
+      }
+      const joiner = tokens[position++];
+      if (joiner.quoted || joiner.text.toLowerCase() !== 'and') {
+        throw new Error(`Invalid filter "${expression}": expected "and" between conditions, got "${joiner.text}"`);
+      }
+    }
+
+    return new MetadataFilter(conditions, expression);
+  }
+
+  /**
+   * Check whether a single condition matches a metadata value
+   * @param {Object} condition - Parsed condition
+   * @param {*} fieldValue - Metadata value, possibly a list
+   * @returns {boolean} - True if the condition matches
+   */
+  static matchesCondition(condition, fieldValue) {
+    const values = (Array.isArray(fieldValue) ? fieldValue : [fieldValue])
+      .filter(value => value !== null && value !== undefined)
+      .map(value => String(value).toLowerCase());
+    const expected = condition.value.toLowerCase();
+
+    if (condition.operator === 'contains') {
+      return values.some(value => value.includes(expected));
+    }
+    const equal = values.some(value => value === expected);
+    return condition.operator === '=' ? equal : !equal;
+  }
+
+  /**
+   * Check whether item metadata matches every condition
+   * @param {Object} metadata - Item metadata
+   * @returns {boolean} - True if the item passes the filter
+   */
+  matches(metadata) {
+    return this.conditions.every(condition => MetadataFilter.matchesCondition(condition, metadata[condition.field]));
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = MetadataFilter;
@@ -1,22 +1,101 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { LocalIndex } = require('vectra');
 const EmbeddingService = require('./embedding');
+const BM25Index = require('./bm25');
+const DocumentTemplate = require('./document-template');
+const Chunker = require('./chunking');
 const Metrics = require('./metrics');
+const { RateLimiter, mapConcurrent } = require('./rate-limiter');
 
 /**
  * Generator service for creating embeddings and building vector index
  */
 class Generator {
-  constructor(projectPath, embeddingService, indexPath = null, modelName = 'default') {
+  /**
+   * @param {string} projectPath - Path to the dataset folder
+   * @param {EmbeddingService} embeddingService - Embedding service for the model
+   * @param {string|null} indexPath - Index folder, defaults to {projectPath}/embeddings
+   * @param {string} modelName - Model name, used as index file name
+   * @param {Object} options - Generation options
+   * @param {boolean} options.incremental - Only re-embed new or changed items of an existing index
+   * @param {string[]|null} options.metadataFields - Extra content fields stored as metadata for filtering, all when null
+   * @param {DocumentTemplate|null} options.documentTemplate - Template of the embedded text, DocumentTemplate.DEFAULT when null
+   * @param {Object|null} options.chunking - Chunking settings from Chunker.getConfig(), null to embed whole documents
+   * @param {number|null} options.dimensions - Output dimensions requested from the vendor, null for its default
+   */
+  constructor(projectPath, embeddingService, indexPath = null, modelName = 'default', options = {}) {
     this.projectPath = projectPath;
     this.indexPath = indexPath || path.join(projectPath, 'embeddings'); // Use embeddings as directory
     this.modelName = modelName;
     this.embeddingService = embeddingService;
+    this.incremental = !!options.incremental;
+    this.metadataFields = options.metadataFields || null;
+    this.documentTemplate = options.documentTemplate || new DocumentTemplate();
+    this.chunking = options.chunking || null;
+    this.chunker = this.chunking ? new Chunker(this.chunking) : null;
+    this.dimensions = options.dimensions || null;
+    if (this.metadataFields && (!Array.isArray(this.metadataFields) || this.metadataFields.some(field => typeof field !== 'string'))) {
+      throw new Error(`Invalid metadataFields: ${JSON.stringify(this.metadataFields)}. Must be an array of content field names`);
+    }
     this.index = null;
     this.metrics = new Metrics();
   }
 
+  /**
+   * Compute the content hash stored with each vector to detect changed items
+   * @param {string} text - Embedded text
+   * @returns {string} - SHA-256 hex digest
+   */
+  static hashText(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+  }
+
+  /**
+   * Metadata keys written by the generator itself, never overwritten by content fields
+   */
+  static get RESERVED_FIELDS() {
+    return ['id', 'title', 'description', 'text', 'hash', 'chunkId', 'chunk', 'chunks'];
+  }
+
+  /**
+   * Pick the extra content fields stored as vector metadata, so searches can filter on them
+   * @param {Object} item - Content item
+   * @returns {Object} - Extra fields (e.g. type, audience, owner_email)
+   */
+  getExtraMetadata(item) {
+    const fields = this.metadataFields || Object.keys(item);
+    const metadata = {};
+    fields
+      .filter(field => !Generator.RESERVED_FIELDS.includes(field) && item[field] !== undefined)
+      .forEach(field => {
+        metadata[field] = item[field];
+      });
+    return metadata;
+  }
+
+  /**
+   * Build the metadata stored with an item's vector
+   * Chunks keep the parent document id in `id` and add their own chunk id, position and the chunk count.
+   * @param {Object} item - Content item
+   * @param {string} text - Embedded text of the item or chunk
+   * @param {string} hash - Hash of the whole document text
+   * @param {{index: number, count: number}|null} chunk - Chunk position, null when the index isn't chunked
+   * @returns {Object} - Vector metadata
+   */
+  getMetadata(item, text, hash, chunk = null) {
+    return {
+      ...this.getExtraMetadata(item),
+      id: item.id,
+      title: item.title,
+      description: item.description,
+      text,
+      hash,
+      ...(chunk && { chunkId: `${item.id}#${chunk.index}`, chunk: chunk.index, chunks: chunk.count })
+    };
+  }
+
   /**
    * Initialize the vector index
    */
@@ -25,17 +104,151 @@ class Generator {
     const indexFileName = `${this.modelName}.json`;
     this.index = new LocalIndex(this.indexPath, indexFileName);
     
-    // Always recreate index for fresh generation
     const indexExists = await this.index.isIndexCreated();
+    if (this.incremental) {
+      if (!indexExists) {
+        console.log('No existing index found, building it from scratch.');
+      } else {
+        // Every vector changes with the template or chunking, so the index is rebuilt to record the new settings
+        const settings = await Generator.getIndexSettings(this.index);
+        if (settings.documentTemplate !== this.documentTemplate.source) {
+          console.log('Document template changed, rebuilding the index from scratch.');
+        } else if (JSON.stringify(settings.chunking) !== JSON.stringify(Chunker.getIndexSettings(this.chunking))) {
+          console.log('Chunking settings changed, rebuilding the index from scratch.');
+        } else if (settings.dimensions !== this.dimensions) {
+          console.log('Output dimensions changed, rebuilding the index from scratch.');
+        } else {
+          console.log('Updating existing index incrementally.');
+          return;
+        }
+      }
+    }
     if (indexExists) {
+      // Recreate index for fresh generation. Only remove this model's file,
+      // the embeddings folder is shared with the indexes of other models.
       console.log('Clearing existing index...');
-      await this.index.deleteIndex();
+      await fs.rm(path.join(this.indexPath, indexFileName));
     }
     
-    await this.index.createIndex();
+    // The document template, chunking and output dimensions are recorded in the index so search and
+    // reranking use the same text and queries are embedded with the same vector size
+    await this.index.createIndex({
+      version: 1,
+      metadata_config: {
+        documentTemplate: this.documentTemplate.source,
+        chunking: Chunker.getIndexSettings(this.chunking),
+        dimensions: this.dimensions
+      }
+    });
     console.log('Created fresh vector index.');
   }
 
+  /**
+   * Get the document template, chunking and output dimensions recorded in an index
+   * @param {LocalIndex} index - Vector index
+   * @returns {Promise<{documentTemplate: string, chunking: Object|null, dimensions: number|null}>} - Settings; indexes
+   *   built before they were recorded use DocumentTemplate.DEFAULT, no chunking and the vendor's default dimensions
+   */
+  static async getIndexSettings(index) {
+    const stats = await index.getIndexStats();
+    const config = stats.metadata_config || {};
+    return {
+      documentTemplate: config.documentTemplate || DocumentTemplate.DEFAULT,
+      chunking: config.chunking || null,
+      dimensions: config.dimensions || null
+    };
+  }
+
+  /**
+   * Compare content with the items already stored in the index
+   * Items whose text is unchanged but whose extra metadata changed keep their vectors and only get new metadata.
+   * @param {Object[]} content - Content items
+   * @returns {Promise<Object>} - Items (or chunks) to embed, vectors to refresh, vector ids to remove and change counts
+   */
+  async planChanges(content) {
+    // Group the stored vectors by content id; chunked documents have one vector per chunk
+    const existing = new Map();
+    const storedItems = await this.index.listItems();
+    for (const storedItem of storedItems) {
+      if (!existing.has(storedItem.metadata.id)) {
+        existing.set(storedItem.metadata.id, []);
+      }
+      existing.get(storedItem.metadata.id).push(storedItem);
+    }
+    
+    const toEmbed = [];
+    const toRefresh = [];
+    const toRemove = [];
+    const seenIds = new Set();
+    const changes = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    
+    for (const item of content) {
+      const text = this.documentTemplate.render(item);
+      const hash = Generator.hashText(text);
+      const chunkTexts = this.chunker ? this.chunker.split(text) : [text];
+      const entries = chunkTexts.map((chunkText, index) => ({
+        item,
+        text: chunkText,
+        hash,
+        chunk: this.chunker ? { index, count: chunkTexts.length } : null
+      }));
+      const stored = existing.get(item.id);
+      seenIds.add(item.id);
+      
+      if (!stored) {
+        toEmbed.push(...entries);
+        changes.added++;
+        continue;
+      }
+      
+      // Keep one stored vector per chunk position; duplicates left by earlier runs are removed
+      const storedByChunk = new Map();
+      stored.forEach(storedItem => {
+        const index = storedItem.metadata.chunk || 0;
+        if (storedByChunk.has(index)) {
+          toRemove.push(storedItem.id);
+        } else {
+          storedByChunk.set(index, storedItem);
+        }
+      });
+      
+      // Items indexed before hashes were stored have no hash and are re-embedded once
+      const upToDate = storedByChunk.size === entries.length &&
+        entries.every((entry, index) => storedByChunk.has(index) && storedByChunk.get(index).metadata.hash === hash);
+      if (!upToDate) {
+        // The first chunk replaces all previous vectors of the item
+        entries[0].replaces = [...storedByChunk.values()].map(storedItem => storedItem.id);
+        toEmbed.push(...entries);
+        changes.updated++;
+        continue;
+      }
+      
+      const refreshed = entries
+        .map((entry, index) => ({ entry, storedItem: storedByChunk.get(index) }))
+        .filter(({ entry, storedItem }) => JSON.stringify(this.getMetadata(item, entry.text, hash, entry.chunk)) !== JSON.stringify(storedItem.metadata))
+        .map(({ entry, storedItem }) => ({
+          vectorId: storedItem.id,
+          vector: storedItem.vector,
+          metadata: this.getMetadata(item, entry.text, hash, entry.chunk)
+        }));
+      if (refreshed.length > 0) {
+        toRefresh.push(...refreshed);
+        changes.updated++;
+      } else {
+        changes.unchanged++;
+      }
+    }
+    
+    for (const [id, stored] of existing) {
+      if (!seenIds.has(id)) {
+        toRemove.push(...stored.map(storedItem => storedItem.id));
+        changes.removed++;
+      }
+    }
+    
+    return { toEmbed, toRefresh, toRemove, changes };
+  }
+
   /**
    * Load content from project folder
    * @returns {Promise<Object[]>} - Content items
@@ -53,69 +266,214 @@ class Generator {
     console.log('Loading content and building index...');
     const content = await this.loadContent();
     
-    for (let i = 0; i < content.length; i++) {
-      const item = content[i];
-      const text = `${item.title} ${item.description}`;
+    const missingFields = this.documentTemplate.getFields().filter(field => !content.some(item => item[field] !== undefined && item[field] !== null));
+    if (missingFields.length > 0) {
+      console.warn(`⚠️  Document template fields not found in any content item: ${missingFields.join(', ')}`);
+    }
+    
+    const { toEmbed, toRefresh, toRemove, changes } = await this.planChanges(content);
+    this.metrics.setGenerateChanges({ mode: this.incremental ? 'incremental' : 'full', ...changes });
+    
+    if (this.incremental) {
+      console.log(`Changes: ${changes.added} added, ${changes.updated} updated, ${changes.removed} removed, ${changes.unchanged} unchanged`);
+    }
+    
+    // Drop items whose ids are gone from content.json, and duplicate vectors
+    if (toRemove.length > 0) {
+      await this.index.beginUpdate();
+      for (const vectorId of toRemove) {
+        await this.index.deleteItem(vectorId);
+      }
+      await this.index.endUpdate();
+    }
+    
+    // Store changed metadata of items whose text is unchanged without embedding them again
+    if (toRefresh.length > 0) {
+      await this.index.beginUpdate();
+      for (const { vectorId, vector, metadata } of toRefresh) {
+        await this.index.deleteItem(vectorId);
+        await this.index.insertItem({ vector, metadata });
+      }
+      await this.index.endUpdate();
+      console.log(`Updated metadata of ${toRefresh.length} vectors without re-embedding.`);
+    }
+    
+    // Embed new and changed content in batches, one API request per batch. Batches are requested
+    // concurrently within the vendor's rate limits and stored in content order.
+    const batchSize = this.embeddingService.batchSize;
+    const batches = [];
+    for (let start = 0; start < toEmbed.length; start += batchSize) {
+      batches.push(toEmbed.slice(start, start + batchSize));
+    }
+    const describeBatch = b => `${this.chunker ? 'chunks' : 'items'} ${b * batchSize + 1}-${b * batchSize + batches[b].length}`;
+    
+    // Metrics are recorded per document; chunked documents add up their chunks, which may span batches
+    let documentMetrics = null;
+    
+    const embedBatch = async (batchEntries, b) => {
+      const texts = batchEntries.map(entry => entry.text);
+      try {
+        // Track metrics for the whole batch request, without the time spent waiting for the rate limiter or retry backoff
+        const startTime = Date.now();
+        const { result, queued, retryWait } = await RateLimiter.measure(() => this.embeddingService.generateEmbeddings(texts, 'generate'));
+        const runtime = Date.now() - startTime - queued - retryWait;
+        return { result, runtime };
+      } catch (error) {
+        console.error(`Error processing batch ${b + 1} (${describeBatch(b)}):`, error.message);
+        throw error;
+      }
+    };
+    
+    const storeBatch = async ({ result, runtime }, b) => {
+      const batchEntries = batches[b];
+      const batch = batchEntries.map(entry => entry.item);
+      const texts = batchEntries.map(entry => entry.text);
       
-      console.log(`Processing item ${i + 1}/${content.length}: ${item.title}`);
+      console.log(`Processing batch ${b + 1}/${batches.length}: ${describeBatch(b)} of ${toEmbed.length}`);
       
       try {
-        // Track metrics for each document
-        const startTime = Date.now();
-        
-        const result = await this.embeddingService.generateEmbedding(text, 'generate');
-        const embedding = result.embedding;
-        const tokens = result.tokens; // Use API-provided token count
+        // Split batch runtime across the items that were actually requested; tokens are already split per item
+        const requestedTexts = texts.filter((text, i) => !result.cached[i]);
+        const requestedRuntimes = EmbeddingService.splitByLength(runtime, requestedTexts);
+        const itemRuntimes = result.cached.map(cached => cached ? 0 : requestedRuntimes.shift());
         
-        const endTime = Date.now();
-        const runtime = endTime - startTime;
-        
-        // Add metrics for this document
-        const cost = this.embeddingService.calculateCost(tokens);
-        this.metrics.addGenerateMetrics({
-          id: item.id,
-          title: item.title,
-          tokens: tokens,
-          runtime: runtime,
-          cost: cost
-        });
-        
-        await this.index.insertItem({
-          vector: embedding,
-          metadata: {
-            id: item.id,
-            title: item.title,
-            description: item.description,
-            text: text
+        await this.index.beginUpdate();
+        for (let i = 0; i < batch.length; i++) {
+          const item = batch[i];
+          const chunk = batchEntries[i].chunk;
+          
+          // Changed items replace their previous vectors
+          if (batchEntries[i].replaces) {
+            for (const vectorId of batchEntries[i].replaces) {
+              await this.index.deleteItem(vectorId);
+            }
           }
-        });
-        
-        console.log(`  ✓ Tokens: ${tokens}, Runtime: ${runtime}ms`);
+          
+          await this.index.insertItem({
+            vector: result.embeddings[i],
+            metadata: this.getMetadata(item, texts[i], batchEntries[i].hash, chunk)
+          });
+          
+          if (!chunk || chunk.index === 0) {
+            documentMetrics = { id: item.id, title: item.title, tokens: 0, runtime: 0, cached: true };
+          }
+          documentMetrics.tokens += result.itemTokens[i];
+          documentMetrics.runtime += itemRuntimes[i];
+          documentMetrics.cached = documentMetrics.cached && result.cached[i];
+          if (chunk && chunk.index < chunk.count - 1) {
+            continue;
+          }
+          
+          // Add metrics for this document
+          const { tokens, cached } = documentMetrics;
+          const cost = this.embeddingService.calculateCost(tokens);
+          this.metrics.addGenerateMetrics({
+            ...documentMetrics,
+            cost: cost,
+            ...(chunk && { chunks: chunk.count })
+          });
+          
+          console.log(`  ✓ ${item.title} - ${chunk ? `${chunk.count} chunks, ` : ''}${cached ? 'cached' : `Tokens: ${tokens}`}`);
+        }
+        await this.index.endUpdate();
         
-        // Small delay to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
+        console.log(`  Batch tokens: ${result.tokens}, Runtime: ${runtime}ms`);
       } catch (error) {
-        console.error(`Error processing item ${i + 1}:`, error.message);
+        this.index.cancelUpdate();
+        console.error(`Error storing batch ${b + 1} (${describeBatch(b)}):`, error.message);
         throw error;
       }
+    };
+    
+    await mapConcurrent(batches, this.embeddingService.getConcurrency(), embedBatch, storeBatch);
+    
+    // Unchanged documents keep the metrics of the run that embedded them, so the metrics file covers the whole index
+    if (this.incremental) {
+      const missing = this.metrics.mergeGenerateMetrics(await this.loadPreviousMetrics(), content.map(item => item.id));
+      if (missing > 0) {
+        console.warn(`⚠️  No previous generation metrics for ${missing} unchanged documents, the totals leave them out.`);
+      }
     }
     
     console.log('Index built successfully!');
     
     const stats = await this.index.getIndexStats();
-    console.log(`📊 Index contains ${stats.items} embedded items.`);
+    console.log(`📊 Index contains ${stats.items} embedded ${this.chunker ? `chunks of ${content.length} documents` : 'items'}.`);
     
     // Display generation metrics totals
     const totals = this.metrics.getGenerateTotals();
     console.log('\n📈 Generation Metrics Summary:');
-    console.log(`  Total Documents: ${totals.documentCount}`);
+    console.log(`  Total Documents: ${totals.documentCount}${totals.chunkCount !== undefined ? ` (${totals.chunkCount} chunks)` : ''}`);
     console.log(`  Total Tokens: ${totals.totalTokens}`);
     console.log(`  Total Runtime: ${totals.totalRuntime}ms`);
     console.log(`  Total Cost: $${totals.totalCost.toFixed(8)}`);
+    if (this.metrics.generateRunTotals) {
+      const run = this.metrics.generateRunTotals;
+      console.log(`  This Run: ${run.documentCount} documents embedded, ${run.totalTokens} tokens, $${run.totalCost.toFixed(8)}`);
+    }
+    if (this.embeddingService.cache) {
+      const cacheStats = this.embeddingService.cache.getStats();
+      this.metrics.setCacheStats('generate', cacheStats);
+      console.log(`  Embedding Cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
+    }
+    const retryStats = this.embeddingService.getRetryStats();
+    if (retryStats.requests > 0) {
+      this.metrics.setRetryStats('generate', retryStats);
+      if (retryStats.retries > 0 || retryStats.failures > 0) {
+        console.log(`  API Retries: ${retryStats.retries} over ${retryStats.requests} requests (${retryStats.timeouts} timeouts, ${retryStats.failures} failed)`);
+      }
+    }
+    if (this.incremental) {
+      console.log(`  Added: ${changes.added}, Updated: ${changes.updated}, Removed: ${changes.removed}, Unchanged: ${changes.unchanged}`);
+    }
     
     return stats;
   }
 
+  /**
+   * Get the path of the generation metrics file of the model
+   * @returns {string} - Metrics path
+   */
+  getMetricsPath() {
+    return path.join(this.projectPath, `generation-metrics-${this.modelName}.json`);
+  }
+
+  /**
+   * Load the per-document metrics of the model's previous generation
+   * @returns {Promise<Object[]>} - Previous per-document metrics, empty when there is no metrics file
+   */
+  async loadPreviousMetrics() {
+    try {
+      const previous = JSON.parse(await fs.readFile(this.getMetricsPath(), 'utf8'));
+      return Array.isArray(previous.items) ? previous.items : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get the path of the BM25 index stored next to a model's vector index
+   * @param {string} indexPath - Index folder
+   * @param {string} modelName - Model name
+   * @returns {string} - BM25 index path
+   */
+  static getLexicalIndexPath(indexPath, modelName) {
+    return path.join(indexPath, `${modelName}-bm25.json`);
+  }
+
+  /**
+   * Build the BM25 index over the same text as the vectors, for lexical and hybrid retrieval
+   * It is rebuilt from the whole vector index, so incremental runs stay in sync.
+   * @returns {Promise<BM25Index>} - Lexical index
+   */
+  async buildLexicalIndex() {
+    const items = await this.index.listItems();
+    const lexicalIndex = BM25Index.build(items.map(item => ({ id: Chunker.getKey(item.metadata), text: item.metadata.text })));
+    await lexicalIndex.save(Generator.getLexicalIndexPath(this.indexPath, this.modelName));
+    console.log(`📚 BM25 index built over ${items.length} ${this.chunker ? 'chunks' : 'items'}.`);
+    return lexicalIndex;
+  }
+
   /**
    * Generate embeddings and build index
    */
@@ -124,9 +482,10 @@ class Generator {
     
     await this.initialize();
     await this.buildIndex();
+    await this.buildLexicalIndex();
     
     // Save metrics to file with model name suffix
-    const metricsPath = path.join(this.projectPath, `generation-metrics-${this.modelName}.json`);
+    const metricsPath = this.getMetricsPath();
     // Custom JSON replacer to prevent scientific notation for cost values
     const jsonReplacer = (key, value) => {
       if (key === 'cost' || key === 'totalCost') {
@@ -0,0 +1,113 @@
+/**
+ * Retrieval modes and score fusion for hybrid (vector + BM25) search
+ * Every mode scores candidates between 0 and 1:
+ * - vector: cosine similarity, matches need minSimilarity
+ * - lexical: BM25 score relative to the best match of the query, matches need minLexicalScore
+ * - hybrid: fused score of both; matches are the union of the vector and lexical matches
+ */
+class HybridRetrieval {
+  /**
+   * Default retrieval settings, overridden by the "retrieval" object of a model configuration
+   */
+  static get DEFAULTS() {
+    return {
+      mode: 'vector',
+      fusion: 'rrf',
+      vectorWeight: 1,
+      lexicalWeight: 1,
+      rrfK: 60,
+      minLexicalScore: 0.5,
+      minScore: 0
+    };
+  }
+
+  /**
+   * Supported retrieval modes
+   */
+  static get MODES() {
+    return ['vector', 'lexical', 'hybrid'];
+  }
+
+  /**
+   * Supported fusion methods
+   */
+  static get FUSIONS() {
+    return ['rrf', 'weighted'];
+  }
+
+  /**
+   * Merge and validate the retrieval settings of a model configuration
+   * @param {Object} modelConfig - Model configuration
+   * @returns {Object} - Retrieval settings
+   */
+  static getConfig(modelConfig = {}) {
+    const config = { ...HybridRetrieval.DEFAULTS, ...(modelConfig.retrieval || {}) };
+
+    if (!HybridRetrieval.MODES.includes(config.mode)) {
+      throw new Error(`Invalid retrieval.mode: ${config.mode}. Supported modes: ${HybridRetrieval.MODES.join(', ')}`);
+    }
+    if (!HybridRetrieval.FUSIONS.includes(config.fusion)) {
+      throw new Error(`Invalid retrieval.fusion: ${config.fusion}. Supported methods: ${HybridRetrieval.FUSIONS.join(', ')}`);
+    }
+    ['vectorWeight', 'lexicalWeight', 'minLexicalScore', 'minScore'].forEach(key => {
+      if (typeof config[key] !== 'number' || config[key] < 0) {
+        throw new Error(`Invalid retrieval.${key}: ${config[key]}. Must be a non-negative number`);
+      }
+    });
+    if (config.vectorWeight + config.lexicalWeight === 0) {
+      throw new Error('retrieval.vectorWeight and retrieval.lexicalWeight cannot both be 0');
+    }
+    if (typeof config.rrfK !== 'number' || config.rrfK < 0) {
+      throw new Error(`Invalid retrieval.rrfK: ${config.rrfK}. Must be a non-negative number`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Scale BM25 scores relative to the best match of the query
+   * @param {{id: *, score: number}[]} matches - BM25 matches sorted by score
+   * @returns {{id: *, score: number}[]} - Matches with scores between 0 and 1
+   */
+  static normalizeLexical(matches) {
+    const best = matches.length > 0 ? matches[0].score : 0;
+    return matches.map(match => ({ id: match.id, score: best > 0 ? match.score / best : 0 }));
+  }
+
+  /**
+   * Fuse vector and lexical candidate lists
+   * RRF scores are divided by the score of a candidate ranked first in both lists, so they also range from 0 to 1.
+   * @param {{id: *, score: number}[]} vectorResults - Vector candidates sorted by similarity
+   * @param {{id: *, score: number}[]} lexicalResults - Lexical candidates with normalized scores, sorted
+   * @param {Object} config - Retrieval settings
+   * @returns {{id: *, score: number, vectorScore: number|null, lexicalScore: number|null}[]} - Fused candidates sorted by score
+   */
+  static fuse(vectorResults, lexicalResults, config) {
+    const candidates = new Map();
+    const entry = id => {
+      if (!candidates.has(id)) {
+        candidates.set(id, { id, vectorScore: null, vectorRank: null, lexicalScore: null, lexicalRank: null });
+      }
+      return candidates.get(id);
+    };
+    vectorResults.forEach((result, index) => Object.assign(entry(result.id), { vectorScore: result.score, vectorRank: index + 1 }));
+    lexicalResults.forEach((result, index) => Object.assign(entry(result.id), { lexicalScore: result.score, lexicalRank: index + 1 }));
+
+    const totalWeight = config.vectorWeight + config.lexicalWeight;
+    const fused = [...candidates.values()].map(candidate => {
+      let score;
+      if (config.fusion === 'rrf') {
+        const rrf = (weight, rank) => (rank ? weight / (config.rrfK + rank) : 0);
+        score = (rrf(config.vectorWeight, candidate.vectorRank) + rrf(config.lexicalWeight, candidate.lexicalRank)) /
+          (totalWeight / (config.rrfK + 1));
+      } else {
+        score = (config.vectorWeight * (candidate.vectorScore || 0) + config.lexicalWeight * (candidate.lexicalScore || 0)) / totalWeight;
+      }
+      return { id: candidate.id, score, vectorScore: candidate.vectorScore, lexicalScore: candidate.lexicalScore };
+    });
+
+    return fused.sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = HybridRetrieval;
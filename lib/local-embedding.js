@@ -0,0 +1,93 @@
+/**
+ * Offline lexical vectorizer used by the 'local' embedding vendor
+ * Hashes word unigrams and character n-grams into a fixed number of dimensions (the hashing trick),
+ * weights them with sublinear term frequency and L2-normalizes the result. It needs no network and
+ * no API key and is fully deterministic, so it doubles as a lexical baseline for the paid models.
+ */
+class LocalVectorizer {
+  /**
+   * @param {Object} options - Vectorizer options
+   * @param {number} options.dimensions - Vector size (default 1024)
+   * @param {number[]} options.charNgrams - Character n-gram sizes taken from each word (default [3, 4])
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || 1024;
+    this.charNgrams = options.charNgrams || [3, 4];
+
+    if (!Number.isInteger(this.dimensions) || this.dimensions < 8) {
+      throw new Error(`Invalid dimensions for local vectorizer: ${options.dimensions}. Must be an integer >= 8`);
+    }
+  }
+
+  /**
+   * Split text into lowercase word tokens, keeping letters of any script and digits
+   * @param {string} text - Input text
+   * @returns {string[]} - Word tokens
+   */
+  static tokenize(text) {
+    return (text.toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}]+/gu) || []);
+  }
+
+  /**
+   * 32-bit FNV-1a hash
+   * @param {string} value - Feature string
+   * @returns {number} - Unsigned hash
+   */
+  static hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Extract the hashed features of a text
+   * @param {string} text - Input text
+   * @returns {Map<string, number>} - Feature counts
+   */
+  extractFeatures(text) {
+    const features = new Map();
+    const add = feature => features.set(feature, (features.get(feature) || 0) + 1);
+
+    LocalVectorizer.tokenize(text).forEach(word => {
+      add(`w:${word}`);
+      // Character n-grams with word boundaries catch inflections and compound words
+      const padded = `<${word}>`;
+      this.charNgrams.forEach(n => {
+        for (let i = 0; i + n <= padded.length; i++) {
+          add(`c${n}:${padded.substring(i, i + n)}`);
+        }
+      });
+    });
+
+    return features;
+  }
+
+  /**
+   * Vectorize a text
+   * @param {string} text - Input text
+   * @returns {{embedding: number[], tokens: number}} - L2-normalized vector and word token count
+   */
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    this.extractFeatures(text).forEach((count, feature) => {
+      const hash = LocalVectorizer.hash(feature);
+      // Signed hashing keeps collisions from only ever adding up
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      // Whole words weigh more than the n-grams they produce
+      const weight = feature.startsWith('w:') ? 2 : 1;
+      vector[hash % this.dimensions] += sign * weight * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return {
+      embedding: norm > 0 ? vector.map(value => value / norm) : vector,
+      tokens: LocalVectorizer.tokenize(text).length
+    };
+  }
+}
+
+module.exports = LocalVectorizer;
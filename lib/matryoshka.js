@@ -0,0 +1,119 @@
+const Calibrator = require('./calibrate');
+const Chunker = require('./chunking');
+const MetadataFilter = require('./filter');
+
+/**
+ * Offline Matryoshka truncation of stored vectors
+ * Models trained with Matryoshka representation learning keep most of their quality when vectors are cut to
+ * their first dimensions. Stored full-size vectors and the eval query vectors are truncated to several sizes and
+ * re-normalized, and each size is scored on the eval queries without any further API calls.
+ */
+class MatryoshkaAnalysis {
+  /**
+   * Smallest size suggested when no sizes are given
+   */
+  static get MIN_DEFAULT_SIZE() {
+    return 64;
+  }
+
+  /**
+   * Keep the first dimensions of a vector and L2-normalize them
+   * @param {number[]} vector - Full-size vector
+   * @param {number} size - Number of dimensions to keep
+   * @returns {number[]} - Truncated unit vector
+   */
+  static truncate(vector, size) {
+    const truncated = vector.slice(0, size);
+    const norm = Math.sqrt(truncated.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? truncated.map(value => value / norm) : truncated;
+  }
+
+  /**
+   * Get the sizes to compare, largest first
+   * @param {number} fullSize - Dimensions of the stored vectors
+   * @param {number[]|null} requested - Sizes given with --dims, powers of two below fullSize when null
+   * @returns {number[]} - Sizes including the full size
+   */
+  static getSizes(fullSize, requested = null) {
+    let sizes;
+    if (requested) {
+      const invalid = requested.filter(size => !Number.isInteger(size) || size < 1 || size > fullSize);
+      if (invalid.length > 0) {
+        throw new Error(`Invalid --dims value ${invalid.join(', ')}: sizes must be integers from 1 to the stored vector size ${fullSize}`);
+      }
+      sizes = requested;
+    } else {
+      sizes = [];
+      for (let size = MatryoshkaAnalysis.MIN_DEFAULT_SIZE; size < fullSize; size *= 2) {
+        sizes.push(size);
+      }
+    }
+    return [...new Set([fullSize, ...sizes])].sort((a, b) => b - a);
+  }
+
+  /**
+   * Score the eval queries with vectors truncated to one size
+   * @param {Object[]} queries - Eval queries with search, expectedIds, filter and the full-size query embedding
+   * @param {Object[]} items - Stored index items with vector and metadata
+   * @param {number} size - Dimensions to keep
+   * @param {Object} options - Scoring options
+   * @param {number} options.topN - Candidates kept per query
+   * @param {number} options.minSimilarity - Configured threshold the recall/precision are reported at
+   * @param {Object|null} options.chunking - Chunking settings, chunk scores are aggregated per document
+   * @param {number} options.step - Threshold step of the sweep
+   * @returns {Object} - Size, index size in bytes, recall/precision at minSimilarity and the best F1 point
+   */
+  static evaluate(queries, items, size, options) {
+    const truncatedItems = items.map(item => ({ item, vector: MatryoshkaAnalysis.truncate(item.vector, size) }));
+
+    const scoredQueries = queries.map(query => {
+      const queryVector = MatryoshkaAnalysis.truncate(query.embedding, size);
+      const filter = MetadataFilter.parse(query.filter);
+      let results = truncatedItems
+        .filter(({ item }) => !filter || filter.matches(item.metadata))
+        .map(({ item, vector }) => ({
+          item,
+          score: vector.reduce((sum, value, index) => sum + value * queryVector[index], 0)
+        }))
+        .sort((a, b) => b.score - a.score);
+      if (options.chunking) {
+        results = Chunker.aggregate(results, options.chunking);
+      }
+      return {
+        search: query.search,
+        expectedIds: query.expectedIds,
+        candidates: results.slice(0, options.topN).map(result => ({ id: result.item.metadata.id, score: result.score }))
+      };
+    });
+
+    const curve = Calibrator.sweep(scoredQueries, options.step);
+    const current = Calibrator.pointAt(curve, options.minSimilarity);
+    const best = Calibrator.recommend(curve, 'f1');
+    return {
+      dimensions: size,
+      // Raw float32 vectors; the JSON index on disk scales the same way
+      indexBytes: items.length * size * 4,
+      recall: current.recall,
+      precision: current.precision,
+      f1: current.f1,
+      bestThreshold: best.threshold,
+      bestRecall: best.recall,
+      bestPrecision: best.precision,
+      bestF1: best.f1
+    };
+  }
+
+  /**
+   * Pick the smallest size whose best F1 stays within maxLoss points of the full size
+   * @param {Object[]} results - Results of evaluate(), full size first
+   * @param {number} maxLoss - Accepted F1 loss in percentage points
+   * @returns {Object} - Recommended result
+   */
+  static recommend(results, maxLoss) {
+    const full = results[0];
+    return results.reduce((smallest, result) =>
+      (result.bestF1 >= full.bestF1 - maxLoss && result.dimensions < smallest.dimensions ? result : smallest), full);
+  }
+}
+
+module.exports = MatryoshkaAnalysis;
@@ -2,10 +2,80 @@
  * Metrics calculation and tracking utilities
  */
 class Metrics {
+  /**
+   * Default cutoffs for the @k rank-aware metrics
+   */
+  static get DEFAULT_K_VALUES() {
+    return [1, 3, 5, 10];
+  }
+
   constructor() {
     this.generateMetrics = [];
     this.evaluateMetrics = [];
     this.rerankerMetrics = [];
+    this.generateChanges = null;
+    this.generateRunTotals = null;
+    this.cacheStats = {};
+    this.retryStats = {};
+    this.retrievalComparison = null;
+    this.quantizationComparison = null;
+  }
+
+  /**
+   * Record embedding cache statistics for a section
+   * @param {string} section - 'generate' or 'evaluate'
+   * @param {Object} stats - Cache hit/miss counts
+   */
+  setCacheStats(section, stats) {
+    this.cacheStats[section] = {
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: stats.hitRate
+    };
+  }
+
+  /**
+   * Record vendor API request and retry counts for a section
+   * @param {string} section - 'generate', 'evaluate' or 'reranker'
+   * @param {Object} stats - Request, retry, timeout and failure counts
+   */
+  setRetryStats(section, stats) {
+    this.retryStats[section] = {
+      requests: stats.requests,
+      retries: stats.retries,
+      timeouts: stats.timeouts,
+      failures: stats.failures
+    };
+  }
+
+  /**
+   * Record the evaluation aggregates of each retrieval mode
+   * @param {Object} comparison - Macro/micro recall and precision, MRR and MAP per mode ('vector', 'lexical', 'hybrid')
+   */
+  setRetrievalComparison(comparison) {
+    this.retrievalComparison = comparison;
+  }
+
+  /**
+   * Record the comparison of a quantized index with its float index
+   * @param {Object} comparison - Size, latency, recall/precision and MRR per index ('float' and the quantization type) and their delta
+   */
+  setQuantizationComparison(comparison) {
+    this.quantizationComparison = comparison;
+  }
+
+  /**
+   * Record how the index changed during generation
+   * @param {Object} changes - Mode ('full' or 'incremental') and added/updated/removed/unchanged counts
+   */
+  setGenerateChanges(changes) {
+    this.generateChanges = {
+      mode: changes.mode,
+      added: changes.added,
+      updated: changes.updated,
+      removed: changes.removed,
+      unchanged: changes.unchanged
+    };
   }
 
   /**
@@ -21,10 +91,28 @@ class Metrics {
       title: metrics.title,
       tokens: metrics.tokens,
       runtime: metrics.runtime,
-      cost: roundedCost
+      cost: roundedCost,
+      cached: !!metrics.cached,
+      ...(metrics.chunks !== undefined && { chunks: metrics.chunks })
     });
   }
 
+  /**
+   * Complete the metrics of an incremental generation with the documents it didn't re-embed
+   * The totals of the documents embedded by this run are kept separately (see getAllMetrics).
+   * @param {Object[]} previousItems - Per-document metrics of the previous generation
+   * @param {Array} contentIds - Ids of all current content items, in content order
+   * @returns {number} - Documents neither embedded now nor found in the previous metrics
+   */
+  mergeGenerateMetrics(previousItems, contentIds) {
+    this.generateRunTotals = this.getGenerateTotals();
+    const embedded = new Map(this.generateMetrics.map(m => [m.id, m]));
+    const previous = new Map(previousItems.map(m => [m.id, { ...m, cost: parseFloat(m.cost) || 0 }]));
+    const merged = contentIds.map(id => embedded.get(id) || previous.get(id));
+    this.generateMetrics = merged.filter(m => m);
+    return merged.length - this.generateMetrics.length;
+  }
+
   /**
    * Add metrics for a search evaluation
    * @param {Object} metrics - Evaluation metrics
@@ -43,8 +131,13 @@ class Metrics {
       cost: roundedCost,
       embeddingCost: roundedEmbeddingCost,
       rerankerCost: roundedRerankerCost,
+      cached: !!metrics.cached,
       recall: metrics.recall,
       precision: metrics.precision,
+      ranking: metrics.ranking,
+      gradedRecall: metrics.gradedRecall !== undefined ? metrics.gradedRecall : metrics.recall,
+      gradedPrecision: metrics.gradedPrecision !== undefined ? metrics.gradedPrecision : metrics.precision,
+      mustBeFirst: metrics.mustBeFirst,
       expectedCount: metrics.expectedCount,
       foundCount: metrics.foundCount,
       returnedCount: metrics.returnedCount
@@ -107,6 +200,205 @@ class Metrics {
     return (correctFound / foundIds.length) * 100;
   }
 
+  /**
+   * Calculate precision of the top k results as a percentage of k
+   * Unlike calculatePrecision, rankings with fewer than k results count the missing ranks as misses.
+   * @param {number[]} foundIds - IDs found by search, in rank order
+   * @param {number[]} expectedIds - Expected IDs
+   * @param {number} k - Rank cutoff
+   * @returns {number} - Precision@k percentage (0-100)
+   */
+  static calculatePrecisionAtK(foundIds, expectedIds, k) {
+    const topK = foundIds.slice(0, k);
+    
+    // Special handling for expected: [] - if we expect no documents and find none, that's 100% precision
+    if (expectedIds.length === 0) {
+      return topK.length === 0 ? 100 : 0;
+    }
+    
+    const expectedSet = new Set(expectedIds);
+    return (topK.filter(id => expectedSet.has(id)).length / k) * 100;
+  }
+
+  /**
+   * Calculate reciprocal rank of the first expected ID in the ranked results
+   * @param {number[]} foundIds - IDs found by search, in rank order
+   * @param {number[]} expectedIds - Expected IDs
+   * @returns {number} - Reciprocal rank (0-1)
+   */
+  static calculateReciprocalRank(foundIds, expectedIds) {
+    // Special handling for expected: [] - returning nothing is a perfect ranking
+    if (expectedIds.length === 0) {
+      return foundIds.length === 0 ? 1 : 0;
+    }
+    
+    const expectedSet = new Set(expectedIds);
+    const firstHit = foundIds.findIndex(id => expectedSet.has(id));
+    
+    return firstHit >= 0 ? 1 / (firstHit + 1) : 0;
+  }
+
+  /**
+   * Calculate average precision of the ranked results (mean of precision at each expected ID found)
+   * @param {number[]} foundIds - IDs found by search, in rank order
+   * @param {number[]} expectedIds - Expected IDs
+   * @returns {number} - Average precision (0-1)
+   */
+  static calculateAveragePrecision(foundIds, expectedIds) {
+    // Special handling for expected: [] - returning nothing is a perfect ranking
+    if (expectedIds.length === 0) {
+      return foundIds.length === 0 ? 1 : 0;
+    }
+    
+    const expectedSet = new Set(expectedIds);
+    let hits = 0;
+    let precisionSum = 0;
+    
+    foundIds.forEach((id, index) => {
+      if (expectedSet.has(id)) {
+        hits++;
+        precisionSum += hits / (index + 1);
+      }
+    });
+    
+    return precisionSum / expectedIds.length;
+  }
+
+  /**
+   * Calculate normalized discounted cumulative gain of the top k results
+   * Gain is 2^grade - 1, so binary judgments (grade 1) score the same as plain expected IDs.
+   * @param {number[]} foundIds - IDs found by search, in rank order
+   * @param {number[]} expectedIds - Expected IDs
+   * @param {number} k - Rank cutoff
+   * @param {Map<number, number>|null} grades - Relevance grade per ID, null for binary judgments
+   * @returns {number} - nDCG@k (0-1)
+   */
+  static calculateNDCG(foundIds, expectedIds, k, grades = null) {
+    const topK = foundIds.slice(0, k);
+    
+    // Special handling for expected: [] - returning nothing is a perfect ranking
+    if (expectedIds.length === 0) {
+      return topK.length === 0 ? 1 : 0;
+    }
+    
+    const expectedSet = new Set(expectedIds);
+    const gradeOf = id => grades ? (grades.get(id) || 0) : (expectedSet.has(id) ? 1 : 0);
+    const gain = grade => Math.pow(2, grade) - 1;
+    
+    const dcg = topK.reduce((sum, id, index) => sum + gain(gradeOf(id)) / Math.log2(index + 2), 0);
+    
+    // Ideal ranking puts every expected ID first, highest grades on top
+    const idealGrades = expectedIds.map(gradeOf).sort((a, b) => b - a).slice(0, k);
+    const idcg = idealGrades.reduce((sum, grade, index) => sum + gain(grade) / Math.log2(index + 2), 0);
+    
+    return idcg > 0 ? dcg / idcg : 0;
+  }
+
+  /**
+   * Calculate graded recall percentage: share of the total relevance grade that was found
+   * @param {number[]} foundIds - IDs found by search
+   * @param {number[]} expectedIds - Expected IDs (grade > 0)
+   * @param {Map<number, number>} grades - Relevance grade per ID
+   * @returns {number} - Graded recall percentage (0-100)
+   */
+  static calculateGradedRecall(foundIds, expectedIds, grades) {
+    if (expectedIds.length === 0) {
+      return foundIds.length === 0 ? 100 : 0;
+    }
+    
+    const foundSet = new Set(foundIds);
+    const totalGrade = expectedIds.reduce((sum, id) => sum + grades.get(id), 0);
+    const foundGrade = expectedIds.filter(id => foundSet.has(id)).reduce((sum, id) => sum + grades.get(id), 0);
+    
+    return totalGrade > 0 ? (foundGrade / totalGrade) * 100 : 0;
+  }
+
+  /**
+   * Calculate graded precision percentage: relevance grade of the results relative to
+   * every result having the highest grade
+   * @param {number[]} foundIds - IDs found by search
+   * @param {number[]} expectedIds - Expected IDs (grade > 0)
+   * @param {Map<number, number>} grades - Relevance grade per ID
+   * @returns {number} - Graded precision percentage (0-100)
+   */
+  static calculateGradedPrecision(foundIds, expectedIds, grades) {
+    if (expectedIds.length === 0) {
+      return foundIds.length === 0 ? 100 : 0;
+    }
+    
+    if (foundIds.length === 0) return 0;
+    
+    const maxGrade = Math.max(...expectedIds.map(id => grades.get(id)));
+    const foundGrade = foundIds.reduce((sum, id) => sum + (grades.get(id) || 0), 0);
+    
+    return (foundGrade / (foundIds.length * maxGrade)) * 100;
+  }
+
+  /**
+   * Calculate rank-aware metrics for one query
+   * Recall@k, Precision@k and Hit@k are percentages (0-100) like recall and precision,
+   * reciprocal rank, average precision and nDCG@k are fractions (0-1).
+   * @param {number[]} foundIds - IDs found by search, in rank order
+   * @param {number[]} expectedIds - Expected IDs
+   * @param {number[]} kValues - Rank cutoffs
+   * @param {Map<number, number>|null} grades - Relevance grade per ID, null for binary judgments
+   * @returns {Object} - Rank-aware metrics, @k values keyed by k
+   */
+  static calculateRankMetrics(foundIds, expectedIds, kValues = Metrics.DEFAULT_K_VALUES, grades = null) {
+    const ranking = {
+      reciprocalRank: Metrics.calculateReciprocalRank(foundIds, expectedIds),
+      averagePrecision: Metrics.calculateAveragePrecision(foundIds, expectedIds),
+      ndcg: {},
+      hit: {},
+      recall: {},
+      precision: {}
+    };
+    
+    kValues.forEach(k => {
+      const topK = foundIds.slice(0, k);
+      ranking.ndcg[k] = Metrics.calculateNDCG(foundIds, expectedIds, k, grades);
+      ranking.recall[k] = Metrics.calculateRecall(topK, expectedIds);
+      ranking.precision[k] = Metrics.calculatePrecisionAtK(foundIds, expectedIds, k);
+      // Hit@k: at least one expected ID in the top k (or nothing returned when nothing is expected)
+      ranking.hit[k] = expectedIds.length === 0
+        ? (topK.length === 0 ? 100 : 0)
+        : (topK.some(id => expectedIds.includes(id)) ? 100 : 0);
+    });
+    
+    return ranking;
+  }
+
+  /**
+   * Get macro-averaged rank-aware metrics over all evaluated queries
+   * @returns {Object|null} - MRR, MAP and averaged @k metrics, or null when none were recorded
+   */
+  getRankingTotals() {
+    const rankedMetrics = this.evaluateMetrics.filter(m => m.ranking);
+    if (rankedMetrics.length === 0) {
+      return null;
+    }
+    
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const kValues = Object.keys(rankedMetrics[0].ranking.ndcg).map(Number);
+    const averageAtK = key => {
+      const result = {};
+      kValues.forEach(k => {
+        result[k] = average(rankedMetrics.map(m => m.ranking[key][k]));
+      });
+      return result;
+    };
+    
+    return {
+      kValues,
+      mrr: average(rankedMetrics.map(m => m.ranking.reciprocalRank)),
+      map: average(rankedMetrics.map(m => m.ranking.averagePrecision)),
+      ndcg: averageAtK('ndcg'),
+      hit: averageAtK('hit'),
+      recall: averageAtK('recall'),
+      precision: averageAtK('precision')
+    };
+  }
+
   /**
    * Get total generation metrics
    * @returns {Object} - Total generation metrics
@@ -116,11 +408,14 @@ class Metrics {
     const totalRuntime = this.generateMetrics.reduce((sum, m) => sum + m.runtime, 0);
     const totalCost = this.generateMetrics.reduce((sum, m) => sum + m.cost, 0);
 
+    const chunked = this.generateMetrics.some(m => m.chunks !== undefined);
+
     return {
       totalTokens,
       totalRuntime,
       totalCost: parseFloat(totalCost.toFixed(8)), // Round to 8 decimal places
-      documentCount: this.generateMetrics.length
+      documentCount: this.generateMetrics.length,
+      ...(chunked && { chunkCount: this.generateMetrics.reduce((sum, m) => sum + (m.chunks || 1), 0) })
     };
   }
 
@@ -186,6 +481,18 @@ class Metrics {
     const weightedRecall = weightedTotalExpected > 0 ? weightedRecallSum / weightedTotalExpected : 0;
     const weightedPrecision = weightedTotalExpected > 0 ? weightedPrecisionSum / weightedTotalExpected : 0;
 
+    // Graded averaging (Macro-average of grade-weighted recall and precision)
+    const gradedRecall = this.evaluateMetrics.length > 0
+      ? this.evaluateMetrics.reduce((sum, m) => sum + m.gradedRecall, 0) / this.evaluateMetrics.length
+      : 0;
+    const gradedPrecision = this.evaluateMetrics.length > 0
+      ? this.evaluateMetrics.reduce((sum, m) => sum + m.gradedPrecision, 0) / this.evaluateMetrics.length
+      : 0;
+
+    // Queries whose "must be first" ID was ranked first
+    const mustBeFirstMetrics = this.evaluateMetrics.filter(m => m.mustBeFirst !== undefined && m.mustBeFirst !== null);
+    const mustBeFirstPassed = mustBeFirstMetrics.filter(m => m.mustBeFirst.passed).length;
+
     return {
       totalTokens,
       totalRerankerTokens,
@@ -205,7 +512,16 @@ class Metrics {
       weightedAveraging: {
         recall: weightedRecall,
         precision: weightedPrecision
-      }
+      },
+      gradedAveraging: {
+        recall: gradedRecall,
+        precision: gradedPrecision
+      },
+      mustBeFirst: {
+        queryCount: mustBeFirstMetrics.length,
+        passed: mustBeFirstPassed
+      },
+      ranking: this.getRankingTotals()
     };
   }
 
@@ -257,6 +573,33 @@ class Metrics {
       }
     };
 
+    // Include index changes only if a generation recorded them
+    if (this.generateChanges) {
+      result.generate.changes = this.generateChanges;
+    }
+
+    // Incremental runs cover all documents in items/totals; run holds what this run embedded
+    if (this.generateRunTotals) {
+      result.generate.run = this.generateRunTotals;
+    }
+
+    // Include the retrieval mode comparison only if a lexical or hybrid evaluation recorded it
+    if (this.retrievalComparison) {
+      result.evaluate.retrievalComparison = this.retrievalComparison;
+    }
+
+    // Include the float index comparison only if a quantized evaluation recorded it
+    if (this.quantizationComparison) {
+      result.evaluate.quantizationComparison = this.quantizationComparison;
+    }
+
+    // Include embedding cache statistics only if a cache was used
+    Object.keys(this.cacheStats).forEach(section => {
+      if (result[section]) {
+        result[section].cache = this.cacheStats[section];
+      }
+    });
+
     // Include reranker metrics only if they exist
     if (this.rerankerMetrics.length > 0) {
       result.reranker = {
@@ -265,6 +608,13 @@ class Metrics {
       };
     }
 
+    // Include retry statistics of every section that made API requests
+    Object.keys(this.retryStats).forEach(section => {
+      if (result[section]) {
+        result[section].retries = this.retryStats[section];
+      }
+    });
+
     return result;
   }
 }
@@ -0,0 +1,292 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Number of set bits of every byte value, for Hamming distances
+const POPCOUNT = Uint8Array.from({ length: 256 }, (value, byte) => {
+  let count = 0;
+  for (let bits = byte; bits; bits >>= 1) {
+    count += bits & 1;
+  }
+  return count;
+});
+
+const encode = array => Buffer.from(array.buffer, array.byteOffset, array.byteLength).toString('base64');
+
+const decode = (base64, ArrayType) => {
+  const buffer = Buffer.from(base64, 'base64');
+  return new ArrayType(buffer.buffer, buffer.byteOffset, buffer.byteLength / ArrayType.BYTES_PER_ELEMENT);
+};
+
+const norm = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+/**
+ * Quantized copy of a float vector index, searched instead of the Vectra index
+ * - int8: every dimension is scaled from its min/max over the indexed vectors to -128..127; searches score the
+ *   float query against the dequantized vectors
+ * - binary: one sign bit per dimension, nothing else; searches pre-select the `candidates` codes closest to the
+ *   query's bits by Hamming distance and rescore them with the float vectors of the float index it was built from,
+ *   which has to be kept next to it
+ * Scores stay cosine similarities, so minSimilarity keeps its meaning. The index implements the LocalIndex methods
+ * used by the evaluator (isIndexCreated, getIndexStats, listItems, queryItems).
+ */
+class QuantizedIndex {
+  /**
+   * @param {string} filePath - Path of the quantized index file
+   * @param {Object} options - Search options
+   * @param {number|null} options.candidates - Binary pre-selection size, the value stored at build time when null
+   * @param {LocalIndex|null} options.rescoreIndex - Float index whose vectors rescore binary candidates, required for binary
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.candidates = options.candidates || null;
+    this.rescoreIndex = options.rescoreIndex || null;
+    this.data = null;
+    this.items = null;
+  }
+
+  /**
+   * Supported quantization types
+   */
+  static get TYPES() {
+    return ['int8', 'binary'];
+  }
+
+  /**
+   * Default number of binary candidates rescored with the int8 vectors
+   */
+  static get DEFAULT_CANDIDATES() {
+    return 100;
+  }
+
+  /**
+   * Get the path of a quantized index stored next to a model's float index
+   * @param {string} indexPath - Index folder
+   * @param {string} modelName - Model name
+   * @param {string} type - Quantization type
+   * @returns {string} - Quantized index path
+   */
+  static getPath(indexPath, modelName, type) {
+    return path.join(indexPath, `${modelName}-${type}.json`);
+  }
+
+  /**
+   * Validate a quantization type
+   * @param {string} type - Quantization type
+   * @returns {string} - The type
+   */
+  static checkType(type) {
+    if (!QuantizedIndex.TYPES.includes(type)) {
+      throw new Error(`Unknown quantization: ${type}. Supported types: ${QuantizedIndex.TYPES.join(', ')}`);
+    }
+    return type;
+  }
+
+  /**
+   * Fingerprint of the float index content, so quantized indexes of an outdated index are detected
+   * @param {Object[]} items - Float index items
+   * @returns {string} - SHA-256 hex digest over item ids and content hashes
+   */
+  static fingerprint(items) {
+    const keys = items.map(item => `${item.id}:${item.metadata.hash || ''}`).sort();
+    return crypto.createHash('sha256').update(keys.join('\n'), 'utf8').digest('hex');
+  }
+
+  /**
+   * Quantize the items of a float index and save them
+   * @param {LocalIndex} floatIndex - Float vector index
+   * @param {string} filePath - Path of the quantized index file
+   * @param {string} type - Quantization type
+   * @param {Object} options - Build options
+   * @param {number} options.candidates - Binary pre-selection size stored in the file
+   * @returns {Promise<{items: number, dimensions: number}>} - Item count and dimensions
+   */
+  static async build(floatIndex, filePath, type, options = {}) {
+    QuantizedIndex.checkType(type);
+    const items = await floatIndex.listItems();
+    if (items.length === 0) {
+      throw new Error('The float index is empty. Please run generate first.');
+    }
+    const stats = await floatIndex.getIndexStats();
+    const dimensions = items[0].vector.length;
+    const header = {
+      version: 2,
+      type,
+      dimensions,
+      source: { file: floatIndex.indexName, items: items.length, fingerprint: QuantizedIndex.fingerprint(items) },
+      metadata_config: stats.metadata_config || {}
+    };
+
+    let data;
+    if (type === 'binary') {
+      data = {
+        ...header,
+        candidates: options.candidates || QuantizedIndex.DEFAULT_CANDIDATES,
+        items: items.map(item => ({ id: item.id, metadata: item.metadata, bits: encode(QuantizedIndex.binarize(item.vector)) }))
+      };
+    } else {
+      // Per-dimension ranges over the indexed vectors
+      const min = new Array(dimensions).fill(Infinity);
+      const max = new Array(dimensions).fill(-Infinity);
+      items.forEach(item => item.vector.forEach((value, d) => {
+        min[d] = Math.min(min[d], value);
+        max[d] = Math.max(max[d], value);
+      }));
+      const scale = min.map((value, d) => (max[d] - value) / 255 || 1);
+      data = {
+        ...header,
+        ranges: { min, scale },
+        items: items.map(item => ({
+          id: item.id,
+          metadata: item.metadata,
+          codes: encode(Int8Array.from(item.vector, (value, d) => Math.round((value - min[d]) / scale[d]) - 128))
+        }))
+      };
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data));
+    return { items: items.length, dimensions };
+  }
+
+  /**
+   * Pack the signs of a vector into bits, most significant bit first
+   * @param {number[]} vector - Float vector
+   * @returns {Uint8Array} - One bit per dimension, set for positive values
+   */
+  static binarize(vector) {
+    const bits = new Uint8Array(Math.ceil(vector.length / 8));
+    vector.forEach((value, d) => {
+      if (value > 0) {
+        bits[d >> 3] |= 0x80 >> (d & 7);
+      }
+    });
+    return bits;
+  }
+
+  /**
+   * Count the bits two codes differ in
+   * @param {Uint8Array} a - Packed bits
+   * @param {Uint8Array} b - Packed bits of the same length
+   * @returns {number} - Hamming distance
+   */
+  static hamming(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += POPCOUNT[a[i] ^ b[i]];
+    }
+    return distance;
+  }
+
+  async isIndexCreated() {
+    try {
+      await fs.access(this.filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read the index file and the vectors used for scoring: dequantized int8 codes, or the float vectors of the
+   * rescore index for binary indexes
+   */
+  async load() {
+    if (this.data) {
+      return;
+    }
+    const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    if (data.type === 'binary') {
+      if (!this.rescoreIndex) {
+        throw new Error('Binary indexes rescore their candidates with float vectors, open them with the float index as rescoreIndex');
+      }
+      const floatVectors = new Map((await this.rescoreIndex.listItems()).map(item => [item.id, item.vector]));
+      this.items = data.items.map(item => {
+        const vector = floatVectors.get(item.id);
+        if (!vector) {
+          throw new Error(`Item ${item.id} of ${this.filePath} is missing from the float index. Please run quantize again.`);
+        }
+        return { id: item.id, metadata: item.metadata, vector, norm: norm(vector), bits: decode(item.bits, Uint8Array) };
+      });
+    } else {
+      const { min, scale } = data.ranges;
+      this.items = data.items.map(item => {
+        const vector = Float32Array.from(decode(item.codes, Int8Array), (code, d) => min[d] + (code + 128) * scale[d]);
+        return { id: item.id, metadata: item.metadata, vector, norm: norm(vector) };
+      });
+    }
+    this.data = data;
+  }
+
+  /**
+   * Get the size of the index file
+   * @returns {Promise<number>} - Size in bytes
+   */
+  async getFileSize() {
+    return (await fs.stat(this.filePath)).size;
+  }
+
+  async getIndexStats() {
+    await this.load();
+    return {
+      version: this.data.version,
+      metadata_config: this.data.metadata_config,
+      items: this.items.length
+    };
+  }
+
+  /**
+   * Get the source float index the quantized index was built from
+   * @returns {Promise<{file: string, items: number, fingerprint: string}>} - Source description
+   */
+  async getSource() {
+    await this.load();
+    return this.data.source;
+  }
+
+  async listItems() {
+    await this.load();
+    return this.items.map(item => ({ id: item.id, metadata: item.metadata, vector: Array.from(item.vector) }));
+  }
+
+  /**
+   * Score the indexed items against a query vector
+   * Same signature as LocalIndex.queryItems; all items are ranked when topK is not a number, which for binary
+   * indexes means all pre-selected candidates. Binary candidates are scored with their float vectors.
+   * @param {number[]} vector - Float query vector
+   * @param {string} query - Query text (unused, kept for LocalIndex compatibility)
+   * @param {number} topK - Number of results
+   * @returns {Promise<{item: Object, score: number}[]>} - Results sorted by score
+   */
+  async queryItems(vector, query, topK) {
+    await this.load();
+    const limit = Number.isInteger(topK) ? topK : this.items.length;
+    let candidates = this.items;
+
+    if (this.data.type === 'binary') {
+      const queryBits = QuantizedIndex.binarize(vector);
+      const candidateCount = this.candidates || this.data.candidates;
+      const preselect = Number.isInteger(topK) ? Math.max(topK, candidateCount) : candidateCount;
+      candidates = this.items
+        .map(item => ({ item, distance: QuantizedIndex.hamming(queryBits, item.bits) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, preselect)
+        .map(({ item }) => item);
+    }
+
+    const queryNorm = norm(vector);
+    return candidates
+      .map(item => {
+        let dot = 0;
+        for (let d = 0; d < vector.length; d++) {
+          dot += vector[d] * item.vector[d];
+        }
+        const denominator = queryNorm * item.norm;
+        return { item: { id: item.id, metadata: item.metadata }, score: denominator > 0 ? dot / denominator : 0 };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = QuantizedIndex;
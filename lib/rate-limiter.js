@@ -0,0 +1,289 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Client-side rate limiting and a concurrency pool for vendor API calls
+ * Each vendor gets one RateLimiter, shared by the embedding and reranker services of the process.
+ */
+
+// Time spent waiting for the limiter and for retry backoff, collected per measured operation
+const waitTimes = new AsyncLocalStorage();
+
+/**
+ * Token bucket refilled continuously up to its capacity
+ */
+class TokenBucket {
+  /**
+   * @param {number} perMinute - Capacity, refilled evenly over one minute
+   */
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the amount refilled since the last update
+   */
+  refill() {
+    const now = Date.now();
+    this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Get the wait until an amount is available; amounts above the capacity wait for a full bucket
+   * @param {number} amount - Amount to take
+   * @returns {number} - Wait in ms, 0 if available now
+   */
+  getWait(amount) {
+    this.refill();
+    const needed = Math.min(amount, this.capacity);
+    return this.available >= needed ? 0 : Math.ceil((needed - this.available) / this.refillPerMs);
+  }
+
+  /**
+   * Take an amount; may go negative for amounts above the capacity, delaying later requests
+   * @param {number} amount - Amount to take
+   */
+  take(amount) {
+    this.refill();
+    this.available -= amount;
+  }
+}
+
+/**
+ * Limits requests per minute, tokens per minute and requests in flight
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limits, unset limits are not enforced
+   * @param {number} options.requestsPerMinute - Maximum requests per minute
+   * @param {number} options.tokensPerMinute - Maximum (estimated) tokens per minute
+   * @param {number} options.maxInFlight - Maximum concurrent requests (default 4)
+   */
+  constructor(options = {}) {
+    const positive = (name, value) => {
+      if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+        throw new Error(`Invalid rateLimit.${name}: ${value}. Must be a positive number`);
+      }
+      return value;
+    };
+
+    this.maxInFlight = positive('maxInFlight', options.maxInFlight) || 4;
+    if (!Number.isInteger(this.maxInFlight)) {
+      throw new Error(`Invalid rateLimit.maxInFlight: ${options.maxInFlight}. Must be a positive integer`);
+    }
+    this.requests = positive('requestsPerMinute', options.requestsPerMinute) ? new TokenBucket(options.requestsPerMinute) : null;
+    this.tokens = positive('tokensPerMinute', options.tokensPerMinute) ? new TokenBucket(options.tokensPerMinute) : null;
+    // Limits set by the configuration, merged with those of other configurations in tighten()
+    this.limits = Object.fromEntries(['maxInFlight', 'requestsPerMinute', 'tokensPerMinute']
+      .filter(name => options[name] !== undefined)
+      .map(name => [name, options[name]]));
+    this.inFlight = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Get the shared limiter of a vendor
+   * When configurations of the same vendor set a limit differently the stricter value applies, whatever their load order.
+   * @param {string} vendor - Vendor name
+   * @param {Object} options - rateLimit settings of the model or reranker configuration
+   * @returns {RateLimiter} - Vendor limiter
+   */
+  static forVendor(vendor, options = {}) {
+    const limiter = RateLimiter.vendors.get(vendor);
+    if (!limiter) {
+      RateLimiter.vendors.set(vendor, new RateLimiter(options));
+    } else if (limiter.tighten(options)) {
+      console.warn(`⚠️  Configurations of ${vendor} set different rate limits, using the stricter ones: ${limiter.describe()}`);
+    }
+    return RateLimiter.vendors.get(vendor);
+  }
+
+  /**
+   * Merge the limits of another configuration, keeping the stricter value of limits both set
+   * @param {Object} options - rateLimit settings of the other configuration
+   * @returns {boolean} - Whether a limit set by both differed
+   */
+  tighten(options = {}) {
+    let differs = false;
+    const merged = { ...this.limits };
+    Object.entries(new RateLimiter(options).limits).forEach(([name, value]) => {
+      if (merged[name] !== undefined && merged[name] !== value) {
+        differs = true;
+      }
+      merged[name] = merged[name] !== undefined ? Math.min(merged[name], value) : value;
+    });
+
+    const tightened = new RateLimiter(merged);
+    this.limits = tightened.limits;
+    this.maxInFlight = tightened.maxInFlight;
+    if (!this.requests || !tightened.requests || tightened.requests.capacity !== this.requests.capacity) {
+      this.requests = tightened.requests;
+    }
+    if (!this.tokens || !tightened.tokens || tightened.tokens.capacity !== this.tokens.capacity) {
+      this.tokens = tightened.tokens;
+    }
+    return differs;
+  }
+
+  /**
+   * Describe the enforced limits
+   * @returns {string} - e.g. "maxInFlight 4, requestsPerMinute 60"
+   */
+  describe() {
+    return [
+      `maxInFlight ${this.maxInFlight}`,
+      ...(this.requests ? [`requestsPerMinute ${this.requests.capacity}`] : []),
+      ...(this.tokens ? [`tokensPerMinute ${this.tokens.capacity}`] : [])
+    ].join(', ');
+  }
+
+  /**
+   * Run an operation and report how long it waited for rate limiters and retry backoff, so runtimes can exclude both
+   * @param {Function} operation - Async function to run
+   * @returns {Promise<{result: *, queued: number, retryWait: number}>} - Operation result, queue and backoff time in ms
+   */
+  static async measure(operation) {
+    const context = { queued: 0, retryWait: 0 };
+    const result = await waitTimes.run(context, operation);
+    return { result, queued: context.queued, retryWait: context.retryWait };
+  }
+
+  /**
+   * Add a retry backoff wait to the operation being measured
+   * @param {number} ms - Time waited in ms
+   */
+  static recordRetryWait(ms) {
+    const context = waitTimes.getStore();
+    if (context) {
+      context.retryWait += ms;
+    }
+  }
+
+  /**
+   * Wait for a free slot and enough request and token budget
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {Promise<void>}
+   */
+  async acquire(tokens = 0) {
+    const startTime = Date.now();
+
+    if (this.inFlight >= this.maxInFlight) {
+      // release() hands its slot over directly, so inFlight stays unchanged
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.inFlight++;
+    }
+
+    for (;;) {
+      const wait = Math.max(
+        this.requests ? this.requests.getWait(1) : 0,
+        this.tokens ? this.tokens.getWait(tokens) : 0
+      );
+      if (wait === 0) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    if (this.requests) {
+      this.requests.take(1);
+    }
+    if (this.tokens) {
+      this.tokens.take(tokens);
+    }
+
+    const context = waitTimes.getStore();
+    if (context) {
+      context.queued += Date.now() - startTime;
+    }
+  }
+
+  /**
+   * Free a slot, handing it to the longest waiting request
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.inFlight--;
+    }
+  }
+
+  /**
+   * Run a request within the limits
+   * @param {Function} request - Async function performing the request
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {Promise<*>} - Request result
+   */
+  async schedule(request, tokens = 0) {
+    await this.acquire(tokens);
+    try {
+      return await request();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+RateLimiter.vendors = new Map();
+
+/**
+ * Map items with a bounded number of concurrent workers, keeping results in input order
+ * onResult is called in input order as soon as all earlier items are done, so callers can store
+ * results incrementally. After a failure no new items start, and once the running ones are done the
+ * first error is thrown.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum concurrent workers
+ * @param {Function} worker - Async function (item, index) => result
+ * @param {Function} onResult - Optional async function (result, index) called in input order
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapConcurrent(items, concurrency, worker, onResult = null) {
+  const results = new Array(items.length);
+  const done = new Array(items.length).fill(false);
+  let next = 0;
+  let delivered = 0;
+  let failure = null;
+  let delivery = Promise.resolve();
+
+  // Results finished before a failure are still delivered; a failing onResult stops the delivery chain
+  const deliver = async () => {
+    while (delivered < items.length && done[delivered]) {
+      const index = delivered++;
+      await onResult(results[index], index);
+    }
+  };
+
+  const run = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+        done[index] = true;
+        if (onResult) {
+          delivery = delivery.then(deliver);
+          await delivery;
+        }
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, run));
+
+  if (failure) {
+    throw failure;
+  }
+  return results;
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter,
+  mapConcurrent
+};
@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const Comparison = require('./compare');
+const Validator = require('./validate');
+
+/**
+ * Self-contained HTML report for one or more evaluation runs of a dataset
+ * The output has inline styles and no external resources so it can be shared as a single file.
+ */
+class ReportGenerator {
+  /**
+   * @param {string} datasetPath - Path to the dataset folder
+   * @param {string} configPath - Folder containing the {model}-model.json files
+   * @param {string[]|null} models - Models to include, null for every model with evaluation results
+   */
+  constructor(datasetPath, configPath, models = null) {
+    this.comparison = new Comparison(datasetPath, configPath, models);
+  }
+
+  /**
+   * Escape text for HTML output
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped text
+   */
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Format a cost value saved as number or fixed-point string
+   * @param {number|string} value - Cost in dollars
+   * @returns {string} - Formatted cost
+   */
+  static formatCost(value) {
+    return `$${(parseFloat(value) || 0).toFixed(8)}`;
+  }
+
+  /**
+   * Render a score bar with the minSimilarity cutoff marked
+   * @param {Object} result - Search result with score and optional originalScore
+   * @param {number|null} minSimilarity - Threshold of the run
+   * @returns {string} - HTML
+   */
+  static renderScoreBar(result, minSimilarity) {
+    const width = score => `${Math.max(0, Math.min(1, score)) * 100}%`;
+    const cutoff = minSimilarity ? `<span class="cutoff" style="left:${width(minSimilarity)}" title="minSimilarity ${minSimilarity}"></span>` : '';
+    const original = result.reranked && typeof result.originalScore === 'number'
+      ? `<span class="bar original" style="width:${width(result.originalScore)}"></span>`
+      : '';
+    const label = result.reranked && typeof result.originalScore === 'number'
+      ? `${result.score.toFixed(4)} <span class="muted">(orig ${result.originalScore.toFixed(4)})</span>`
+      : result.score.toFixed(4);
+
+    return `<div class="score"><div class="track"><span class="bar${result.reranked ? ' reranked' : ''}" style="width:${width(result.score)}"></span>${original}${cutoff}</div><span class="value">${label}</span></div>`;
+  }
+
+  /**
+   * Render the summary metrics table
+   * @param {Object[]} runs - Loaded runs
+   * @returns {string} - HTML
+   */
+  static renderSummary(runs) {
+    const leaderboard = Comparison.buildLeaderboard(runs);
+    const percent = value => `${value.toFixed(1)}%`;
+    const rows = leaderboard.map(entry => {
+      const run = runs.find(r => r.model === entry.model);
+      const ranking = run.totals.ranking;
+      return `<tr>
+        <td><a href="#model-${ReportGenerator.escape(entry.model)}">${ReportGenerator.escape(entry.model)}</a></td>
+        <td>${ReportGenerator.escape(entry.embedding)}</td>
+        <td>${run.minSimilarity === null || run.minSimilarity === undefined ? '-' : run.minSimilarity}</td>
+        <td>${ReportGenerator.escape(entry.reranker || '-')}</td>
+        <td>${entry.queryCount}</td>
+        <td>${percent(entry.macroRecall)}</td>
+        <td>${percent(entry.macroPrecision)}</td>
+        <td>${percent(entry.microRecall)}</td>
+        <td>${percent(entry.microPrecision)}</td>
+        <td>${percent(run.totals.weightedAveraging.recall)}</td>
+        <td>${percent(run.totals.weightedAveraging.precision)}</td>
+        <td>${ranking ? ranking.mrr.toFixed(3) : '-'}</td>
+        <td>${ranking ? ranking.map.toFixed(3) : '-'}</td>
+      </tr>`;
+    }).join('\n');
+
+    return `<table>
+      <thead><tr><th>Model</th><th>Embedding</th><th>minSimilarity</th><th>Reranker</th><th>Queries</th>
+        <th>Macro R</th><th>Macro P</th><th>Micro R</th><th>Micro P</th><th>Weighted R</th><th>Weighted P</th><th>MRR</th><th>MAP</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }
+
+  /**
+   * Render the cost and latency breakdown table
+   * @param {Object[]} runs - Loaded runs
+   * @returns {string} - HTML
+   */
+  static renderCosts(runs) {
+    const rows = runs.map(run => {
+      const totals = run.totals;
+      const averageLatency = totals.queryCount > 0 ? Math.round(totals.totalRuntime / totals.queryCount) : 0;
+      const runtimes = run.results.map(result => (result.metrics ? result.metrics.runtime : 0)).sort((a, b) => a - b);
+      const maxLatency = runtimes.length > 0 ? runtimes[runtimes.length - 1] : 0;
+      return `<tr>
+        <td>${ReportGenerator.escape(run.model)}</td>
+        <td>${totals.totalTokens}</td>
+        <td>${totals.totalRerankerTokens}</td>
+        <td>${ReportGenerator.formatCost(totals.totalEmbeddingCost)}</td>
+        <td>${ReportGenerator.formatCost(totals.totalRerankerCost)}</td>
+        <td>${ReportGenerator.formatCost(totals.totalCost)}</td>
+        <td>${run.generation ? ReportGenerator.formatCost(run.generation.totalCost) : '-'}</td>
+        <td>${totals.totalRuntime}ms</td>
+        <td>${averageLatency}ms</td>
+        <td>${maxLatency}ms</td>
+      </tr>`;
+    }).join('\n');
+
+    return `<table>
+      <thead><tr><th>Model</th><th>Query Tokens</th><th>Reranker Tokens</th><th>Embedding Cost</th><th>Reranker Cost</th>
+        <th>Evaluation Cost</th><th>Generation Cost</th><th>Total Runtime</th><th>Avg Latency</th><th>Max Latency</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }
+
+  /**
+   * Render the per-query section of one run
+   * @param {Object} run - Loaded run
+   * @returns {string} - HTML
+   */
+  static renderQueries(run) {
+    return run.results.map(result => {
+      const expected = result.expected || [];
+      const expectedSet = new Set(expected);
+      const foundSet = new Set(result.found || []);
+      const passed = result.validation && result.validation.isValid;
+      const metrics = result.metrics || {};
+
+      const expectedIds = expected.length > 0
+        ? expected.map(id => `<span class="id ${foundSet.has(id) ? 'hit' : 'miss'}">${ReportGenerator.escape(id)}${result.grades ? ` <small>g${result.grades[id]}</small>` : ''}</span>`).join(' ')
+        : '<span class="muted">none</span>';
+
+      const renderRow = (item, rank, belowThreshold) => `<tr class="${belowThreshold ? 'below' : ''}">
+          <td>${rank}</td>
+          <td><span class="id ${expectedSet.has(item.id) ? 'hit' : (belowThreshold ? '' : 'extra')}">${ReportGenerator.escape(item.id)}</span></td>
+          <td>${ReportGenerator.escape(item.title || '')}</td>
+          <td>${ReportGenerator.renderScoreBar(item, run.minSimilarity)}</td>
+        </tr>`;
+      const aboveRows = (result.results || []).map((item, index) => renderRow(item, index + 1, false));
+      const belowRows = (result.belowThreshold || []).map((item, index) => renderRow(item, (result.results || []).length + index + 1, true));
+
+      const rerankerInfo = parseFloat(metrics.rerankerCost) > 0 ? `, reranker ${ReportGenerator.formatCost(metrics.rerankerCost)}` : '';
+
+      return `<details class="query ${passed ? 'pass' : 'fail'}"${passed ? '' : ' open'}>
+        <summary><span class="badge">${passed ? 'PASS' : 'FAIL'}</span> ${ReportGenerator.escape(Validator.getQueryLabel(result))}
+          <span class="muted">recall ${(metrics.recall || 0).toFixed(1)}%, precision ${(metrics.precision || 0).toFixed(1)}%</span></summary>
+        <p>Expected: ${expectedIds}</p>
+        <p class="muted">${ReportGenerator.escape(result.validation ? result.validation.message : '')}</p>
+        <table class="results">
+          <thead><tr><th>#</th><th>ID</th><th>Title</th><th>Score</th></tr></thead>
+          <tbody>${aboveRows.join('\n')}${belowRows.join('\n')}</tbody>
+        </table>
+        <p class="muted">Tokens ${metrics.tokens || 0}${metrics.cached ? ' (cached)' : ''}, runtime ${metrics.runtime || 0}ms, cost ${ReportGenerator.formatCost(metrics.cost)} (embedding ${ReportGenerator.formatCost(metrics.embeddingCost)}${rerankerInfo})</p>
+      </details>`;
+    }).join('\n');
+  }
+
+  /**
+   * Render the complete HTML document
+   * @param {string} dataset - Dataset name
+   * @param {Object[]} runs - Loaded runs
+   * @returns {string} - HTML document
+   */
+  static render(dataset, runs) {
+    const modelSections = runs.map(run => `<section id="model-${ReportGenerator.escape(run.model)}">
+      <h2>${ReportGenerator.escape(run.model)} <span class="muted">${ReportGenerator.escape(run.embedding)}${run.reranker ? ` + ${ReportGenerator.escape(run.reranker)}` : ''}</span></h2>
+      ${ReportGenerator.renderQueries(run)}
+    </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Embeddings evaluation report: ${ReportGenerator.escape(dataset)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #222; }
+  h1, h2 { font-weight: 600; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }
+  th, td { border-bottom: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; font-size: 0.9rem; }
+  th { background: #f5f5f5; }
+  .muted { color: #777; font-weight: normal; font-size: 0.85rem; }
+  .query { border: 1px solid #ddd; border-radius: 4px; margin: 0.5rem 0; padding: 0.4rem 0.8rem; }
+  .query summary { cursor: pointer; }
+  .badge { display: inline-block; font-size: 0.75rem; padding: 0 0.4rem; border-radius: 3px; color: #fff; }
+  .pass .badge { background: #2e7d32; }
+  .fail .badge { background: #c62828; }
+  .id { display: inline-block; padding: 0 0.3rem; border-radius: 3px; background: #eee; }
+  .id.hit { background: #c8e6c9; }
+  .id.miss { background: #ffcdd2; }
+  .id.extra { background: #fff3c4; }
+  tr.below td { color: #999; }
+  .score { display: flex; align-items: center; gap: 0.5rem; }
+  .track { position: relative; width: 200px; height: 10px; background: #eee; border-radius: 2px; }
+  .bar { position: absolute; left: 0; top: 0; height: 10px; background: #64b5f6; border-radius: 2px; }
+  .bar.reranked { background: #9575cd; }
+  .bar.original { top: 7px; height: 3px; background: #1e88e5; }
+  .cutoff { position: absolute; top: -3px; width: 2px; height: 16px; background: #c62828; }
+  .value { font-variant-numeric: tabular-nums; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>Embeddings evaluation report: ${ReportGenerator.escape(dataset)}</h1>
+<p class="muted">Generated ${new Date().toISOString()}. Green IDs are expected and found, red expected but missing, yellow returned but not expected.
+The red line on each score bar marks the run's minSimilarity; the thin bar under a reranked score shows its original similarity.</p>
+<h2>Summary</h2>
+${ReportGenerator.renderSummary(runs)}
+<h2>Cost and latency</h2>
+${ReportGenerator.renderCosts(runs)}
+${modelSections}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Load the runs and write the report
+   * @param {string} dataset - Dataset name
+   * @param {string} outputPath - HTML file to write
+   * @returns {Promise<string>} - Path of the written report
+   */
+  async generate(dataset, outputPath) {
+    const runs = await this.comparison.loadRuns();
+    if (runs.length === 0) {
+      throw new Error(`No evaluation results found in ${this.comparison.datasetPath}. Run evaluate for at least one model first.`);
+    }
+
+    await fs.writeFile(outputPath, ReportGenerator.render(dataset, runs));
+    return outputPath;
+  }
+}
+
+module.exports = ReportGenerator;
@@ -1,9 +1,11 @@
 /**
  * Reranker utility functions and helpers
  * Provides enhanced functionality for reranker operations including metrics tracking,
- * validation, and configuration management.
+ * validation, and configuration management. Vendor specifics come from the reranker provider registry.
  */
 
+const { getRerankerProvider, getRerankerVendors } = require('./reranker-providers');
+
 /**
  * Validate reranker configuration
  * @param {Object} config - Reranker configuration object
@@ -26,9 +28,18 @@ function validateRerankerConfig(config) {
   }
   
   // Check supported vendors
-  const supportedVendors = ['voyageai'];
-  if (config.vendor && !supportedVendors.includes(config.vendor.toLowerCase())) {
-    errors.push(`Unsupported reranker vendor: ${config.vendor}. Supported vendors: ${supportedVendors.join(', ')}`);
+  if (config.vendor && !getRerankerProvider(config.vendor)) {
+    errors.push(`Unsupported reranker vendor: ${config.vendor}. Supported vendors: ${getRerankerVendors().join(', ')}`);
+  }
+  
+  if (config.cost !== undefined && (typeof config.cost !== 'number' || config.cost < 0)) {
+    errors.push('Reranker cost must be a non-negative number when provided');
+  }
+  
+  // Feature weights of the local reranker
+  if (config.weights !== undefined && (typeof config.weights !== 'object' || config.weights === null ||
+      Object.values(config.weights).some(weight => typeof weight !== 'number' || weight < 0))) {
+    errors.push('Reranker weights must be an object of non-negative numbers when provided');
   }
   
   // Validate optional prompt field
@@ -43,30 +54,25 @@ function validateRerankerConfig(config) {
 }
 
 /**
- * Calculate reranker cost based on vendor pricing models
+ * Calculate reranker cost with the vendor's cost model
  * @param {string} vendor - Reranker vendor
  * @param {number} queryCount - Number of queries
  * @param {number} documentCount - Number of documents reranked per query
+ * @param {number} tokens - Tokens reported by the vendor (for token-priced vendors)
+ * @param {number} price - Price overriding the vendor default (the reranker file's `cost`)
  * @returns {number} - Total cost in dollars
  */
-function calculateRerankerCost(vendor, queryCount, documentCount) {
-  const pricingModels = {
-    'voyageai': {
-      costPer1000: 0.05, // $0.05 per 1000 searches (1 query + documents = 1 search)
-      calculateCost: (queries, docs) => {
-        const totalSearches = queries * docs;
-        return (totalSearches / 1000) * 0.05;
-      }
-    }
-  };
-  
-  const vendorLower = vendor.toLowerCase();
-  if (!pricingModels[vendorLower]) {
+function calculateRerankerCost(vendor, queryCount, documentCount, tokens = 0, price = undefined) {
+  const provider = getRerankerProvider(vendor);
+  if (!provider) {
     console.warn(`Unknown reranker vendor pricing: ${vendor}, returning 0 cost`);
     return 0;
   }
   
-  return pricingModels[vendorLower].calculateCost(queryCount, documentCount);
+  return provider.calculateCost(
+    { queries: queryCount, documents: documentCount, tokens },
+    price === undefined ? provider.defaultCost : price
+  );
 }
 
 /**
@@ -147,34 +153,49 @@ function isRerankerAvailable(rerankerService, config) {
  * @returns {string} - Help message for configuring the reranker
  */
 function getRerankerConfigHelp(vendor) {
-  const help = {
-    'voyageai': {
-      apiKeyName: 'VOYAGEAI_API_KEY',
-      models: ['rerank-2.5', 'rerank-1'],
-      documentation: 'https://docs.voyageai.com/docs/reranking'
-    }
-  };
-  
-  const vendorLower = vendor.toLowerCase();
-  if (!help[vendorLower]) {
-    return `Unknown reranker vendor: ${vendor}. Supported vendors: ${Object.keys(help).join(', ')}`;
+  const provider = getRerankerProvider(vendor);
+  if (!provider) {
+    return `Unknown reranker vendor: ${vendor}. Supported vendors: ${getRerankerVendors().join(', ')}`;
   }
   
-  const config = help[vendorLower];
   return [
     `Configuration help for ${vendor}:`,
-    `  Environment variable: ${config.apiKeyName}=your_api_key_here`,
-    `  Available models: ${config.models.join(', ')}`,
-    `  Documentation: ${config.documentation}`
+    provider.apiKeyName
+      ? `  Environment variable: ${provider.apiKeyName}=your_api_key_here`
+      : '  Environment variable: none, runs offline',
+    `  Available models: ${provider.models.join(', ')}`,
+    `  Scores: ${provider.scores}`,
+    `  Pricing: ${provider.defaultCost ? `$${provider.defaultCost} ` : ''}${provider.pricing} ("cost" in the reranker file overrides the price)`,
+    `  Documentation: ${provider.documentation}`
   ].join('\n');
 }
 
+/**
+ * Get the reranker configured inline in a model file with reranker-vendor/reranker-model keys
+ * @param {Object} modelConfig - Model configuration object
+ * @returns {Object|null} - Reranker configuration, null when the model has no inline reranker
+ */
+function getInlineRerankerConfig(modelConfig) {
+  if (!modelConfig || !modelConfig['reranker-vendor']) {
+    return null;
+  }
+  
+  return {
+    vendor: modelConfig['reranker-vendor'],
+    model: modelConfig['reranker-model'],
+    ...(modelConfig['reranker-prompt'] !== undefined && { prompt: modelConfig['reranker-prompt'] })
+  };
+}
+
 /**
  * Validate if reranker requirements are met for a given model configuration
  * @param {Object} modelConfig - Model configuration object
+ * @param {Object} rerankerConfig - Reranker configuration loaded from the model's reranker file or inline keys
+ * @param {Object} options - Check options
+ * @param {boolean} options.requireApiKey - Whether the vendor API key must be set (default true, false when replaying fixtures)
  * @returns {Object} - Validation result with status and messages
  */
-function checkRerankerRequirements(modelConfig) {
+function checkRerankerRequirements(modelConfig, rerankerConfig, options = {}) {
   if (!modelConfig) {
     return {
       isValid: false,
@@ -183,7 +204,7 @@ function checkRerankerRequirements(modelConfig) {
     };
   }
   
-  const hasRerankerConfig = modelConfig['reranker'];
+  const hasRerankerConfig = rerankerConfig || modelConfig['reranker'] || modelConfig['reranker-vendor'];
   
   if (!hasRerankerConfig) {
     return {
@@ -194,24 +215,21 @@ function checkRerankerRequirements(modelConfig) {
   }
   
   const messages = [];
-  const vendor = modelConfig['reranker'];
-  const apiKeyName = `${vendor.toUpperCase()}_API_KEY`;
+  const vendor = rerankerConfig ? rerankerConfig.vendor : (modelConfig['reranker-vendor'] || modelConfig['reranker']);
+  const provider = getRerankerProvider(vendor);
   
-  if (!process.env[apiKeyName]) {
-    messages.push(`Missing ${apiKeyName} environment variable`);
+  if (!provider) {
+    messages.push(`Unsupported reranker vendor: ${vendor}. Supported vendors: ${getRerankerVendors().join(', ')}`);
+  } else if (options.requireApiKey !== false && provider.apiKeyName && !process.env[provider.apiKeyName]) {
+    messages.push(`Missing ${provider.apiKeyName} environment variable`);
     messages.push(getRerankerConfigHelp(vendor));
   }
   
-  // Just validate that the vendor is supported (model validation will happen when loading the reranker file)
-  const supportedVendors = ['voyageai'];
-  if (!supportedVendors.includes(vendor.toLowerCase())) {
-    messages.push(`Unsupported reranker vendor: ${vendor}. Supported vendors: ${supportedVendors.join(', ')}`);
-  }
-  
   return {
     isValid: messages.length === 0,
     hasReranker: true,
     vendor,
+    apiKeyName: provider ? provider.apiKeyName : null,
     messages
   };
 }
@@ -224,5 +242,6 @@ module.exports = {
   formatRerankerConfig,
   isRerankerAvailable,
   getRerankerConfigHelp,
-  checkRerankerRequirements
+  checkRerankerRequirements,
+  getInlineRerankerConfig
 };
\ No newline at end of file
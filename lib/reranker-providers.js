@@ -0,0 +1,153 @@
+const LocalVectorizer = require('./local-embedding');
+
+/**
+ * Registry of reranker vendors
+ * Every provider declares what RerankerService and the reranker helpers need to know about the vendor:
+ * - apiKeyName, models, documentation: configuration help (apiKeyName is null for offline providers)
+ * - scores: what the returned relevance scores mean, as they are compared against minSimilarity
+ * - pricing, defaultCost, calculateCost(usage, price): cost model; `cost` in the reranker file overrides defaultCost
+ * - HTTP vendors: url, buildRequest(config, query, documents, topK) and parseResponse(data) returning
+ *   {results: [{index, score}], tokens}
+ * - Offline providers: rerank(config, query, documents, topK) returning the same shape in process
+ * Documents are passed as {text, title}, text being the embedded text or title and description.
+ */
+
+// Request bodies of the vendors following the common "query + documents + top N" rerank API
+const rerankBody = (topKField, extra = {}) => (config, query, documents, topK) => ({
+  model: config.model,
+  query,
+  documents: documents.map(document => document.text),
+  [topKField]: topK,
+  ...extra
+});
+
+const parseResults = (resultsField, getTokens) => data => {
+  if (!Array.isArray(data[resultsField])) {
+    return null;
+  }
+  return {
+    results: data[resultsField].map(result => ({ index: result.index, score: result.relevance_score })),
+    tokens: getTokens(data) || 0
+  };
+};
+
+/**
+ * Default feature weights of the local reranker, overridden by "weights" in the reranker file
+ * - terms: share of the query terms found in the document
+ * - title: share of the query terms found in the title
+ * - bigrams: share of the query's word pairs found in the document in the same order
+ * - similarity: character n-gram cosine similarity of query and document (catches inflections)
+ */
+const LOCAL_WEIGHTS = {
+  terms: 0.35,
+  title: 0.25,
+  bigrams: 0.15,
+  similarity: 0.25
+};
+
+// Adjacent word pairs of a token list
+const bigrams = tokens => tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`);
+
+// Share of the query values present in a set, 0 when the query has none
+const coverage = (queryValues, documentValues) => (queryValues.length === 0
+  ? 0
+  : queryValues.filter(value => documentValues.has(value)).length / queryValues.length);
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+const PROVIDERS = {
+  voyageai: {
+    apiKeyName: 'VOYAGEAI_API_KEY',
+    models: ['rerank-2.5', 'rerank-2.5-lite', 'rerank-1'],
+    documentation: 'https://docs.voyageai.com/docs/reranking',
+    scores: 'relevance between 0 and 1',
+    pricing: 'per 1000 reranked documents',
+    defaultCost: 0.05,
+    calculateCost: ({ queries, documents }, price) => ((queries * documents) / 1000) * price,
+    url: 'https://api.voyageai.com/v1/rerank',
+    buildRequest: rerankBody('top_k', { return_documents: false }),
+    parseResponse: parseResults('data', data => data.usage?.total_tokens)
+  },
+  cohere: {
+    apiKeyName: 'COHERE_API_KEY',
+    models: ['rerank-v3.5', 'rerank-english-v3.0', 'rerank-multilingual-v3.0'],
+    documentation: 'https://docs.cohere.com/reference/rerank',
+    scores: 'normalized relevance between 0 and 1',
+    pricing: 'per 1000 searches (one query with up to 100 documents)',
+    defaultCost: 2.0,
+    calculateCost: ({ queries, documents }, price) => ((queries * Math.ceil(documents / 100)) / 1000) * price,
+    url: 'https://api.cohere.com/v2/rerank',
+    buildRequest: rerankBody('top_n'),
+    // Cohere bills search units instead of tokens
+    parseResponse: parseResults('results', () => 0)
+  },
+  jina: {
+    apiKeyName: 'JINA_API_KEY',
+    models: ['jina-reranker-v2-base-multilingual', 'jina-reranker-m0', 'jina-colbert-v2'],
+    documentation: 'https://jina.ai/reranker',
+    scores: 'relevance between 0 and 1',
+    pricing: 'per 1M tokens',
+    defaultCost: 0.02,
+    calculateCost: ({ tokens }, price) => (tokens / 1000000) * price,
+    url: 'https://api.jina.ai/v1/rerank',
+    buildRequest: rerankBody('top_n', { return_documents: false }),
+    parseResponse: parseResults('results', data => data.usage?.total_tokens)
+  },
+  local: {
+    apiKeyName: null,
+    models: ['lexical'],
+    documentation: 'README.md (Rerankers)',
+    scores: `weighted mean of lexical features between 0 and 1 (${Object.keys(LOCAL_WEIGHTS).join(', ')})`,
+    pricing: 'free, runs in process',
+    defaultCost: 0,
+    calculateCost: () => 0,
+    rerank: (config, query, documents, topK) => {
+      const weights = { ...LOCAL_WEIGHTS, ...(config.weights || {}) };
+      const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+      const vectorizer = new LocalVectorizer();
+      const queryTokens = LocalVectorizer.tokenize(query);
+      const queryTerms = [...new Set(queryTokens)];
+      const queryBigrams = [...new Set(bigrams(queryTokens))];
+      const queryVector = vectorizer.embed(query).embedding;
+
+      const results = documents.map((document, index) => {
+        const tokens = LocalVectorizer.tokenize(document.text);
+        const features = {
+          terms: coverage(queryTerms, new Set(tokens)),
+          title: coverage(queryTerms, new Set(LocalVectorizer.tokenize(document.title || ''))),
+          bigrams: coverage(queryBigrams, new Set(bigrams(tokens))),
+          similarity: Math.max(0, cosine(queryVector, vectorizer.embed(document.text).embedding))
+        };
+        const score = Object.keys(weights).reduce((sum, feature) => sum + weights[feature] * (features[feature] || 0), 0);
+        return { index, score: totalWeight > 0 ? score / totalWeight : 0 };
+      });
+
+      return {
+        results: results.sort((a, b) => b.score - a.score).slice(0, topK),
+        tokens: 0
+      };
+    }
+  }
+};
+
+/**
+ * Get the names of the registered reranker vendors
+ * @returns {string[]} - Vendor names
+ */
+function getRerankerVendors() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Get the provider of a reranker vendor
+ * @param {string} vendor - Vendor name (case-insensitive)
+ * @returns {Object|null} - Provider, null for unknown vendors
+ */
+function getRerankerProvider(vendor) {
+  return (typeof vendor === 'string' && PROVIDERS[vendor.toLowerCase()]) || null;
+}
+
+module.exports = {
+  getRerankerVendors,
+  getRerankerProvider
+};
@@ -1,12 +1,20 @@
+const { HttpTransport } = require('./transport');
+const RetryPolicy = require('./retry');
+const { RateLimiter } = require('./rate-limiter');
+const { getRerankerProvider, getRerankerVendors } = require('./reranker-providers');
+
 /**
- * Reranker service for VoyageAI Rerank API
- * Handles REST API calls to rerank search results
+ * Reranker service for the vendors of the reranker provider registry
+ * Handles REST API calls to rerank search results, or reranks in process for offline providers
  */
 class RerankerService {
-  constructor(apiKey, rerankerConfig) {
-    if (!apiKey) {
-      throw new Error('API key is required');
-    }
+  /**
+   * @param {string} apiKey - Vendor API key (not needed for offline providers)
+   * @param {Object} rerankerConfig - Reranker configuration
+   * @param {Object} options - Service options
+   * @param {Object} options.transport - HTTP transport (live by default; recording or replaying fixtures in tests)
+   */
+  constructor(apiKey, rerankerConfig, options = {}) {
     if (!rerankerConfig) {
       throw new Error('Reranker configuration is required');
     }
@@ -14,27 +22,31 @@ class RerankerService {
       throw new Error('Reranker vendor and model are required in configuration');
     }
     
+    this.provider = getRerankerProvider(rerankerConfig.vendor);
+    if (!this.provider) {
+      throw new Error(`Unsupported reranker vendor: ${rerankerConfig.vendor}. Supported vendors: ${getRerankerVendors().join(', ')}`);
+    }
+    if (!apiKey && this.provider.apiKeyName) {
+      throw new Error('API key is required');
+    }
+    
     this.apiKey = apiKey;
+    this.config = rerankerConfig;
+    this.transport = options.transport || new HttpTransport();
+    this.retryPolicy = RetryPolicy.fromConfig(rerankerConfig);
     this.vendor = rerankerConfig.vendor;
     this.model = rerankerConfig.model;
     // Store prompt template, default to "{search}" if not provided
     this.prompt = rerankerConfig.prompt || "{search}";
     
-    // Map vendor to base URLs
-    const vendorUrls = {
-      'voyageai': 'https://api.voyageai.com/v1/'
-    };
-    
-    this.baseUrl = vendorUrls[this.vendor];
-    if (!this.baseUrl) {
-      throw new Error(`Unsupported reranker vendor: ${this.vendor}`);
-    }
+    // Shares the vendor's limiter with an embedding service of the same vendor; offline providers make no requests
+    this.rateLimiter = this.provider.rerank ? null : RateLimiter.forVendor(this.vendor, rerankerConfig.rateLimit);
   }
 
   /**
-   * Rerank documents using VoyageAI Rerank API
+   * Rerank documents with the configured provider
    * @param {string} query - The search query
-   * @param {Array} documents - Array of document objects with {id, title, description}
+   * @param {Array} documents - Array of document objects with {id, title, description} and optionally the embedded text
    * @param {number} topK - Number of top results to return (default: 10)
    * @returns {Promise<Array>} - Reranked documents with relevance scores
    */
@@ -44,58 +56,34 @@ class RerankerService {
     }
 
     try {
-      // Prepare documents as strings for the rerank API
-      // Combine title and description for better ranking
-      const documentTexts = documents.map(doc => `${doc.title}. ${doc.description}`);
+      // Prepare documents for the provider: the embedded text when the model has a document template,
+      // otherwise title and description combined
+      const rerankDocuments = documents.map(doc => ({
+        text: doc.text !== undefined ? doc.text : `${doc.title}. ${doc.description}`,
+        title: doc.title
+      }));
       
       // Apply prompt template by replacing {search} with actual query
       const queryWithPrompt = this.prompt.replace(/{search}/g, query);
+      const limit = Math.min(topK, documents.length); // Don't request more than available
       
-      const requestBody = {
-        model: this.model,
-        query: queryWithPrompt,
-        documents: documentTexts,
-        top_k: Math.min(topK, documents.length), // Don't request more than available
-        return_documents: false // We'll map back using indices
-      };
-
-      const url = `${this.baseUrl}rerank`;
-
-
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      const responseData = await response.json();
-
-      if (!response.ok) {
-        throw new Error(`${this.vendor} Rerank API error: ${responseData.error?.message || 'Unknown error'}`);
-      }
-      
-      if (!responseData.data || !Array.isArray(responseData.data)) {
-        throw new Error(`Invalid response format from ${this.vendor} Rerank API`);
-      }
+      const ranking = this.provider.rerank
+        ? this.provider.rerank(this.config, queryWithPrompt, rerankDocuments, limit)
+        : await this.requestRanking(queryWithPrompt, rerankDocuments, limit);
 
       // Map rerank results back to original document objects with new scores
-      const rerankedResults = responseData.data.map(result => {
-        const originalDoc = documents[result.index];
+      const rerankedResults = ranking.results.map(result => {
+        const { text, ...originalDoc } = documents[result.index];
         return {
           ...originalDoc,
-          score: result.relevance_score, // Use reranker's relevance score
+          score: result.score, // Use reranker's relevance score
           originalScore: originalDoc.score, // Preserve original similarity score
           reranked: true
         };
       });
 
-      // Extract token usage from API response if available
-      // VoyageAI rerank API may or may not return token usage - check response structure
-      const tokens = responseData.usage?.total_tokens || 0;
+      // Token usage as reported by the vendor, 0 when it doesn't report any
+      const tokens = ranking.tokens;
       
       // Return results with token information (backward compatible)
       if (tokens > 0) {
@@ -119,17 +107,55 @@ class RerankerService {
   }
 
   /**
-   * Calculate cost for reranking operation
+   * Send a rerank request to the vendor within its rate limits, retrying rate limits, server errors and timeouts
+   * @param {string} query - Query with the prompt applied
+   * @param {{text: string, title: string}[]} documents - Documents to rank
+   * @param {number} topK - Number of top results to return
+   * @returns {Promise<{results: {index: number, score: number}[], tokens: number}>} - Ranking by document index
+   */
+  async requestRanking(query, documents, topK) {
+    const body = JSON.stringify(this.provider.buildRequest(this.config, query, documents, topK));
+    const response = await this.retryPolicy.fetch(this.transport, this.provider.url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body
+    }, `${this.vendor} Rerank`, this.rateLimiter, Math.ceil(body.length / 4));
+
+    const responseData = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`${this.vendor} Rerank API error: ${responseData.error?.message || responseData.message || responseData.detail || 'Unknown error'}`);
+    }
+
+    const ranking = this.provider.parseResponse(responseData);
+    if (!ranking) {
+      throw new Error(`Invalid response format from ${this.vendor} Rerank API`);
+    }
+    return ranking;
+  }
+
+  /**
+   * Get request and retry counts of the rerank API calls made so far
+   * @returns {Object} - Retry statistics
+   */
+  getRetryStats() {
+    return this.retryPolicy.getStats();
+  }
+
+  /**
+   * Calculate cost for reranking operation with the provider's cost model
    * @param {number} queryCount - Number of queries
-   * @param {number} documentCount - Number of documents reranked
+   * @param {number} documentCount - Number of documents reranked per query
+   * @param {number} tokens - Tokens reported by the vendor (for token-priced vendors)
    * @returns {number} - Cost in dollars
    */
-  calculateCost(queryCount, documentCount) {
-    // VoyageAI Rerank pricing: $0.05 per 1000 searches (1 query + documents = 1 search)
-    const costPer1000 = 0.05;
-    const totalSearches = queryCount * documentCount;
-    return (totalSearches / 1000) * costPer1000;
+  calculateCost(queryCount, documentCount, tokens = 0) {
+    const price = this.config.cost !== undefined ? this.config.cost : this.provider.defaultCost;
+    return this.provider.calculateCost({ queries: queryCount, documents: documentCount, tokens }, price);
   }
 }
 
-module.exports = RerankerService;
\ No newline at end of file
+module.exports = RerankerService;
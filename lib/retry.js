@@ -0,0 +1,170 @@
+const { RateLimiter } = require('./rate-limiter');
+
+/**
+ * Retry policy shared by EmbeddingService and RerankerService
+ * Retries rate limits (429), server errors (5xx), network errors and timeouts with exponential backoff
+ * and full jitter, honoring Retry-After when the vendor sends it.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.maxAttempts - Attempts per request including the first one (default 4)
+   * @param {number} options.requestTimeout - Per-attempt timeout in ms (default 60000)
+   * @param {number} options.baseDelay - Backoff base delay in ms (default 500)
+   * @param {number} options.maxDelay - Upper bound of a single backoff or Retry-After wait in ms (default 30000)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts === undefined ? 4 : options.maxAttempts;
+    this.requestTimeout = options.requestTimeout === undefined ? 60000 : options.requestTimeout;
+    this.baseDelay = options.baseDelay === undefined ? 500 : options.baseDelay;
+    this.maxDelay = options.maxDelay === undefined ? 30000 : options.maxDelay;
+
+    if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      throw new Error(`Invalid maxAttempts: ${options.maxAttempts}. Must be a positive integer`);
+    }
+    if (typeof this.requestTimeout !== 'number' || this.requestTimeout <= 0) {
+      throw new Error(`Invalid requestTimeout: ${options.requestTimeout}. Must be a positive number of milliseconds`);
+    }
+
+    this.stats = { requests: 0, retries: 0, timeouts: 0, failures: 0 };
+  }
+
+  /**
+   * Create a policy from a model or reranker configuration (maxAttempts, requestTimeout)
+   * @param {Object} config - Model or reranker configuration
+   * @returns {RetryPolicy} - Retry policy
+   */
+  static fromConfig(config = {}) {
+    return new RetryPolicy({
+      maxAttempts: config.maxAttempts,
+      requestTimeout: config.requestTimeout
+    });
+  }
+
+  /**
+   * Whether a response status is worth retrying
+   * @param {number} status - HTTP status
+   * @returns {boolean} - True for 408, 429 and 5xx
+   */
+  static isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Parse a Retry-After header given in seconds or as an HTTP date
+   * @param {string|null} value - Header value
+   * @returns {number|null} - Wait in ms, null if missing or invalid
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Get the wait before the next attempt
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {number|null} retryAfter - Wait requested by the vendor in ms
+   * @returns {number} - Delay in ms
+   */
+  getDelay(attempt, retryAfter = null) {
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+    // Full jitter: a random wait between 0 and the exponential backoff
+    const backoff = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+    return Math.round(Math.random() * backoff);
+  }
+
+  /**
+   * Send a request through a transport, retrying transient failures
+   * The last response is returned even if it failed, so callers report the vendor's error message. The timeout covers
+   * reading the body too: the returned response is buffered, so reading it again can't stall. With a rate limiter
+   * every attempt waits for its own slot and budget, and backoff waits don't hold a slot.
+   * @param {Object} transport - Transport with a fetch(url, options) method
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options (method, headers, body)
+   * @param {string} label - Vendor name used in log messages
+   * @param {RateLimiter|null} rateLimiter - Vendor limiter each attempt is scheduled on
+   * @param {number} tokens - Estimated tokens of the request for the limiter
+   * @returns {Promise<Response>} - Response of the last attempt with its body in memory
+   */
+  async fetch(transport, url, options, label = 'API', rateLimiter = null, tokens = 0) {
+    this.stats.requests++;
+
+    for (let attempt = 1; ; attempt++) {
+      if (rateLimiter) {
+        await rateLimiter.acquire(tokens);
+      }
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+      let response = null;
+      let failure = null;
+
+      try {
+        const received = await transport.fetch(url, { ...options, signal: controller.signal });
+        // A body that stalls mid-transfer times out and is retried like a request without response
+        const body = await received.text();
+        response = new Response(body === '' ? null : body, {
+          status: received.status,
+          statusText: received.statusText,
+          headers: received.headers
+        });
+      } catch (error) {
+        // Only network errors and timeouts are transient; anything else (e.g. missing fixtures) fails at once
+        if (error.name === 'AbortError') {
+          this.stats.timeouts++;
+          failure = new Error(`request timed out after ${this.requestTimeout}ms`);
+        } else if (error.name === 'TypeError') {
+          failure = error;
+        } else {
+          this.stats.failures++;
+          throw error;
+        }
+      } finally {
+        clearTimeout(timer);
+        if (rateLimiter) {
+          rateLimiter.release();
+        }
+      }
+
+      const retryable = failure || RetryPolicy.isRetryableStatus(response.status);
+      if (!retryable) {
+        return response;
+      }
+      if (attempt >= this.maxAttempts) {
+        this.stats.failures++;
+        if (failure) {
+          // Network TypeErrors stay intact for the callers' fetch error handling
+          throw failure.name === 'TypeError' ? failure : new Error(`${label} ${failure.message}`);
+        }
+        return response;
+      }
+
+      const retryAfter = response ? RetryPolicy.parseRetryAfter(response.headers.get('retry-after')) : null;
+      const delay = this.getDelay(attempt, retryAfter);
+      const reason = failure ? failure.message : `HTTP ${response.status}`;
+      console.warn(`  ⏳ ${label} ${reason}, retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxAttempts})`);
+      this.stats.retries++;
+      const waitStart = Date.now();
+      await new Promise(resolve => setTimeout(resolve, delay));
+      RateLimiter.recordRetryWait(Date.now() - waitStart);
+    }
+  }
+
+  /**
+   * Get request, retry, timeout and failure counts
+   * @returns {Object} - Retry statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = RetryPolicy;
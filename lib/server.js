@@ -0,0 +1,330 @@
+const http = require('http');
+const MetadataFilter = require('./filter');
+const HybridRetrieval = require('./hybrid');
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error answered with an HTTP status other than 500
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message returned to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Local REST API over generated indexes
+ * Every dataset/model pair gets its own initialized evaluator, so searches return exactly what
+ * EmbeddingsEvaluator.search() returns. Endpoints:
+ * - POST /search: {query, dataset, model, topK, minSimilarity, filter, rerank, retrieval}
+ * - GET /datasets, GET /models: loaded datasets and model settings
+ * - GET /health: status and loaded index count
+ */
+class SearchServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Function} options.createEvaluator - Creates an evaluator for (dataset, model)
+   * @param {string[]} options.datasets - Datasets to load
+   * @param {string[]} options.models - Models to load for every dataset
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.host - Host to bind to
+   */
+  constructor(options) {
+    this.createEvaluator = options.createEvaluator;
+    this.datasets = options.datasets;
+    this.models = options.models;
+    this.port = options.port || SearchServer.DEFAULT_PORT;
+    this.host = options.host || SearchServer.DEFAULT_HOST;
+    this.evaluators = new Map();
+    this.server = null;
+    this.startedAt = null;
+  }
+
+  static get DEFAULT_PORT() {
+    return 3000;
+  }
+
+  static get DEFAULT_HOST() {
+    return '127.0.0.1';
+  }
+
+  /**
+   * Get the evaluator key of a dataset/model pair
+   * @param {string} dataset - Dataset name
+   * @param {string} model - Model name
+   * @returns {string} - Key
+   */
+  static getKey(dataset, model) {
+    return `${dataset}/${model}`;
+  }
+
+  /**
+   * Initialize an evaluator for every dataset/model pair; pairs without a usable index are skipped
+   * @returns {Promise<number>} - Number of loaded indexes
+   */
+  async load() {
+    for (const dataset of this.datasets) {
+      for (const model of this.models) {
+        const evaluator = this.createEvaluator(dataset, model);
+        try {
+          await evaluator.initialize();
+          this.evaluators.set(SearchServer.getKey(dataset, model), evaluator);
+          console.log(`✓ Loaded ${SearchServer.getKey(dataset, model)}\n`);
+        } catch (error) {
+          console.warn(`⚠️  Skipping ${SearchServer.getKey(dataset, model)}: ${error.message}\n`);
+        }
+      }
+    }
+    if (this.evaluators.size === 0) {
+      throw new Error('No index could be loaded. Run generate for the datasets and models to serve first.');
+    }
+    return this.evaluators.size;
+  }
+
+  /**
+   * Load the indexes and start listening
+   * @returns {Promise<http.Server>} - Listening server
+   */
+  async start() {
+    await this.load();
+    this.server = http.createServer((request, response) => this.handle(request, response));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.startedAt = Date.now();
+    const { port } = this.server.address();
+    console.log(`🌐 Search API listening on http://${this.host}:${port} with ${this.evaluators.size} index(es)`);
+    console.log('   POST /search, GET /datasets, GET /models, GET /health');
+    return this.server;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Answer a request, turning thrown errors into JSON error responses
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  async handle(request, response) {
+    try {
+      const { pathname } = new URL(request.url, 'http://localhost');
+      if (request.method === 'OPTIONS') {
+        this.send(response, 204, null);
+        return;
+      }
+
+      const routes = {
+        '/search': { POST: async () => this.search(await SearchServer.readJson(request)) },
+        '/datasets': { GET: () => this.listDatasets() },
+        '/models': { GET: () => this.listModels() },
+        '/health': { GET: () => this.health() }
+      };
+      const route = routes[pathname];
+      if (!route) {
+        throw new HttpError(404, `Unknown endpoint: ${request.method} ${pathname}`);
+      }
+      if (!route[request.method]) {
+        throw new HttpError(405, `${pathname} only supports ${Object.keys(route).join(', ')}`);
+      }
+      this.send(response, 200, await route[request.method]());
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error('❌ Error handling request:', error.message);
+      }
+      this.send(response, status, { error: error.message });
+    }
+  }
+
+  /**
+   * Send a JSON response; the API is meant for local front-ends on other ports, so any origin may call it
+   * @param {http.ServerResponse} response - Response
+   * @param {number} status - HTTP status code
+   * @param {Object|null} body - Response body
+   */
+  send(response, status, body) {
+    response.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === null ? undefined : JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} request - Request
+   * @returns {Promise<Object>} - Parsed body
+   */
+  static async readJson(request) {
+    let body = '';
+    for await (const chunk of request) {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        throw new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+      }
+    }
+    try {
+      const parsed = JSON.parse(body || '{}');
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('expected an object');
+      }
+      return parsed;
+    } catch (error) {
+      throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the evaluator of a request; dataset and model may be omitted when only one is loaded
+   * @param {string|undefined} dataset - Requested dataset
+   * @param {string|undefined} model - Requested model
+   * @returns {{dataset: string, model: string, evaluator: Object}} - Resolved pair and its evaluator
+   */
+  getEvaluator(dataset, model) {
+    const pairs = [...this.evaluators.values()];
+    const pick = (requested, field, label) => {
+      if (requested !== undefined) {
+        return requested;
+      }
+      const loaded = [...new Set(pairs.map(evaluator => evaluator[field]))];
+      if (loaded.length > 1) {
+        throw new HttpError(400, `${label} is required, loaded ${label}s: ${loaded.join(', ')}`);
+      }
+      return loaded[0];
+    };
+    const resolvedDataset = pick(dataset, 'dataset', 'dataset');
+    const resolvedModel = pick(model, 'modelName', 'model');
+    const evaluator = this.evaluators.get(SearchServer.getKey(resolvedDataset, resolvedModel));
+    if (!evaluator) {
+      throw new HttpError(404, `Index ${SearchServer.getKey(resolvedDataset, resolvedModel)} is not loaded. Loaded indexes: ${[...this.evaluators.keys()].join(', ')}`);
+    }
+    return { dataset: resolvedDataset, model: resolvedModel, evaluator };
+  }
+
+  /**
+   * Validate the search parameters of a request body
+   * @param {Object} body - Request body
+   * @returns {Object} - Query, topK and search() options
+   */
+  static parseSearchRequest(body) {
+    if (typeof body.query !== 'string' || body.query.trim() === '') {
+      throw new HttpError(400, 'query is required and must be a non-empty string');
+    }
+    if (body.topK !== undefined && (!Number.isInteger(body.topK) || body.topK < 1)) {
+      throw new HttpError(400, `topK must be a positive integer, got ${JSON.stringify(body.topK)}`);
+    }
+    if (body.minSimilarity !== undefined && (typeof body.minSimilarity !== 'number' || body.minSimilarity < 0)) {
+      throw new HttpError(400, `minSimilarity must be a number >= 0, got ${JSON.stringify(body.minSimilarity)}`);
+    }
+    if (body.rerank !== undefined && typeof body.rerank !== 'boolean') {
+      throw new HttpError(400, `rerank must be true or false, got ${JSON.stringify(body.rerank)}`);
+    }
+    if (body.retrieval !== undefined && !HybridRetrieval.MODES.includes(body.retrieval)) {
+      throw new HttpError(400, `retrieval must be one of ${HybridRetrieval.MODES.join(', ')}, got ${JSON.stringify(body.retrieval)}`);
+    }
+
+    let filter;
+    try {
+      filter = MetadataFilter.parse(body.filter === '' ? null : body.filter);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    return {
+      query: body.query.trim(),
+      topK: body.topK,
+      options: {
+        filter,
+        ...(body.minSimilarity !== undefined && { minSimilarity: body.minSimilarity }),
+        ...(body.rerank !== undefined && { rerank: body.rerank }),
+        ...(body.retrieval !== undefined && { retrieval: body.retrieval })
+      }
+    };
+  }
+
+  /**
+   * POST /search
+   * Without topK all results above the threshold are returned, as in evaluate; topK caps them.
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Dataset, model and the search() response
+   */
+  async search(body) {
+    const { query, topK, options } = SearchServer.parseSearchRequest(body);
+    const { dataset, model, evaluator } = this.getEvaluator(body.dataset, body.model);
+    const searchResponse = await evaluator.search(query, topK || 3, options);
+    return {
+      dataset,
+      model,
+      query,
+      ...searchResponse,
+      results: topK ? searchResponse.results.slice(0, topK) : searchResponse.results
+    };
+  }
+
+  /**
+   * GET /datasets
+   * @returns {Object[]} - Loaded datasets with their models
+   */
+  listDatasets() {
+    const datasets = new Map();
+    this.evaluators.forEach(evaluator => {
+      if (!datasets.has(evaluator.dataset)) {
+        datasets.set(evaluator.dataset, []);
+      }
+      datasets.get(evaluator.dataset).push(evaluator.modelName);
+    });
+    return [...datasets.entries()].map(([name, models]) => ({ name, models }));
+  }
+
+  /**
+   * GET /models
+   * @returns {Object[]} - Run configuration of every loaded model with the datasets it serves
+   */
+  listModels() {
+    const models = new Map();
+    this.evaluators.forEach(evaluator => {
+      if (!models.has(evaluator.modelName)) {
+        models.set(evaluator.modelName, {
+          ...evaluator.getRunConfig(),
+          retrieval: evaluator.retrieval.mode,
+          datasets: []
+        });
+      }
+      models.get(evaluator.modelName).datasets.push(evaluator.dataset);
+    });
+    return [...models.values()];
+  }
+
+  /**
+   * GET /health
+   * @returns {Object} - Status, uptime in seconds and loaded indexes
+   */
+  health() {
+    return {
+      status: 'ok',
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      indexes: [...this.evaluators.keys()]
+    };
+  }
+}
+
+module.exports = SearchServer;
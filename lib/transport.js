@@ -0,0 +1,247 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * HTTP transports used by EmbeddingService and RerankerService
+ * The live transport calls fetch; the recording transport also writes every request/response pair
+ * to a fixtures file, and the replay transport serves those pairs back without network access.
+ */
+
+const REDACTED = '[REDACTED]';
+const MIN_SECRET_LENGTH = 8;
+
+// Request headers that carry credentials and are never written to fixtures
+const SECRET_HEADERS = ['authorization', 'x-goog-api-key', 'x-api-key', 'api-key'];
+
+/**
+ * Live transport, a thin wrapper around the global fetch
+ */
+class HttpTransport {
+  /**
+   * Send a request
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options (method, headers, body)
+   * @returns {Promise<Response>} - fetch response
+   */
+  async fetch(url, options = {}) {
+    return fetch(url, options);
+  }
+}
+
+/**
+ * Fixture file shared by the recording and replay transports
+ * Interactions are keyed by method, URL and body, so headers (and therefore API keys) don't affect matching.
+ */
+class FixtureStore {
+  /**
+   * @param {string} fixturesPath - Path to the fixtures JSON file
+   */
+  constructor(fixturesPath) {
+    this.fixturesPath = fixturesPath;
+    this.interactions = new Map();
+  }
+
+  /**
+   * Compute the key of a request
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {string} - SHA-256 hex digest of method, URL and body
+   */
+  static getKey(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([method, url, options.body || '']))
+      .digest('hex');
+  }
+
+  /**
+   * Load the fixtures file
+   * @param {boolean} required - Throw if the file doesn't exist instead of starting empty
+   * @returns {Promise<void>}
+   */
+  async load(required) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.fixturesPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' && !required) {
+        return;
+      }
+      if (error.code === 'ENOENT') {
+        throw new Error(`Fixtures file not found: ${this.fixturesPath}. Record it first with --record ${this.fixturesPath}`);
+      }
+      throw new Error(`Failed to read fixtures file ${this.fixturesPath}: ${error.message}`);
+    }
+
+    (data.interactions || []).forEach(interaction => this.interactions.set(interaction.key, interaction));
+  }
+
+  /**
+   * Write all interactions to the fixtures file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.fixturesPath), { recursive: true });
+    await fs.writeFile(this.fixturesPath, JSON.stringify({
+      version: 1,
+      interactions: [...this.interactions.values()]
+    }, null, 2));
+  }
+}
+
+/**
+ * Base class of the fixture-backed transports, redacting API keys from recorded and matched requests
+ */
+class FixtureTransport {
+  /**
+   * @param {string} fixturesPath - Path to the fixtures JSON file
+   * @param {string[]} secrets - Values to redact wherever they appear (API keys)
+   */
+  constructor(fixturesPath, secrets = []) {
+    this.store = new FixtureStore(fixturesPath);
+    this.secrets = [];
+    secrets.forEach(secret => this.addSecret(secret));
+    this.loaded = null;
+  }
+
+  /**
+   * Add a value to redact, e.g. the API key of a service created after the transport
+   * @param {string} secret - Value to redact
+   */
+  addSecret(secret) {
+    // Very short values would redact ordinary text in request bodies; real API keys are much longer
+    if (secret && secret.length >= MIN_SECRET_LENGTH && !this.secrets.includes(secret)) {
+      this.secrets.push(secret);
+    }
+  }
+
+  /**
+   * Replace every known secret in a string
+   * @param {string} value - Text to redact
+   * @returns {string} - Redacted text
+   */
+  redact(value) {
+    return this.secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  }
+
+  /**
+   * Redact a request so it can be stored and matched without real API keys
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options (method, headers, body)
+   * @returns {{key: string, method: string, url: string, body: string}} - Fixture key and redacted request
+   */
+  redactRequest(url, options = {}) {
+    const request = {
+      method: (options.method || 'GET').toUpperCase(),
+      url: this.redact(url),
+      body: options.body ? this.redact(options.body) : ''
+    };
+    return { key: FixtureStore.getKey(request.url, request), ...request };
+  }
+}
+
+/**
+ * Transport that forwards requests to the live API and records them
+ * Existing fixtures are kept, so several commands can record into the same file.
+ */
+class RecordingTransport extends FixtureTransport {
+  /**
+   * @param {string} fixturesPath - Path to the fixtures JSON file
+   * @param {string[]} secrets - Values to redact wherever they appear (API keys)
+   * @param {Object} transport - Transport that performs the live requests
+   */
+  constructor(fixturesPath, secrets = [], transport = new HttpTransport()) {
+    super(fixturesPath, secrets);
+    this.transport = transport;
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Redact credential headers and secrets in the remaining headers
+   * @param {Object} headers - Request headers
+   * @returns {Object} - Redacted headers
+   */
+  redactHeaders(headers = {}) {
+    const redacted = {};
+    Object.entries(headers).forEach(([name, value]) => {
+      redacted[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : this.redact(String(value));
+    });
+    return redacted;
+  }
+
+  /**
+   * Send a request to the live API and record the exchange
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options (method, headers, body)
+   * @returns {Promise<Response>} - Response rebuilt from the recorded body
+   */
+  async fetch(url, options = {}) {
+    if (!this.loaded) {
+      this.loaded = this.store.load(false);
+    }
+    await this.loaded;
+
+    const response = await this.transport.fetch(url, options);
+    const body = await response.text();
+    const headers = Object.fromEntries(response.headers.entries());
+
+    const { key, ...request } = this.redactRequest(url, options);
+    this.store.interactions.set(key, {
+      key,
+      request: { ...request, headers: this.redactHeaders(options.headers) },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        body
+      }
+    });
+
+    // Saves are chained so concurrent requests never write the file at the same time
+    this.pendingSave = this.pendingSave.then(() => this.store.save());
+    await this.pendingSave;
+
+    return new Response(body, { status: response.status, statusText: response.statusText, headers });
+  }
+}
+
+/**
+ * Transport that serves recorded responses and fails on any request missing from the fixtures
+ */
+class ReplayTransport extends FixtureTransport {
+  /**
+   * Serve the recorded response of a request
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options (method, headers, body)
+   * @returns {Promise<Response>} - Recorded response
+   */
+  async fetch(url, options = {}) {
+    if (!this.loaded) {
+      this.loaded = this.store.load(true);
+    }
+    await this.loaded;
+
+    const request = this.redactRequest(url, options);
+    const interaction = this.store.interactions.get(request.key);
+    if (!interaction) {
+      const preview = request.body.length > 200 ? `${request.body.substring(0, 200)}...` : request.body;
+      const error = new Error(`No recorded response for ${request.method} ${request.url} in ${this.store.fixturesPath} (request body: ${preview}). ` +
+        'The request differs from the recording; record the fixtures again with --record.');
+      // The code identifies requests missing from the fixtures, so replayed runs never diverge silently
+      error.code = 'FIXTURE_MISSING';
+      throw error;
+    }
+
+    const { status, statusText, headers, body } = interaction.response;
+    return new Response(body, { status, statusText, headers });
+  }
+}
+
+module.exports = {
+  HttpTransport,
+  FixtureStore,
+  FixtureTransport,
+  RecordingTransport,
+  ReplayTransport
+};
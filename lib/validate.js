@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const MetadataFilter = require('./filter');
 
 /**
  * Validation utilities for projects and data
@@ -49,6 +50,12 @@ class Validator {
         if (!query.search) {
           throw new Error(`Eval query ${i + 1} missing search property`);
         }
+        try {
+          Validator.parseJudgments(query);
+          MetadataFilter.parse(query.filter);
+        } catch (error) {
+          throw new Error(`Eval query ${i + 1} ("${query.search}"): ${error.message}`);
+        }
       }
       
       return {
@@ -66,13 +73,75 @@ class Validator {
     }
   }
 
+  /**
+   * Parse the relevance judgments of an eval query
+   * `expected` is either a flat list of IDs (binary judgments, grade 1) or an object mapping
+   * IDs to relevance grades, e.g. { "71": 3, "85": 1 }. IDs with grade 0 are judged not relevant.
+   * An optional `mustBeFirst` ID has to be ranked first for the query to pass.
+   * @param {Object} evalItem - Eval query
+   * @returns {Object} - Expected IDs (grade > 0), grades by ID, graded flag and mustBeFirst ID
+   */
+  static parseJudgments(evalItem) {
+    const expected = evalItem.expected === undefined ? [] : evalItem.expected;
+    const grades = new Map();
+    let graded = false;
+    
+    if (Array.isArray(expected)) {
+      expected.forEach(id => {
+        if (typeof id !== 'number' && typeof id !== 'string') {
+          throw new Error(`expected IDs must be numbers or strings, got ${JSON.stringify(id)}`);
+        }
+        grades.set(id, 1);
+      });
+    } else if (expected && typeof expected === 'object') {
+      graded = true;
+      Object.entries(expected).forEach(([key, grade]) => {
+        if (typeof grade !== 'number' || !Number.isFinite(grade) || grade < 0) {
+          throw new Error(`relevance grade for ID ${key} must be a non-negative number, got ${JSON.stringify(grade)}`);
+        }
+        // JSON object keys are strings, content IDs are usually numbers
+        const id = /^\d+$/.test(key) ? Number(key) : key;
+        grades.set(id, grade);
+      });
+    } else {
+      throw new Error('expected must be an array of IDs or an object mapping IDs to relevance grades');
+    }
+    
+    const expectedIds = [...grades.keys()].filter(id => grades.get(id) > 0);
+    
+    const mustBeFirst = evalItem.mustBeFirst === undefined ? null : evalItem.mustBeFirst;
+    if (mustBeFirst !== null && !expectedIds.includes(mustBeFirst)) {
+      throw new Error(`mustBeFirst ID ${mustBeFirst} must be one of the expected IDs with a grade above 0`);
+    }
+    
+    return { expectedIds, grades, graded, mustBeFirst };
+  }
+
+  /**
+   * Label identifying an eval query in results, baselines and comparisons
+   * The same search with different filters counts as different queries.
+   * @param {Object} evalItem - Eval query or evaluation result with search and optional filter
+   * @returns {string} - Search text, followed by the filter if there is one
+   */
+  static getQueryLabel(evalItem) {
+    return evalItem.filter ? `${evalItem.search} [filter: ${evalItem.filter}]` : evalItem.search;
+  }
+
   /**
    * Validate search results against expected results
    * @param {string[]} foundIds - IDs found by search
    * @param {string[]} expectedIds - Expected IDs
+   * @param {string|number|null} mustBeFirst - ID that has to be ranked first
    * @returns {Object} - Validation result
    */
-  static validateResults(foundIds, expectedIds) {
+  static validateResults(foundIds, expectedIds, mustBeFirst = null) {
+    if (mustBeFirst !== null && foundIds[0] !== mustBeFirst) {
+      return {
+        isValid: false,
+        message: `Expected ID ${mustBeFirst} to be ranked first, found ${foundIds.length > 0 ? foundIds[0] : 'no results'}`
+      };
+    }
+    
     // Check if all expected results are included in found results (position doesn't matter)
     if (expectedIds.length === 0) {
       return { isValid: true, message: 'No expectations to validate' };
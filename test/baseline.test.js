@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const Baseline = require('../lib/baseline');
+const Metrics = require('../lib/metrics');
+
+// Complete results as written by evaluate, one entry per [search, expected, found]
+function run(queries) {
+  const metrics = new Metrics();
+  const results = queries.map(([search, expected, found]) => {
+    const recall = Metrics.calculateRecall(found, expected);
+    metrics.addEvaluateMetrics({
+      search, tokens: 1, runtime: 1, cost: 0, recall,
+      precision: Metrics.calculatePrecision(found, expected),
+      expectedCount: expected.length,
+      foundCount: expected.filter(id => found.includes(id)).length,
+      returnedCount: found.length
+    });
+    return { search, expected, found, validation: { isValid: recall === 100 } };
+  });
+  return { results, metrics: { evaluate: { items: metrics.evaluateMetrics, totals: metrics.getEvaluateTotals() } } };
+}
+
+test('parses tolerance overrides over the defaults', () => {
+  const tolerances = Baseline.parseTolerances('macroRecall=0.5, newlyFailing=0,mrr=off');
+  assert.equal(tolerances.macroRecall, 0.5);
+  assert.equal(tolerances.newlyFailing, 0);
+  assert.equal(tolerances.mrr, Infinity);
+  assert.equal(tolerances.macroPrecision, 2);
+  assert.deepEqual(Baseline.parseTolerances(''), Baseline.DEFAULT_TOLERANCES);
+});
+
+test('rejects unknown tolerances, malformed pairs and invalid limits', () => {
+  assert.throws(() => Baseline.parseTolerances('recall=1'), /Unknown tolerance 'recall'/);
+  assert.throws(() => Baseline.parseTolerances('macroRecall=-1'), /Invalid tolerance for macroRecall/);
+  assert.throws(() => Baseline.parseTolerances('macroRecall=abc'), /Invalid tolerance for macroRecall/);
+  assert.throws(() => Baseline.parseTolerances('macroRecall=1abc'), /Invalid tolerance for macroRecall: '1abc'/);
+  assert.throws(() => Baseline.parseTolerances('macroRecall='), /Invalid tolerance for macroRecall: ''/);
+  assert.throws(() => Baseline.parseTolerances('macroRecall=Infinity'), /Invalid tolerance for macroRecall/);
+  assert.throws(() => Baseline.parseTolerances('macroRecall'), /Invalid tolerance 'macroRecall'. Use name=limit pairs/);
+  assert.throws(() => Baseline.parseTolerances('macroRecall=1,'), /Invalid tolerance ''/);
+  assert.throws(() => Baseline.parseTolerances('macroRecall=1=2'), /Use name=limit pairs/);
+});
+
+test('diffs queries and aggregates against the baseline', () => {
+  const baseline = run([['a', [1], [1]], ['b', [2], [3, 2]], ['gone', [4], [4]]]);
+  const current = run([['a', [1], [5]], ['b', [2], [2]], ['new', [6], [6]]]);
+
+  const diff = Baseline.diff(baseline, current);
+  assert.deepEqual(diff.newlyFailing, ['a']);
+  assert.deepEqual(diff.newlyPassing, []);
+  assert.deepEqual(diff.rankChanges, [
+    { search: 'a', changes: [{ id: 1, from: 1, to: null }] },
+    { search: 'b', changes: [{ id: 2, from: 2, to: 1 }] }
+  ]);
+  assert.deepEqual(diff.addedQueries, ['new']);
+  assert.deepEqual(diff.removedQueries, ['gone']);
+  assert.equal(diff.aggregates.macroRecall.delta, 200 / 3 - 100);
+});
+
+test('the gate fails when a metric drops more than its tolerance', () => {
+  const diff = Baseline.diff(run([['a', [1], [1]], ['b', [2], [2]]]), run([['a', [1], []], ['b', [2], [2]]]));
+
+  const strict = Baseline.check(diff, Baseline.parseTolerances('newlyFailing=0'));
+  assert.equal(strict.passed, false);
+  assert.ok(strict.violations.includes('macroRecall dropped 50.00 points (tolerance 2)'));
+  assert.ok(strict.violations.includes('1 newly failing queries (tolerance 0)'));
+
+  const lenient = Baseline.check(diff, Baseline.parseTolerances('macroRecall=50,microRecall=50,macroPrecision=off,microPrecision=off'));
+  assert.deepEqual(lenient, { passed: true, violations: [] });
+});
+
+test('saves and loads named baselines', async () => {
+  const baseline = new Baseline(fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-')), 'local');
+  const results = run([['a', [1], [1]]]);
+  await baseline.save('v1', results);
+
+  const saved = await baseline.load('v1');
+  assert.equal(saved.baseline.name, 'v1');
+  assert.deepEqual(saved.results, results.results);
+  await assert.rejects(baseline.load('v2'), /Baseline 'v2' not found/);
+  assert.throws(() => baseline.getPath('../v1'), /Invalid baseline name/);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const BM25Index = require('../lib/bm25');
+
+const ITEMS = [
+  { id: 1, text: 'Python programming for data science' },
+  { id: 2, text: 'JavaScript programming for the web' },
+  { id: 3, text: 'Kubernetes cluster operations' }
+];
+
+test('ranks documents by matching terms and skips non-matching ones', () => {
+  const index = BM25Index.build(ITEMS);
+  const results = index.search('python programming');
+  assert.deepEqual(results.map(result => result.id), [1, 2]);
+  assert.ok(results[0].score > results[1].score);
+  assert.deepEqual(index.search('unrelated words'), []);
+});
+
+test('rare terms weigh more than common ones', () => {
+  const index = BM25Index.build(ITEMS);
+  assert.ok(index.getIdf('kubernetes') > index.getIdf('programming'));
+  assert.ok(index.getIdf('programming') > 0);
+});
+
+test('save and load keep the scores', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bm25-')), 'index.json');
+  const index = BM25Index.build(ITEMS, { k1: 1.5, b: 0.5 });
+  await index.save(filePath);
+
+  const loaded = await BM25Index.load(filePath);
+  assert.equal(loaded.k1, 1.5);
+  assert.deepEqual(loaded.search('web programming'), index.search('web programming'));
+  await assert.rejects(BM25Index.load(`${filePath}.missing`), /Run generate again/);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Calibrator = require('../lib/calibrate');
+
+const QUERIES = [
+  { search: 'a', expectedIds: [1], candidates: [{ id: 1, score: 0.8 }, { id: 2, score: 0.5 }] },
+  { search: 'b', expectedIds: [3], candidates: [{ id: 4, score: 0.6 }, { id: 3, score: 0.55 }] }
+];
+
+test('F-beta weighs recall by beta', () => {
+  assert.equal(Calibrator.calculateFBeta(100, 50, 1), (2 * 50 * 100) / 150);
+  assert.ok(Calibrator.calculateFBeta(100, 50, 2) > Calibrator.calculateFBeta(100, 50, 0.5));
+  assert.equal(Calibrator.calculateFBeta(0, 0, 1), 0);
+});
+
+test('sweeps thresholds from 0 to 1 in steps', () => {
+  const curve = Calibrator.sweep(QUERIES, 0.25);
+  assert.deepEqual(curve.map(point => point.threshold), [0, 0.25, 0.5, 0.75, 1]);
+
+  const atHalf = curve[2];
+  assert.equal(atHalf.recall, 100);
+  assert.equal(atHalf.precision, 50);
+  assert.equal(atHalf.averageReturned, 2);
+  assert.equal(curve[4].recall, 0);
+});
+
+test('rejects steps outside (0, 1] and non-positive candidate counts', () => {
+  [0, -0.1, 1.5, NaN, Infinity, '0.1'].forEach(step => {
+    assert.throws(() => Calibrator.sweep(QUERIES, step), /Invalid step/);
+  });
+  assert.equal(Calibrator.sweep(QUERIES, 1).length, 2);
+
+  [0, -5, 2.5, NaN, '20'].forEach(topN => assert.throws(() => Calibrator.checkTopN(topN), /Invalid top/));
+  assert.equal(Calibrator.checkTopN(10), 10);
+});
+
+test('recommends the best threshold for the objective, preferring higher thresholds on ties', () => {
+  const curve = Calibrator.sweep(QUERIES, 0.05);
+  // 0.55 keeps both expected ids and drops the 0.5 candidate
+  assert.equal(Calibrator.recommend(curve, 'f1').threshold, 0.55);
+  // Recall only drops above 0.55, so f2 agrees
+  assert.equal(Calibrator.recommend(curve, 'f2').threshold, 0.55);
+  assert.throws(() => Calibrator.recommend(curve, 'accuracy'), /Unknown objective: accuracy/);
+  assert.throws(() => Calibrator.recommend([], 'f1'), /empty curve/);
+});
+
+test('looks up the closest curve point', () => {
+  const curve = Calibrator.sweep(QUERIES, 0.1);
+  assert.equal(Calibrator.pointAt(curve, 0.33).threshold, 0.3);
+});
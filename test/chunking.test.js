@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Chunker = require('../lib/chunking');
+
+test('getConfig merges unit defaults and validates settings', () => {
+  assert.equal(Chunker.getConfig({}), null);
+  assert.deepEqual(Chunker.getConfig({ chunking: { unit: 'sentences' } }), {
+    unit: 'sentences', size: 5, overlap: 1, aggregation: 'max', topN: 3
+  });
+  assert.throws(() => Chunker.getConfig({ chunking: { unit: 'pages' } }), /Invalid chunking.unit/);
+  assert.throws(() => Chunker.getConfig({ chunking: { size: 10, overlap: 10 } }), /Invalid chunking.overlap/);
+  assert.throws(() => Chunker.getConfig({ chunking: { aggregation: 'median' } }), /Invalid chunking.aggregation/);
+});
+
+test('splits words into overlapping chunks', () => {
+  const chunker = new Chunker(Chunker.getConfig({ chunking: { size: 4, overlap: 1 } }));
+  assert.deepEqual(chunker.split('a b c d e f g'), ['a b c d', 'd e f g']);
+  assert.deepEqual(chunker.split('a b c'), ['a b c']);
+});
+
+test('splits sentences', () => {
+  const chunker = new Chunker(Chunker.getConfig({ chunking: { unit: 'sentences', size: 2, overlap: 0 } }));
+  assert.deepEqual(chunker.split('One. Two! Three? Four.'), ['One. Two!', 'Three? Four.']);
+});
+
+test('aggregates chunk scores per document', () => {
+  const result = (id, chunkId, score) => ({ item: { metadata: { id, chunkId } }, score });
+  const results = [result(1, '1#0', 0.9), result(2, '2#0', 0.8), result(2, '2#1', 0.7), result(1, '1#1', 0.1)];
+  const scores = aggregation => Chunker.aggregate(results, { aggregation, topN: 2 })
+    .map(({ item, score }) => [item.metadata.id, Number(score.toFixed(2))]);
+
+  assert.deepEqual(scores('max'), [[1, 0.9], [2, 0.8]]);
+  assert.deepEqual(scores('mean'), [[2, 0.75], [1, 0.5]]);
+  assert.deepEqual(scores('sum'), [[2, 1.5], [1, 1]]);
+});
+
+test('vector keys are chunk ids when chunked', () => {
+  assert.equal(Chunker.getKey({ id: 1, chunkId: '1#2' }), '1#2');
+  assert.equal(Chunker.getKey({ id: 1 }), 1);
+});
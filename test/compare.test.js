@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const Comparison = require('../lib/compare');
+
+// Evaluation results file with one item per [search, recall, passed]
+function evaluation(queries) {
+  return {
+    results: queries.map(([search, recall, passed]) => ({ search, validation: { isValid: passed }, metrics: { recall } })),
+    metrics: {
+      evaluate: {
+        items: queries.map(([search, recall]) => ({
+          search, tokens: 2, runtime: 10, cost: '0.00000100', recall, precision: 50,
+          expectedCount: 1, foundCount: recall === 100 ? 1 : 0, returnedCount: 2
+        }))
+      }
+    }
+  };
+}
+
+function tempDataset(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compare-'));
+  Object.entries(files).forEach(([name, data]) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data)));
+  return dir;
+}
+
+test('loads every model with evaluation results and ranks them by macro recall', async () => {
+  const dir = tempDataset({
+    'evaluation-results-a.json': evaluation([['q1', 100, true], ['q2', 0, false]]),
+    'evaluation-results-b.json': evaluation([['q1', 100, true], ['q2', 100, true]]),
+    'generation-metrics-b.json': { totals: { totalTokens: 40, totalCost: '0.00000800', documentCount: 4 } },
+    'b-model.json': { vendor: 'openai', model: 'text-embedding-3-small' },
+    'content.json': []
+  });
+
+  const runs = await new Comparison(dir, dir).loadRuns();
+  assert.deepEqual(runs.map(run => run.model), ['a', 'b']);
+  assert.equal(runs[0].embedding, '-');
+  assert.equal(runs[1].embedding, 'openai/text-embedding-3-small');
+
+  const leaderboard = Comparison.buildLeaderboard(runs);
+  assert.deepEqual(leaderboard.map(entry => [entry.model, entry.macroRecall]), [['b', 100], ['a', 50]]);
+  assert.equal(leaderboard[0].generateCost, 0.000008);
+  assert.equal(leaderboard[0].averageLatency, 10);
+  assert.equal(leaderboard[1].generateCost, null);
+});
+
+test('lists the queries whose outcome differs between models', async () => {
+  const dir = tempDataset({
+    'evaluation-results-a.json': evaluation([['q1', 100, true], ['q2', 0, false]]),
+    'evaluation-results-b.json': evaluation([['q1', 100, true], ['q2', 100, true]])
+  });
+  const { queryCount, disagreements } = Comparison.findDisagreements(await new Comparison(dir, dir).loadRuns());
+  assert.equal(queryCount, 2);
+  assert.deepEqual(disagreements, [{
+    search: 'q2',
+    outcomes: { a: { passed: false, recall: 0 }, b: { passed: true, recall: 100 } }
+  }]);
+});
+
+test('skips requested models without results and fails without any', async () => {
+  const dir = tempDataset({});
+  assert.deepEqual(await new Comparison(dir, dir, ['missing']).loadRuns(), []);
+  await assert.rejects(new Comparison(dir, dir).run(), /No evaluation results found/);
+});
+
+test('formats aligned tables', () => {
+  assert.equal(Comparison.formatTable(['#', 'Model'], [[1, 'voyageai'], [2, 'local']]), [
+    '#  Model',
+    '-  --------',
+    '1  voyageai',
+    '2  local'
+  ].join('\n'));
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const ConfigSchema = require('../lib/config-schema');
+
+const ROOT = path.join(__dirname, '..');
+const MODEL = { vendor: 'openai', model: 'text-embedding-3-small', cost: 0.02 };
+
+test('the model and reranker files of the repository are valid', () => {
+  fs.readdirSync(ROOT).filter(file => /-(model|reranker)\.json$/.test(file)).forEach(file => {
+    const config = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    const errors = file.endsWith('-model.json') ? ConfigSchema.validateModelConfig(config) : ConfigSchema.validateRerankerConfig(config);
+    assert.deepEqual(errors, [], file);
+  });
+});
+
+test('reports missing keys, wrong types and values out of range', () => {
+  assert.deepEqual(ConfigSchema.validateModelConfig({ vendor: 'openai', model: '' }), [
+    'cost: is required',
+    'model: must not be empty'
+  ]);
+  assert.deepEqual(ConfigSchema.validateModelConfig({ ...MODEL, cost: '0.02', batchSize: 0 }), [
+    'cost: must be number, got "0.02"',
+    'batchSize: must be >= 1, got 0'
+  ]);
+  assert.deepEqual(ConfigSchema.validateModelConfig({ ...MODEL, retrieval: { mode: 'semantic' } }), [
+    'retrieval.mode: must be one of vector, lexical, hybrid, got "semantic"'
+  ]);
+  assert.deepEqual(ConfigSchema.validateModelConfig([]), ['configuration: must be object, got []']);
+});
+
+test('suggests the closest key for misspelled keys', () => {
+  assert.deepEqual(ConfigSchema.validateModelConfig({ ...MODEL, minSimilarty: 0.3 }), [
+    'minSimilarty: unknown key (did you mean "minSimilarity"?)'
+  ]);
+  assert.equal(ConfigSchema.suggestKey('BATCHSIZE', ['batchSize', 'cost']), 'batchSize');
+  assert.equal(ConfigSchema.suggestKey('completelyDifferent', ['batchSize', 'cost']), null);
+});
+
+test('checks inline reranker keys and reranker vendors', () => {
+  assert.deepEqual(ConfigSchema.validateModelConfig({ ...MODEL, 'reranker-vendor': 'voyageai' }), [
+    'reranker-vendor: requires reranker-model'
+  ]);
+  assert.deepEqual(ConfigSchema.validateModelConfig({ ...MODEL, reranker: 'voyageai', 'reranker-vendor': 'voyageai', 'reranker-model': 'rerank-2.5' }), [
+    'configuration: cannot combine reranker and reranker-vendor'
+  ]);
+  assert.match(ConfigSchema.validateRerankerConfig({ vendor: 'acme', model: 'm' })[0], /^vendor: unsupported reranker vendor "acme"/);
+  assert.deepEqual(ConfigSchema.validateRerankerConfig({ vendor: 'local', model: 'm', weights: { terms: -1 } }), [
+    'weights.terms: must be >= 0, got -1'
+  ]);
+});
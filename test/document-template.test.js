@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DocumentTemplate = require('../lib/document-template');
+
+const ITEM = {
+  title: 'Employee Handbook',
+  description: 'Policies for new hires.',
+  type: 'policy',
+  audience: ['new hires', 'managers'],
+  url: 'https://intranet.example.com/hr/employee-handbook?v=2'
+};
+
+test('renders fields, joins lists and leaves missing fields empty', () => {
+  const template = new DocumentTemplate('{type}: {title}. {description} (for {audience}){owner}');
+  assert.equal(template.render(ITEM), 'policy: Employee Handbook. Policies for new hires. (for new hires, managers)');
+  assert.deepEqual(template.getFields(), ['type', 'title', 'description', 'audience', 'owner']);
+});
+
+test('the default template is title and description', () => {
+  assert.equal(new DocumentTemplate().render(ITEM), 'Employee Handbook Policies for new hires.');
+  assert.equal(`${new DocumentTemplate()}`, DocumentTemplate.DEFAULT);
+});
+
+test('formats URL fields', () => {
+  assert.equal(new DocumentTemplate('{url|path} on {url|host}').render(ITEM), '/hr/employee-handbook on intranet.example.com');
+  assert.equal(new DocumentTemplate('{url|path}').render({ url: 'not a url' }), 'not a url');
+});
+
+test('rejects templates without placeholders or with unknown formats', () => {
+  assert.throws(() => new DocumentTemplate('plain text'), /Invalid documentTemplate/);
+  assert.throws(() => new DocumentTemplate(42), /Invalid documentTemplate/);
+  assert.throws(() => new DocumentTemplate('{url|query}'), /unknown format "query"/);
+});
+
+test('picks the template configured for the dataset', () => {
+  assert.equal(DocumentTemplate.fromConfig({}, 'intranet'), null);
+  assert.equal(DocumentTemplate.fromConfig({ documentTemplate: '{title}' }, 'intranet').source, '{title}');
+  const perDataset = { documentTemplate: { intranet: '{type}: {title}' } };
+  assert.equal(DocumentTemplate.fromConfig(perDataset, 'intranet').source, '{type}: {title}');
+  assert.equal(DocumentTemplate.fromConfig(perDataset, 'default'), null);
+});
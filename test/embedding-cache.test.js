@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const EmbeddingCache = require('../lib/embedding-cache');
+
+const MODEL = { vendor: 'openai', model: 'text-embedding-3-small' };
+
+function tempCache(modelConfig = MODEL) {
+  return new EmbeddingCache(fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-cache-')), modelConfig);
+}
+
+test('keys depend on vendor, model, input variant and text', () => {
+  const cache = tempCache();
+  const key = cache.getKey('hello', 'query');
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(key, tempCache().getKey('hello', 'query'));
+  assert.notEqual(key, cache.getKey('hello', 'document'));
+  assert.notEqual(key, cache.getKey('hello!', 'query'));
+  assert.notEqual(key, tempCache({ ...MODEL, model: 'text-embedding-3-large' }).getKey('hello', 'query'));
+  assert.notEqual(key, tempCache({ ...MODEL, vendor: 'sf' }).getKey('hello', 'query'));
+  // Custom endpoints serving the same model name don't share entries
+  assert.notEqual(key, tempCache({ ...MODEL, baseUrl: 'http://localhost:11434/v1/' }).getKey('hello', 'query'));
+  assert.notEqual(key, tempCache({ ...MODEL, dimensions: 256 }).getKey('hello', 'query'));
+});
+
+test('stores and returns embeddings, counting hits and misses', async () => {
+  const cache = tempCache();
+  assert.equal(await cache.get('hello', 'default'), null);
+
+  await cache.set('hello', 'default', [0.1, 0.2], 3);
+  assert.deepEqual(await cache.get('hello', 'default'), { embedding: [0.1, 0.2], tokens: 3 });
+  assert.equal(await cache.get('hello', 'query'), null);
+  assert.deepEqual(cache.getStats(), { hits: 1, misses: 2, hitRate: 33.3 });
+});
+
+test('unreadable entries are misses', async () => {
+  const cache = tempCache();
+  const entryPath = cache.getEntryPath(cache.getKey('hello', 'default'));
+  fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+  fs.writeFileSync(entryPath, '{"embedding": "broken"}');
+  assert.equal(await cache.get('hello', 'default'), null);
+});
+
+test('clear removes only the entries of its model', async () => {
+  const cache = tempCache();
+  const other = new EmbeddingCache(path.dirname(cache.modelDir), { ...MODEL, model: 'other' });
+  await cache.set('hello', 'default', [1], 1);
+  await other.set('hello', 'default', [2], 1);
+
+  await cache.clear();
+  assert.equal(await cache.get('hello', 'default'), null);
+  assert.deepEqual((await other.get('hello', 'default')).embedding, [2]);
+});
+
+test('requires a cache directory and a vendor/model', () => {
+  assert.throws(() => new EmbeddingCache('', MODEL), /Cache directory is required/);
+  assert.throws(() => new EmbeddingCache('/tmp', { vendor: 'openai' }), /vendor and model is required/);
+});
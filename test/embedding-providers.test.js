@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getEmbeddingVendors,
+  resolveEmbeddingSettings,
+  getAuthHeaders,
+  buildEmbeddingRequest,
+  parseEmbeddingResponse,
+  getInputVariant
+} = require('../lib/embedding-providers');
+
+test('every vendor of the registry resolves with its defaults', () => {
+  getEmbeddingVendors().forEach(vendor => {
+    const settings = resolveEmbeddingSettings({ vendor, model: 'm', baseUrl: 'http://localhost:8080/v1' });
+    assert.ok(Number.isInteger(settings.batchSize) && settings.batchSize > 0, vendor);
+  });
+  assert.throws(() => resolveEmbeddingSettings({ vendor: 'acme', model: 'm' }), /Unsupported vendor: acme/);
+});
+
+test('OpenAI-compatible endpoints need a baseUrl and may run without a key', () => {
+  assert.throws(() => resolveEmbeddingSettings({ vendor: 'openai-compatible', model: 'm' }), /requires a baseUrl/);
+
+  const settings = resolveEmbeddingSettings({ vendor: 'openai-compatible', model: 'nomic-embed-text', baseUrl: 'http://localhost:11434/v1' });
+  assert.equal(settings.baseUrl, 'http://localhost:11434/v1/');
+  assert.equal(settings.apiKeyName, null);
+  assert.deepEqual(buildEmbeddingRequest(settings, ['a', 'b'], 'generate'), {
+    url: 'http://localhost:11434/v1/embeddings',
+    body: { model: 'nomic-embed-text', input: ['a', 'b'] }
+  });
+});
+
+test('model files override auth and the request and response mapping', () => {
+  const settings = resolveEmbeddingSettings({
+    vendor: 'openai',
+    model: 'embed',
+    baseUrl: 'https://example.openai.azure.com/openai/deployments/embed/',
+    apiKeyEnv: 'AZURE_OPENAI_API_KEY',
+    auth: 'header',
+    dimensions: 256,
+    request: { modelField: null },
+    response: { tokensPath: 'usage.prompt_tokens' }
+  });
+  assert.equal(settings.apiKeyName, 'AZURE_OPENAI_API_KEY');
+  assert.deepEqual(getAuthHeaders(settings, 'key'), { 'Content-Type': 'application/json', 'api-key': 'key' });
+  assert.deepEqual(buildEmbeddingRequest(settings, ['a'], 'query').body, { input: ['a'], dimensions: 256, encoding_format: 'float' });
+  assert.deepEqual(
+    parseEmbeddingResponse(settings, { data: [{ index: 0, embedding: [1, 0] }], usage: { prompt_tokens: 3 } }, ['a']),
+    { embeddings: [[1, 0]], tokens: 3 }
+  );
+  assert.throws(() => resolveEmbeddingSettings({ vendor: 'openai', model: 'm', auth: 'basic' }), /Invalid auth: basic/);
+  assert.deepEqual(getAuthHeaders(resolveEmbeddingSettings({ vendor: 'openai', model: 'm', auth: 'none' }), 'key'), { 'Content-Type': 'application/json' });
+});
+
+test('responses are put back in input order and malformed ones are rejected', () => {
+  const settings = resolveEmbeddingSettings({ vendor: 'openai', model: 'm' });
+  const response = { data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }] };
+  assert.deepEqual(parseEmbeddingResponse(settings, response, ['a', 'b']), { embeddings: [[1], [2]], tokens: 0 });
+  assert.equal(parseEmbeddingResponse(settings, { data: [{ embedding: [1] }] }, ['a', 'b']), null);
+  assert.equal(parseEmbeddingResponse(settings, { data: [{ index: 0, embedding: [1] }, { index: 0, embedding: [2] }] }, ['a', 'b']), null);
+});
+
+test('query and document embeddings use separate input variants where the vendor distinguishes them', () => {
+  const voyage = resolveEmbeddingSettings({ vendor: 'voyageai', model: 'voyage-3.5' });
+  assert.equal(getInputVariant(voyage, 'query'), 'query');
+  assert.equal(getInputVariant(voyage, 'generate'), 'document');
+  assert.equal(buildEmbeddingRequest(voyage, ['a'], 'query').body.input_type, 'query');
+  assert.equal(buildEmbeddingRequest({ ...voyage, dimensions: 512 }, ['a'], 'query').body.output_dimension, 512);
+
+  const google = resolveEmbeddingSettings({ vendor: 'google', model: 'gemini-embedding-001', query_task_type: 'RETRIEVAL_QUERY' });
+  assert.equal(getInputVariant(google, 'query'), 'RETRIEVAL_QUERY');
+  assert.equal(getInputVariant(google, 'generate'), 'default');
+
+  assert.equal(getInputVariant(resolveEmbeddingSettings({ vendor: 'openai', model: 'm' }), 'query'), 'default');
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MetadataFilter = require('../lib/filter');
+
+test('parses conditions joined with and', () => {
+  const filter = MetadataFilter.parse('type=tool and audience contains "new hires" and status != \'archived\'');
+  assert.deepEqual(filter.conditions, [
+    { field: 'type', operator: '=', value: 'tool' },
+    { field: 'audience', operator: 'contains', value: 'new hires' },
+    { field: 'status', operator: '!=', value: 'archived' }
+  ]);
+  assert.equal(filter.toString(), 'type=tool and audience contains "new hires" and status != \'archived\'');
+});
+
+test('empty expressions mean no filter', () => {
+  assert.equal(MetadataFilter.parse(undefined), null);
+  assert.equal(MetadataFilter.parse(null), null);
+  assert.equal(MetadataFilter.parse('   '), null);
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => MetadataFilter.parse('type'), /expected an operator/);
+  assert.throws(() => MetadataFilter.parse('type ~ tool'), /unknown operator "~"/);
+  assert.throws(() => MetadataFilter.parse('type=tool or type=guide'), /expected "and" between conditions, got "or"/);
+  assert.throws(() => MetadataFilter.parse('type="tool'), /unexpected input/);
+  assert.throws(() => MetadataFilter.parse(42), /must be a string/);
+});
+
+test('matches ignore case and handle list fields', () => {
+  const metadata = { type: 'Tool', tags: ['Onboarding', 'HR'], owner: null };
+  assert.ok(MetadataFilter.parse('type=tool').matches(metadata));
+  assert.ok(MetadataFilter.parse('tags=hr').matches(metadata));
+  assert.ok(MetadataFilter.parse('tags contains board').matches(metadata));
+  assert.ok(!MetadataFilter.parse('tags!=hr').matches(metadata));
+  assert.ok(MetadataFilter.parse('owner!=alice').matches(metadata));
+  assert.ok(!MetadataFilter.parse('type=tool and tags=finance').matches(metadata));
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const HybridRetrieval = require('../lib/hybrid');
+
+test('merges retrieval settings over the defaults and validates them', () => {
+  assert.deepEqual(HybridRetrieval.getConfig({}), HybridRetrieval.DEFAULTS);
+  assert.equal(HybridRetrieval.getConfig({ retrieval: { mode: 'hybrid', fusion: 'weighted' } }).fusion, 'weighted');
+  assert.throws(() => HybridRetrieval.getConfig({ retrieval: { mode: 'semantic' } }), /Invalid retrieval.mode/);
+  assert.throws(() => HybridRetrieval.getConfig({ retrieval: { fusion: 'max' } }), /Invalid retrieval.fusion/);
+  assert.throws(() => HybridRetrieval.getConfig({ retrieval: { minScore: -1 } }), /Invalid retrieval.minScore/);
+  assert.throws(() => HybridRetrieval.getConfig({ retrieval: { vectorWeight: 0, lexicalWeight: 0 } }), /cannot both be 0/);
+});
+
+test('lexical scores are relative to the best match', () => {
+  assert.deepEqual(HybridRetrieval.normalizeLexical([{ id: 1, score: 4 }, { id: 2, score: 1 }]), [{ id: 1, score: 1 }, { id: 2, score: 0.25 }]);
+  assert.deepEqual(HybridRetrieval.normalizeLexical([]), []);
+});
+
+test('RRF fusion scores a candidate ranked first in both lists as 1', () => {
+  const config = HybridRetrieval.getConfig({ retrieval: { mode: 'hybrid' } });
+  const fused = HybridRetrieval.fuse(
+    [{ id: 1, score: 0.9 }, { id: 2, score: 0.5 }],
+    [{ id: 1, score: 1 }, { id: 3, score: 0.4 }],
+    config
+  );
+
+  assert.deepEqual(fused.map(candidate => candidate.id), [1, 2, 3]);
+  assert.equal(fused[0].score, 1);
+  assert.deepEqual(fused[1], { id: 2, score: (1 / 62) / (2 / 61), vectorScore: 0.5, lexicalScore: null });
+});
+
+test('weighted fusion averages the scores by weight', () => {
+  const config = HybridRetrieval.getConfig({ retrieval: { fusion: 'weighted', vectorWeight: 3, lexicalWeight: 1 } });
+  const fused = HybridRetrieval.fuse([{ id: 1, score: 0.6 }], [{ id: 2, score: 1 }, { id: 1, score: 0.2 }], config);
+  assert.deepEqual(fused.map(candidate => [candidate.id, Number(candidate.score.toFixed(6))]), [[1, 0.5], [2, 0.25]]);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MatryoshkaAnalysis = require('../lib/matryoshka');
+
+const norm = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+test('truncates vectors to their first dimensions and re-normalizes them', () => {
+  assert.deepEqual(MatryoshkaAnalysis.truncate([3, 4, 12], 2), [0.6, 0.8]);
+  assert.ok(Math.abs(norm(MatryoshkaAnalysis.truncate([0.1, 0.2, 0.3, 0.4], 3)) - 1) < 1e-12);
+  assert.deepEqual(MatryoshkaAnalysis.truncate([0, 0, 1], 2), [0, 0]);
+});
+
+test('compares powers of two down to 64 by default, or the requested sizes', () => {
+  assert.deepEqual(MatryoshkaAnalysis.getSizes(1024), [1024, 512, 256, 128, 64]);
+  assert.deepEqual(MatryoshkaAnalysis.getSizes(768), [768, 512, 256, 128, 64]);
+  assert.deepEqual(MatryoshkaAnalysis.getSizes(1024, [256, 1024, 128]), [1024, 256, 128]);
+  assert.throws(() => MatryoshkaAnalysis.getSizes(1024, [2048, 0]), /Invalid --dims value 2048, 0/);
+});
+
+test('scores eval queries with truncated vectors', () => {
+  // The first two dimensions separate the items, the last two add noise
+  const items = [
+    { metadata: { id: 1, type: 'a' }, vector: [1, 0, 0.1, 0] },
+    { metadata: { id: 2, type: 'b' }, vector: [0, 1, 0, 0.1] }
+  ];
+  const queries = [
+    { search: 'one', expectedIds: [1], embedding: [0.9, 0.1, 0, 0.5] },
+    { search: 'two', expectedIds: [2], embedding: [0.1, 0.9, 0.5, 0], filter: 'type=b' }
+  ];
+
+  const result = MatryoshkaAnalysis.evaluate(queries, items, 2, { topN: 10, minSimilarity: 0.5, chunking: null, step: 0.05 });
+  assert.equal(result.dimensions, 2);
+  assert.equal(result.indexBytes, 2 * 2 * 4);
+  assert.equal(result.recall, 100);
+  assert.equal(result.precision, 100);
+  assert.equal(result.bestF1, 100);
+});
+
+test('recommends the smallest size within the accepted F1 loss', () => {
+  const results = [
+    { dimensions: 1024, bestF1: 80 },
+    { dimensions: 512, bestF1: 79.5 },
+    { dimensions: 256, bestF1: 77 },
+    { dimensions: 128, bestF1: 70 }
+  ];
+  assert.equal(MatryoshkaAnalysis.recommend(results, 1).dimensions, 512);
+  assert.equal(MatryoshkaAnalysis.recommend(results, 3).dimensions, 256);
+  assert.equal(MatryoshkaAnalysis.recommend(results, 0).dimensions, 1024);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Metrics = require('../lib/metrics');
+
+test('recall and precision count expected ids among the found ids', () => {
+  assert.equal(Metrics.calculateRecall([1, 2, 3], [1, 4]), 50);
+  assert.equal(Metrics.calculatePrecision([1, 2, 3, 4], [1, 4]), 50);
+  assert.equal(Metrics.calculatePrecision([], [1]), 0);
+});
+
+test('expecting no results scores 100 only when nothing is found', () => {
+  assert.equal(Metrics.calculateRecall([], []), 100);
+  assert.equal(Metrics.calculatePrecision([], []), 100);
+  assert.equal(Metrics.calculateRecall([1], []), 0);
+  assert.equal(Metrics.calculatePrecision([1], []), 0);
+});
+
+test('generation totals add up the per-document metrics', () => {
+  const metrics = new Metrics();
+  metrics.addGenerateMetrics({ id: 1, title: 'One', tokens: 7, runtime: 3, cost: 0.001 });
+  metrics.addGenerateMetrics({ id: 2, title: 'Two', tokens: 10, runtime: 5, cost: 0.002 });
+
+  const totals = metrics.getGenerateTotals();
+  assert.equal(totals.totalTokens, 17);
+  assert.equal(totals.totalRuntime, 8);
+  assert.equal(totals.totalCost, 0.003);
+});
+
+test('index changes are saved only when a generation recorded them', () => {
+  const metrics = new Metrics();
+  assert.equal(metrics.getAllMetrics().generate.changes, undefined);
+
+  metrics.setGenerateChanges({ mode: 'incremental', added: 1, updated: 2, removed: 0, unchanged: 5, extra: true });
+  assert.deepEqual(metrics.getAllMetrics().generate.changes, { mode: 'incremental', added: 1, updated: 2, removed: 0, unchanged: 5 });
+});
+
+test('reciprocal rank and average precision follow the rank order', () => {
+  assert.equal(Metrics.calculateReciprocalRank([3, 2, 1], [1]), 1 / 3);
+  assert.equal(Metrics.calculateReciprocalRank([3, 2], [1]), 0);
+  // Hits at ranks 1 and 3: (1/1 + 2/3) / 2
+  assert.equal(Metrics.calculateAveragePrecision([1, 5, 2], [1, 2]), (1 + 2 / 3) / 2);
+  assert.equal(Metrics.calculateAveragePrecision([], []), 1);
+});
+
+test('nDCG is 1 for the ideal ranking and 0 without hits', () => {
+  assert.equal(Metrics.calculateNDCG([1, 2, 3], [2, 1], 3), 1);
+  assert.equal(Metrics.calculateNDCG([3, 1], [1], 2), 1 / Math.log2(3));
+  assert.equal(Metrics.calculateNDCG([5, 6], [1], 2), 0);
+});
+
+test('rank metrics are keyed by k', () => {
+  const ranking = Metrics.calculateRankMetrics([3, 1, 4, 5, 6, 2], [1, 2], [1, 3, 10]);
+  assert.equal(ranking.reciprocalRank, 0.5);
+  assert.deepEqual(Object.keys(ranking.ndcg), ['1', '3', '10']);
+  assert.deepEqual(ranking.hit, { 1: 0, 3: 100, 10: 100 });
+  assert.deepEqual(ranking.recall, { 1: 0, 3: 50, 10: 100 });
+  assert.deepEqual(ranking.precision, { 1: 0, 3: (1 / 3) * 100, 10: 20 });
+});
+
+test('Precision@k counts missing ranks as misses', () => {
+  assert.equal(Metrics.calculatePrecisionAtK([1, 2], [1, 2], 5), 40);
+  assert.equal(Metrics.calculatePrecisionAtK([1, 2, 3], [1, 3], 2), 50);
+  assert.equal(Metrics.calculatePrecisionAtK([], [], 5), 100);
+  assert.equal(Metrics.calculatePrecisionAtK([1], [], 5), 0);
+});
+
+test('ranking totals macro-average the queries', () => {
+  const metrics = new Metrics();
+  assert.equal(metrics.getRankingTotals(), null);
+
+  [[[1], [1]], [[2, 1], [1]]].forEach(([found, expected]) => {
+    metrics.addEvaluateMetrics({ search: 'q', tokens: 1, runtime: 1, cost: 0, recall: 100, precision: 100, ranking: Metrics.calculateRankMetrics(found, expected, [1, 3]) });
+  });
+  const totals = metrics.getRankingTotals();
+  assert.deepEqual(totals.kValues, [1, 3]);
+  assert.equal(totals.mrr, 0.75);
+  assert.deepEqual(totals.hit, { 1: 50, 3: 100 });
+});
+
+test('graded recall and precision weigh ids by their grade', () => {
+  const grades = new Map([[1, 3], [2, 1]]);
+  assert.equal(Metrics.calculateGradedRecall([1], [1, 2], grades), 75);
+  assert.equal(Metrics.calculateGradedPrecision([1, 2], [1, 2], grades), (4 / 6) * 100);
+  assert.equal(Metrics.calculateGradedPrecision([], [1, 2], grades), 0);
+});
+
+test('graded nDCG rewards putting the highest grade first', () => {
+  const grades = new Map([[1, 3], [2, 1]]);
+  assert.equal(Metrics.calculateNDCG([1, 2], [1, 2], 3, grades), 1);
+  assert.ok(Metrics.calculateNDCG([2, 1], [1, 2], 3, grades) < 1);
+  // Binary judgments don't care about the order of the expected ids
+  assert.equal(Metrics.calculateNDCG([2, 1], [1, 2], 3), 1);
+});
+
+test('an incremental generation keeps the metrics of unchanged documents', () => {
+  const metrics = new Metrics();
+  metrics.addGenerateMetrics({ id: 2, title: 'Two', tokens: 10, runtime: 5, cost: 0.002 });
+  const missing = metrics.mergeGenerateMetrics([
+    { id: 1, title: 'One', tokens: 7, runtime: 3, cost: '0.00100000' },
+    { id: 2, title: 'Two (old)', tokens: 9, runtime: 4, cost: '0.00090000' },
+    { id: 4, title: 'Removed', tokens: 1, runtime: 1, cost: '0.00010000' }
+  ], [1, 2, 3]);
+
+  assert.equal(missing, 1);
+  assert.deepEqual(metrics.generateMetrics.map(m => [m.id, m.tokens]), [[1, 7], [2, 10]]);
+  assert.equal(metrics.getGenerateTotals().totalTokens, 17);
+  assert.equal(metrics.getAllMetrics().generate.run.totalTokens, 10);
+});
@@ -0,0 +1,76 @@
+const http = require('http');
+const LocalVectorizer = require('../lib/local-embedding');
+
+/**
+ * Mock embedding vendor speaking the OpenAI embeddings API, backed by the local vectorizer
+ * Used to record the test fixtures with test/fixtures/mock-model.json; the tests themselves only replay them.
+ * Run `node test/mock-vendor.js` and record into test/fixtures/mock-vendor.json (see README, Tests).
+ */
+
+const PORT = 18765;
+
+/**
+ * Start the mock vendor
+ * @param {number} port - Port to listen on, 127.0.0.1 only
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function startMockVendor(port = PORT) {
+  const vectorizers = new Map();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || req.url !== '/v1/embeddings') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `Unknown endpoint ${req.method} ${req.url}` } }));
+        return;
+      }
+
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `Invalid JSON: ${error.message}` } }));
+        return;
+      }
+
+      const dimensions = request.dimensions || 64;
+      if (!vectorizers.has(dimensions)) {
+        vectorizers.set(dimensions, new LocalVectorizer({ dimensions }));
+      }
+      const inputs = Array.isArray(request.input) ? request.input : [request.input];
+      const results = inputs.map(text => vectorizers.get(dimensions).embed(text));
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        object: 'list',
+        model: request.model,
+        // Vectors rounded so the recorded fixtures stay small
+        data: results.map((result, index) => ({
+          object: 'embedding',
+          index,
+          embedding: result.embedding.map(value => Math.round(value * 1e6) / 1e6)
+        })),
+        usage: { total_tokens: results.reduce((sum, result) => sum + result.tokens, 0) }
+      }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+if (require.main === module) {
+  startMockVendor().then(() => {
+    console.log(`🧪 Mock embedding vendor listening on http://127.0.0.1:${PORT}/v1/`);
+  }).catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockVendor, PORT };
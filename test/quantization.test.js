@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const QuantizedIndex = require('../lib/quantization');
+
+const VECTORS = [
+  [0.9, 0.1, -0.2, 0.3, 0.0, -0.5, 0.2, 0.1, 0.4],
+  [-0.3, 0.8, 0.5, -0.1, 0.2, 0.1, -0.4, 0.6, -0.2],
+  [0.1, -0.2, 0.9, 0.4, -0.6, 0.3, 0.5, -0.1, 0.0],
+  [-0.7, -0.1, 0.2, 0.8, 0.3, -0.2, 0.1, 0.4, 0.5]
+];
+
+// In-memory stand-in for the float LocalIndex
+function floatIndex() {
+  const items = VECTORS.map((vector, i) => ({ id: `v${i}`, metadata: { id: i + 1, hash: `h${i}` }, vector }));
+  return {
+    indexName: 'test.json',
+    listItems: async () => items,
+    getIndexStats: async () => ({ metadata_config: { indexed: ['id'] } })
+  };
+}
+
+function tempPath(type) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quantized-')), `test.${type}.json`);
+}
+
+function cosine(a, b) {
+  const dot = a.reduce((sum, value, d) => sum + value * b[d], 0);
+  const norm = v => Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+test('binarize packs positive signs most significant bit first', () => {
+  const bits = QuantizedIndex.binarize([1, -1, 0, 2, 0, 0, 0, 0.5, 3]);
+  assert.deepEqual(Array.from(bits), [0b10010001, 0b10000000]);
+  assert.equal(QuantizedIndex.hamming(bits, Uint8Array.from([0b10010000, 0])), 2);
+});
+
+test('int8 scores stay close to the float cosine similarities', async () => {
+  const filePath = tempPath('int8');
+  await QuantizedIndex.build(floatIndex(), filePath, 'int8');
+  const index = new QuantizedIndex(filePath);
+
+  const results = await index.queryItems(VECTORS[2], '', 4);
+  assert.equal(results[0].item.metadata.id, 3);
+  results.forEach(({ item, score }) => {
+    assert.ok(Math.abs(score - cosine(VECTORS[2], VECTORS[item.metadata.id - 1])) < 0.02);
+  });
+  assert.deepEqual((await index.getSource()).fingerprint, QuantizedIndex.fingerprint(await floatIndex().listItems()));
+});
+
+test('binary indexes store only the bits and rescore with the float vectors', async () => {
+  const filePath = tempPath('binary');
+  await QuantizedIndex.build(floatIndex(), filePath, 'binary', { candidates: 2 });
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(Object.keys(data.items[0]).sort(), ['bits', 'id', 'metadata']);
+
+  await assert.rejects(new QuantizedIndex(filePath).load(), /rescoreIndex/);
+
+  const index = new QuantizedIndex(filePath, { rescoreIndex: floatIndex() });
+  const results = await index.queryItems(VECTORS[1], '');
+  assert.equal(results.length, 2);
+  assert.equal(results[0].item.metadata.id, 2);
+  assert.equal(results[0].score, cosine(VECTORS[1], VECTORS[1]));
+  assert.equal((await new QuantizedIndex(filePath, { candidates: 3, rescoreIndex: floatIndex() }).queryItems(VECTORS[1], '')).length, 3);
+});
+
+test('rejects unknown quantization types', async () => {
+  await assert.rejects(QuantizedIndex.build(floatIndex(), tempPath('x'), 'int4'), /int4/);
+});
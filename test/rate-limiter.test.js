@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, RateLimiter, mapConcurrent } = require('../lib/rate-limiter');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('token buckets report the wait until enough budget is refilled', () => {
+  const bucket = new TokenBucket(60);
+  assert.equal(bucket.getWait(1), 0);
+  bucket.take(60);
+  const wait = bucket.getWait(1);
+  assert.ok(wait > 900 && wait <= 1000, `one request per second, got ${wait}ms`);
+  // Amounts above the capacity wait for a full bucket instead of forever
+  assert.ok(bucket.getWait(1000) <= 60000);
+});
+
+test('limits the requests in flight and hands slots over in order', async () => {
+  const limiter = new RateLimiter({ maxInFlight: 2 });
+  let running = 0;
+  let peak = 0;
+  const order = [];
+
+  await Promise.all([1, 2, 3, 4, 5].map(id => limiter.schedule(async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    order.push(id);
+    running--;
+  })));
+
+  assert.equal(peak, 2);
+  assert.deepEqual(order, [1, 2, 3, 4, 5]);
+  assert.equal(limiter.inFlight, 0);
+});
+
+test('measure reports the time spent waiting for the limiter', async () => {
+  const limiter = new RateLimiter({ maxInFlight: 1 });
+  const first = limiter.schedule(() => sleep(30));
+  const { result, queued } = await RateLimiter.measure(() => limiter.schedule(async () => 'done'));
+  await first;
+  assert.equal(result, 'done');
+  assert.ok(queued >= 20, `queued ${queued}ms`);
+});
+
+test('vendors share one limiter', () => {
+  const limiter = RateLimiter.forVendor('test-vendor', { maxInFlight: 3 });
+  assert.equal(RateLimiter.forVendor('test-vendor'), limiter);
+  assert.equal(limiter.maxInFlight, 3);
+  assert.notEqual(RateLimiter.forVendor('other-test-vendor'), limiter);
+});
+
+test('vendor limiters keep the stricter limits whatever the load order', () => {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    const embedding = { maxInFlight: 8, requestsPerMinute: 60 };
+    const reranker = { maxInFlight: 2, tokensPerMinute: 1000 };
+    const first = RateLimiter.forVendor('merge-a', embedding);
+    RateLimiter.forVendor('merge-a', reranker);
+    const second = RateLimiter.forVendor('merge-b', reranker);
+    RateLimiter.forVendor('merge-b', embedding);
+
+    [first, second].forEach(limiter => {
+      assert.equal(limiter.maxInFlight, 2);
+      assert.equal(limiter.requests.capacity, 60);
+      assert.equal(limiter.tokens.capacity, 1000);
+    });
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /merge-a set different rate limits, using the stricter ones: maxInFlight 2, requestsPerMinute 60, tokensPerMinute 1000/);
+
+    // Limits only one configuration sets don't conflict
+    RateLimiter.forVendor('merge-c', { requestsPerMinute: 60 });
+    assert.equal(RateLimiter.forVendor('merge-c', { tokensPerMinute: 500 }).tokens.capacity, 500);
+    RateLimiter.forVendor('merge-c');
+    assert.equal(warnings.length, 2);
+    assert.throws(() => RateLimiter.forVendor('merge-c', { maxInFlight: 0 }), /Invalid rateLimit.maxInFlight/);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('rejects invalid limits', () => {
+  assert.throws(() => new RateLimiter({ requestsPerMinute: 0 }), /Invalid rateLimit.requestsPerMinute/);
+  assert.throws(() => new RateLimiter({ maxInFlight: 1.5 }), /Invalid rateLimit.maxInFlight/);
+});
+
+test('mapConcurrent keeps input order and delivers results in order', async () => {
+  const delivered = [];
+  const results = await mapConcurrent([30, 5, 15, 1], 3, async (delay, index) => {
+    await sleep(delay);
+    return index * 10;
+  }, async (result, index) => {
+    delivered.push([index, result]);
+  });
+
+  assert.deepEqual(results, [0, 10, 20, 30]);
+  assert.deepEqual(delivered, [[0, 0], [1, 10], [2, 20], [3, 30]]);
+});
+
+test('mapConcurrent stops starting items after a failure and throws the first error', async () => {
+  const started = [];
+  const delivered = [];
+  await assert.rejects(mapConcurrent([1, 2, 3, 4, 5], 2, async item => {
+    started.push(item);
+    await sleep(item === 2 ? 1 : 10);
+    if (item === 2) {
+      throw new Error('item 2 failed');
+    }
+    return item;
+  }, async result => delivered.push(result)), /item 2 failed/);
+
+  assert.deepEqual(started, [1, 2]);
+  assert.deepEqual(delivered, [1]);
+});
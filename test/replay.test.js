@@ -0,0 +1,69 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const EmbeddingsEvaluator = require('../index');
+
+// Fixtures recorded against test/mock-vendor.js with test/fixtures/mock-model.json; replaying them needs no server
+const ROOT = path.join(__dirname, '..');
+const DATASET = 'test/fixtures/dataset';
+const CONFIG_PATH = path.join(__dirname, 'fixtures');
+const FIXTURES = path.join(CONFIG_PATH, 'mock-vendor.json');
+const datasetPath = path.join(ROOT, DATASET);
+
+function run(command) {
+  const result = spawnSync(process.execPath, [
+    'index.js', command, '--dataset', DATASET, '--model', 'mock', '--config-path', CONFIG_PATH, '--replay', FIXTURES
+  ], {
+    cwd: ROOT,
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  assert.equal(result.status, 0, `${command} failed:\n${result.stdout}\n${result.stderr}`);
+  return result.stdout;
+}
+
+function readResults() {
+  return JSON.parse(fs.readFileSync(path.join(datasetPath, 'evaluation-results-mock.json'), 'utf8'));
+}
+
+// Everything that doesn't depend on timing
+function summarize(results) {
+  return results.results.map(result => ({
+    search: result.search,
+    found: result.found,
+    scores: result.results.map(item => item.score),
+    recall: result.metrics.recall,
+    precision: result.metrics.precision,
+    ranking: result.metrics.ranking
+  }));
+}
+
+after(() => {
+  fs.rmSync(path.join(datasetPath, 'embeddings'), { recursive: true, force: true });
+  fs.rmSync(path.join(datasetPath, 'generation-metrics-mock.json'), { force: true });
+  fs.rmSync(path.join(datasetPath, 'evaluation-results-mock.json'), { force: true });
+});
+
+test('generate and evaluate replay the recorded vendor responses deterministically', () => {
+  run('generate');
+
+  const output = run('evaluate');
+  assert.match(output, /Macro-averaging: Recall 100\.0%, Precision 75\.0%/);
+  const first = readResults();
+  assert.deepEqual(first.results.map(result => result.found), [[6, 5], [5, 2], [1], [4]]);
+
+  run('evaluate');
+  assert.deepEqual(summarize(readResults()), summarize(first));
+});
+
+test('a request missing from the fixtures fails with FIXTURE_MISSING', async () => {
+  const evaluator = new EmbeddingsEvaluator(DATASET, 'mock', { replay: FIXTURES, configPath: CONFIG_PATH });
+  await evaluator.initialize();
+
+  await assert.rejects(
+    evaluator.search('a query that was never recorded', 3, { quiet: true }),
+    error => error.code === 'FIXTURE_MISSING' && /No recorded response for POST http:\/\/127\.0\.0\.1:18765\/v1\/embeddings/.test(error.message)
+  );
+});
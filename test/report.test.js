@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const ReportGenerator = require('../lib/report');
+
+const SCRIPT = '<script>alert("x")</script>';
+
+function evaluationWith(search, title) {
+  return {
+    results: [{
+      search,
+      expected: [1],
+      found: [1],
+      validation: { isValid: true, message: 'All 1 expected results found in results' },
+      results: [{ id: 1, score: 0.8, title }],
+      belowThreshold: [{ id: 2, score: 0.2, title: 'Below' }],
+      metrics: { recall: 100, precision: 100, tokens: 2, runtime: 5, cost: '0.00000010', embeddingCost: 0.0000001 }
+    }],
+    metrics: {
+      evaluate: {
+        items: [{ search, tokens: 2, runtime: 5, cost: '0.00000010', recall: 100, precision: 100, expectedCount: 1, foundCount: 1, returnedCount: 1 }]
+      }
+    }
+  };
+}
+
+test('escapes HTML special characters', () => {
+  assert.equal(ReportGenerator.escape(`<a href="x">Tom & 'Jerry'</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; &#39;Jerry&#39;&lt;/a&gt;');
+  assert.equal(ReportGenerator.escape(42), '42');
+});
+
+test('formats costs saved as numbers or strings', () => {
+  assert.equal(ReportGenerator.formatCost('0.00000010'), '$0.00000010');
+  assert.equal(ReportGenerator.formatCost(0.5), '$0.50000000');
+  assert.equal(ReportGenerator.formatCost(undefined), '$0.00000000');
+});
+
+test('score bars are clamped and mark the threshold', () => {
+  const html = ReportGenerator.renderScoreBar({ score: 1.4 }, 0.3);
+  assert.match(html, /width:100%/);
+  assert.match(html, /left:30%/);
+  assert.match(ReportGenerator.renderScoreBar({ score: 0.5, reranked: true, originalScore: 0.25 }, null), /\(orig 0\.2500\)/);
+});
+
+test('writes a self-contained report that escapes queries and titles', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+  fs.writeFileSync(path.join(dir, 'evaluation-results-local.json'), JSON.stringify(evaluationWith(SCRIPT, `Tips & ${SCRIPT}`)));
+  fs.writeFileSync(path.join(dir, 'local-model.json'), JSON.stringify({ vendor: 'local', model: 'hashed-ngram', minSimilarity: 0.25 }));
+
+  const outputPath = path.join(dir, 'report.html');
+  await new ReportGenerator(dir, dir).generate('test', outputPath);
+  const html = fs.readFileSync(outputPath, 'utf8');
+
+  assert.ok(!html.includes(SCRIPT), 'user content must not be written as markup');
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+  assert.ok(html.includes('Tips &amp; &lt;script&gt;'));
+  assert.ok(!/<(script|link)\b[^>]*\b(src|href)=/.test(html), 'the report must not load external resources');
+});
+
+test('fails without evaluation results', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+  await assert.rejects(new ReportGenerator(dir, dir).generate('test', path.join(dir, 'report.html')), /No evaluation results found/);
+});
@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RetryPolicy = require('../lib/retry');
+const { RateLimiter } = require('../lib/rate-limiter');
+
+// Transport answering each attempt with the next scripted step: a status, an error, 'hang' (no response) or
+// 'stall' (a response whose body stops mid-transfer)
+function scriptedTransport(steps) {
+  const transport = {
+    calls: 0,
+    async fetch(url, options) {
+      const step = steps[Math.min(transport.calls++, steps.length - 1)];
+      if (step instanceof Error) {
+        throw step;
+      }
+      if (step === 'hang') {
+        return new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        });
+      }
+      if (step === 'stall') {
+        const body = new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('{"data": ['));
+            options.signal.addEventListener('abort', () => controller.error(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+          }
+        });
+        return new Response(body, { status: 200 });
+      }
+      const [status, headers] = Array.isArray(step) ? step : [step, {}];
+      return new Response(JSON.stringify({ status }), { status, headers });
+    }
+  };
+  return transport;
+}
+
+const quietly = async fn => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('parses Retry-After in seconds or as an HTTP date', () => {
+  assert.equal(RetryPolicy.parseRetryAfter('2'), 2000);
+  assert.equal(RetryPolicy.parseRetryAfter('0.5'), 500);
+  assert.equal(RetryPolicy.parseRetryAfter(null), null);
+  assert.equal(RetryPolicy.parseRetryAfter('soon'), null);
+  assert.equal(RetryPolicy.parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+  const wait = RetryPolicy.parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+  assert.ok(wait > 58000 && wait <= 60000);
+});
+
+test('retries 408, 429 and 5xx only', () => {
+  [408, 429, 500, 503].forEach(status => assert.ok(RetryPolicy.isRetryableStatus(status)));
+  [200, 400, 401, 404].forEach(status => assert.ok(!RetryPolicy.isRetryableStatus(status)));
+});
+
+test('backoff is capped and Retry-After wins over it', () => {
+  const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 250 });
+  for (let i = 0; i < 20; i++) {
+    assert.ok(policy.getDelay(1) <= 100);
+    assert.ok(policy.getDelay(5) <= 250);
+  }
+  assert.equal(policy.getDelay(1, 200), 200);
+  assert.equal(policy.getDelay(1, 10000), 250);
+});
+
+test('retries rate limits and server errors until a response succeeds', async () => {
+  const transport = scriptedTransport([[429, { 'retry-after': '0' }], 503, 200]);
+  const policy = new RetryPolicy({ baseDelay: 1 });
+
+  const response = await quietly(() => policy.fetch(transport, 'http://localhost/', {}, 'test'));
+  assert.equal(response.status, 200);
+  assert.equal(transport.calls, 3);
+  assert.deepEqual(policy.getStats(), { requests: 1, retries: 2, timeouts: 0, failures: 0 });
+});
+
+test('returns client errors and the last failed response without more attempts', async () => {
+  const clientError = scriptedTransport([400]);
+  const policy = new RetryPolicy({ baseDelay: 1 });
+  assert.equal((await policy.fetch(clientError, 'http://localhost/', {})).status, 400);
+  assert.equal(clientError.calls, 1);
+
+  const serverError = scriptedTransport([500]);
+  const limited = new RetryPolicy({ maxAttempts: 2, baseDelay: 1 });
+  const response = await quietly(() => limited.fetch(serverError, 'http://localhost/', {}));
+  assert.equal(response.status, 500);
+  assert.equal(serverError.calls, 2);
+  assert.equal(limited.getStats().failures, 1);
+});
+
+test('aborts attempts that exceed the request timeout', async () => {
+  const transport = scriptedTransport(['hang']);
+  const policy = new RetryPolicy({ maxAttempts: 2, requestTimeout: 20, baseDelay: 1 });
+
+  await assert.rejects(quietly(() => policy.fetch(transport, 'http://localhost/', {}, 'test')), /test request timed out after 20ms/);
+  assert.equal(transport.calls, 2);
+  assert.equal(policy.getStats().timeouts, 2);
+});
+
+test('times out bodies that stall after the response arrived', async () => {
+  const transport = scriptedTransport(['stall', 200]);
+  const policy = new RetryPolicy({ maxAttempts: 2, requestTimeout: 20, baseDelay: 1 });
+
+  const response = await quietly(() => policy.fetch(transport, 'http://localhost/', {}, 'test'));
+  assert.deepEqual(await response.json(), { status: 200 });
+  assert.equal(transport.calls, 2);
+  assert.equal(policy.getStats().timeouts, 1);
+});
+
+test('retries network errors but fails at once on other errors', async () => {
+  const network = scriptedTransport([new TypeError('fetch failed'), 200]);
+  assert.equal((await quietly(() => new RetryPolicy({ baseDelay: 1 }).fetch(network, 'http://localhost/', {}))).status, 200);
+
+  const missing = Object.assign(new Error('No recorded response'), { code: 'FIXTURE_MISSING' });
+  const replay = scriptedTransport([missing, 200]);
+  await assert.rejects(new RetryPolicy().fetch(replay, 'http://localhost/', {}), { code: 'FIXTURE_MISSING' });
+  assert.equal(replay.calls, 1);
+});
+
+test('every attempt takes its own rate limiter slot, backoff waits hold none', async () => {
+  const limiter = new RateLimiter({ maxInFlight: 1, requestsPerMinute: 600 });
+  const calls = [];
+  const transport = {
+    async fetch(url) {
+      calls.push(url);
+      const status = url === 'http://localhost/a' && calls.length === 1 ? 503 : 200;
+      return new Response('{}', { status });
+    }
+  };
+  const policy = new RetryPolicy({ baseDelay: 50, maxDelay: 50 });
+  const random = Math.random;
+  Math.random = () => 1;
+  try {
+    const responses = await quietly(() => Promise.all([
+      policy.fetch(transport, 'http://localhost/a', {}, 'test', limiter, 10),
+      policy.fetch(transport, 'http://localhost/b', {}, 'test', limiter, 10)
+    ]));
+    assert.deepEqual(responses.map(response => response.status), [200, 200]);
+  } finally {
+    Math.random = random;
+  }
+  // b runs while a backs off, a's retry takes a new slot and request budget
+  assert.deepEqual(calls, ['http://localhost/a', 'http://localhost/b', 'http://localhost/a']);
+  assert.equal(limiter.inFlight, 0);
+  assert.ok(limiter.requests.available < 598);
+});
+
+test('backoff waits are reported to the measured operation', async () => {
+  const transport = scriptedTransport([503, 200]);
+  const policy = new RetryPolicy({ baseDelay: 40, maxDelay: 40 });
+  const random = Math.random;
+  Math.random = () => 1;
+  try {
+    const { result, retryWait } = await quietly(() => RateLimiter.measure(() => policy.fetch(transport, 'http://localhost/', {})));
+    assert.equal(result.status, 200);
+    assert.ok(retryWait >= 35 && retryWait < 200, `retryWait ${retryWait}`);
+  } finally {
+    Math.random = random;
+  }
+});
+
+test('rejects invalid settings', () => {
+  assert.throws(() => new RetryPolicy({ maxAttempts: 0 }), /Invalid maxAttempts/);
+  assert.throws(() => new RetryPolicy({ requestTimeout: -1 }), /Invalid requestTimeout/);
+  assert.equal(RetryPolicy.fromConfig({ maxAttempts: 2 }).maxAttempts, 2);
+});
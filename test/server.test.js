@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const SearchServer = require('../lib/server');
+
+// Evaluator stand-in returning the search() arguments
+function fakeEvaluator(dataset, modelName) {
+  return {
+    dataset,
+    modelName,
+    retrieval: { mode: 'vector' },
+    initialize: async () => {
+      if (modelName === 'missing') {
+        throw new Error('Index not found');
+      }
+    },
+    getRunConfig: () => ({ model: modelName }),
+    search: async (query, topK, options) => ({
+      results: [1, 2, 3, 4].map(id => ({ id, score: 1 - id / 10 })),
+      topK,
+      options
+    })
+  };
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = new SearchServer({ createEvaluator: fakeEvaluator, datasets: ['default', 'intranet'], models: ['small', 'missing'] });
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  console.log = console.warn = () => {};
+  try {
+    await server.load();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+  // Listen on a free port instead of the default one start() binds to
+  server.server = http.createServer((request, response) => server.handle(request, response));
+  await new Promise(resolve => server.server.listen(0, '127.0.0.1', resolve));
+  server.startedAt = Date.now();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(() => server.stop());
+
+async function request(method, pathname, body) {
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('skips pairs without an index and lists the loaded ones', async () => {
+  assert.deepEqual((await request('GET', '/health')).body.indexes, ['default/small', 'intranet/small']);
+  assert.deepEqual((await request('GET', '/datasets')).body, [
+    { name: 'default', models: ['small'] },
+    { name: 'intranet', models: ['small'] }
+  ]);
+});
+
+test('searches the requested index and caps the results to topK', async () => {
+  const { status, body } = await request('POST', '/search', {
+    query: ' vacation days ', dataset: 'intranet', topK: 2, filter: 'type=doc', rerank: false
+  });
+  assert.equal(status, 200);
+  assert.equal(body.dataset, 'intranet');
+  assert.equal(body.model, 'small');
+  assert.equal(body.query, 'vacation days');
+  assert.deepEqual(body.results.map(result => result.id), [1, 2]);
+  assert.equal(body.options.rerank, false);
+  assert.ok(body.options.filter);
+});
+
+test('rejects invalid search requests with 400', async () => {
+  const cases = [
+    [{ dataset: 'default' }, /query is required/],
+    [{ query: 'a', dataset: 'default', topK: 0 }, /topK must be a positive integer, got 0/],
+    [{ query: 'a', dataset: 'default', minSimilarity: '0.5' }, /minSimilarity must be a number/],
+    [{ query: 'a', dataset: 'default', rerank: 'yes' }, /rerank must be true or false/],
+    [{ query: 'a', dataset: 'default', retrieval: 'fuzzy' }, /retrieval must be one of vector, lexical, hybrid/],
+    [{ query: 'a' }, /dataset is required, loaded datasets: default, intranet/],
+    ['{"query":', /Invalid JSON body/],
+    ['[1]', /Invalid JSON body: expected an object/]
+  ];
+  for (const [body, message] of cases) {
+    const response = await request('POST', '/search', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.match(response.body.error, message);
+  }
+});
+
+test('answers unknown indexes and endpoints with 404 and wrong methods with 405', async () => {
+  const missing = await request('POST', '/search', { query: 'a', dataset: 'default', model: 'missing' });
+  assert.equal(missing.status, 404);
+  assert.match(missing.body.error, /default\/missing is not loaded/);
+
+  assert.equal((await request('GET', '/unknown')).status, 404);
+  const wrongMethod = await request('GET', '/search');
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.body.error, '/search only supports POST');
+});
+
+test('rejects bodies over 1 MB with 413', async () => {
+  const response = await request('POST', '/search', { query: 'x'.repeat(1024 * 1024) });
+  assert.equal(response.status, 413);
+  assert.match(response.body.error, /exceeds/);
+});
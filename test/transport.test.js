@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { RecordingTransport, ReplayTransport, FixtureStore } = require('../lib/transport');
+
+const SECRET = 'sk-test-0123456789';
+
+// Stands in for the live API so recordings need no network
+class FakeTransport {
+  constructor() {
+    this.requests = [];
+  }
+
+  async fetch(url, options) {
+    this.requests.push({ url, options });
+    return new Response(JSON.stringify({ echo: JSON.parse(options.body).input }), {
+      status: 200,
+      headers: { 'content-type': 'application/json' }
+    });
+  }
+}
+
+function tempFixtures() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  return path.join(dir, 'fixtures.json');
+}
+
+test('recording redacts API keys and replay serves the recorded response', async () => {
+  const fixturesPath = tempFixtures();
+  const live = new FakeTransport();
+  const recorder = new RecordingTransport(fixturesPath, [SECRET], live);
+  const options = {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${SECRET}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ input: ['hello'], key: SECRET })
+  };
+
+  const recorded = await recorder.fetch(`https://api.example.com/v1/embeddings?key=${SECRET}`, options);
+  assert.deepEqual(await recorded.json(), { echo: ['hello'] });
+  assert.equal(live.requests.length, 1);
+
+  const file = fs.readFileSync(fixturesPath, 'utf8');
+  assert.ok(!file.includes(SECRET), 'the API key must not be written to the fixtures');
+  const [interaction] = JSON.parse(file).interactions;
+  assert.equal(interaction.request.headers.Authorization, '[REDACTED]');
+  assert.equal(interaction.request.url, 'https://api.example.com/v1/embeddings?key=[REDACTED]');
+
+  // Replayed with another key, since matching ignores headers and redacts known secrets
+  const replay = new ReplayTransport(fixturesPath, [SECRET]);
+  const replayed = await replay.fetch(`https://api.example.com/v1/embeddings?key=${SECRET}`, {
+    ...options,
+    headers: { Authorization: 'Bearer other' }
+  });
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.headers.get('content-type'), 'application/json');
+  assert.deepEqual(await replayed.json(), { echo: ['hello'] });
+});
+
+test('replay fails with FIXTURE_MISSING for an unrecorded request', async () => {
+  const fixturesPath = tempFixtures();
+  const recorder = new RecordingTransport(fixturesPath, [], new FakeTransport());
+  await recorder.fetch('http://localhost/v1/embeddings', { method: 'POST', body: '{"input":["a"]}' });
+
+  const replay = new ReplayTransport(fixturesPath);
+  await assert.rejects(
+    replay.fetch('http://localhost/v1/embeddings', { method: 'POST', body: '{"input":["b"]}' }),
+    { code: 'FIXTURE_MISSING' }
+  );
+});
+
+test('replay requires the fixtures file', async () => {
+  const replay = new ReplayTransport(tempFixtures());
+  await assert.rejects(replay.fetch('http://localhost/'), /Fixtures file not found/);
+});
+
+test('fixture keys depend on method, URL and body only', () => {
+  const key = FixtureStore.getKey('http://localhost/', { method: 'post', body: 'a', headers: { 'x-api-key': '1' } });
+  assert.equal(key, FixtureStore.getKey('http://localhost/', { method: 'POST', body: 'a' }));
+  assert.notEqual(key, FixtureStore.getKey('http://localhost/', { method: 'POST', body: 'b' }));
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Validator = require('../lib/validate');
+
+test('a list of expected ids is a binary judgment', () => {
+  const judgments = Validator.parseJudgments({ search: 'q', expected: [3, 'a'] });
+  assert.deepEqual(judgments.expectedIds, [3, 'a']);
+  assert.deepEqual([...judgments.grades], [[3, 1], ['a', 1]]);
+  assert.equal(judgments.graded, false);
+  assert.equal(judgments.mustBeFirst, null);
+});
+
+test('an object maps ids to grades, grade 0 is not relevant', () => {
+  const judgments = Validator.parseJudgments({ search: 'q', expected: { 71: 3, 85: 1, 90: 0, doc: 2 }, mustBeFirst: 71 });
+  assert.deepEqual(judgments.expectedIds, [71, 85, 'doc']);
+  assert.equal(judgments.grades.get(90), 0);
+  assert.equal(judgments.graded, true);
+  assert.equal(judgments.mustBeFirst, 71);
+});
+
+test('missing expected means nothing should be found', () => {
+  assert.deepEqual(Validator.parseJudgments({ search: 'q' }).expectedIds, []);
+});
+
+test('rejects invalid judgments', () => {
+  assert.throws(() => Validator.parseJudgments({ expected: [{ id: 1 }] }), /must be numbers or strings/);
+  assert.throws(() => Validator.parseJudgments({ expected: { 1: -1 } }), /non-negative number/);
+  assert.throws(() => Validator.parseJudgments({ expected: 'x' }), /must be an array/);
+  assert.throws(() => Validator.parseJudgments({ expected: { 1: 1, 2: 0 }, mustBeFirst: 2 }), /mustBeFirst ID 2/);
+});
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const ConfigSchema = require('./lib/config-schema');
+const HybridRetrieval = require('./lib/hybrid');
+const Chunker = require('./lib/chunking');
+const DocumentTemplate = require('./lib/document-template');
+const RetryPolicy = require('./lib/retry');
+const { resolveEmbeddingSettings } = require('./lib/embedding-providers');
+
+/**
+ * Run the settings checks done when a model is loaded, which the schema can't express
+ * (e.g. chunk overlap below the chunk size, template placeholders, baseUrl of openai-compatible vendors)
+ * @param {Object} config - Model configuration
+ * @returns {string[]} - Error messages
+ */
+function checkModelSettings(config) {
+  const errors = [];
+  const templates = typeof config.documentTemplate === 'object' && config.documentTemplate !== null
+    ? Object.values(config.documentTemplate)
+    : [config.documentTemplate];
+  const checks = [
+    () => resolveEmbeddingSettings(config),
+    () => HybridRetrieval.getConfig(config),
+    () => Chunker.getConfig(config),
+    () => RetryPolicy.fromConfig(config),
+    ...templates.filter(template => template !== undefined).map(template => () => new DocumentTemplate(template))
+  ];
+  checks.forEach(check => {
+    try {
+      check();
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Read and parse a configuration file
+ * @param {string} fileName - File name in the repository root
+ * @returns {{config: Object|null, errors: string[]}} - Parsed configuration or the parse error
+ */
+function readConfig(fileName) {
+  try {
+    return { config: JSON.parse(fs.readFileSync(path.join(__dirname, fileName), 'utf8')), errors: [] };
+  } catch (error) {
+    return { config: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Validate all model and reranker files in the repository
+ */
+function validateAllModels() {
+  console.log('🔍 Validating model and reranker configurations...\n');
+
+  const files = fs.readdirSync(__dirname).sort();
+  const modelFiles = files.filter(file => file.endsWith('-model.json'));
+  const rerankerFiles = files.filter(file => file.endsWith('-reranker.json'));
+  let failed = 0;
+
+  const report = (fileName, errors) => {
+    if (errors.length === 0) {
+      console.log(`✓ ${fileName}`);
+      return;
+    }
+    failed++;
+    console.log(`❌ ${fileName}:`);
+    errors.forEach(error => console.log(`   - ${error}`));
+  };
+
+  modelFiles.forEach(fileName => {
+    const { config, errors } = readConfig(fileName);
+    if (config) {
+      errors.push(...ConfigSchema.validateModelConfig(config));
+      if (errors.length === 0) {
+        errors.push(...checkModelSettings(config));
+      }
+      if (typeof config.reranker === 'string' && !rerankerFiles.includes(`${config.reranker}-reranker.json`)) {
+        errors.push(`reranker: ${config.reranker}-reranker.json does not exist`);
+      }
+    }
+    report(fileName, errors);
+  });
+
+  rerankerFiles.forEach(fileName => {
+    const { config, errors } = readConfig(fileName);
+    if (config) {
+      errors.push(...ConfigSchema.validateRerankerConfig(config));
+      if (errors.length === 0) {
+        try {
+          RetryPolicy.fromConfig(config);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+    report(fileName, errors);
+  });
+
+  const total = modelFiles.length + rerankerFiles.length;
+  console.log(`\n📊 Summary:`);
+  console.log(`   Model files: ${modelFiles.length}`);
+  console.log(`   Reranker files: ${rerankerFiles.length}`);
+
+  if (failed === 0) {
+    console.log(`\n✅ All ${total} configuration files are valid!`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} of ${total} configuration file(s) failed validation.`);
+    process.exit(1);
+  }
+}
+
+validateAllModels();